@@ -0,0 +1,84 @@
+import { gridLevels } from "./attempts.js";
+import { gridRows, noteText } from "./rubric.js";
+
+/* ---------------- Cohort analytics ----------------
+   Summaries for the tutor dashboard. Grid and score figures use each
+   learner's latest marked attempt, so a learner who resubmits five times
+   counts once, at their current standing. Gated (too short) attempts are
+   counted but not marked. Grid rows and the score range come from the
+   task's rubric; rows are counted by level and notes by id, not by their
+   (localised) text.
+----------------------------------------------------------------------- */
+const BUCKETS = ["missing", "developing", "secure"];
+
+function pct(n, total) {
+  return total ? Math.round((n / total) * 1000) / 10 : 0;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+export function latestMarkedByLearner(attempts) {
+  const latest = new Map();
+  for (const a of attempts) {
+    if (a.result?.gated) continue;
+    const prev = latest.get(a.learnerId);
+    if (!prev || a.createdAt >= prev.createdAt) latest.set(a.learnerId, a);
+  }
+  return Array.from(latest.values());
+}
+
+export function cohortAnalytics(attempts, { rubric }) {
+  const maxScore = rubric.maxScore ?? 10;
+  const rows = gridRows(rubric);
+  const latest = latestMarkedByLearner(attempts);
+  const scores = latest.map(a => a.result.score).filter(Number.isFinite);
+
+  const scoreDistribution = Array.from({ length: maxScore + 1 }, (_, score) => ({ score, count: 0 }));
+  for (const s of scores) scoreDistribution[Math.max(0, Math.min(maxScore, Math.round(s)))].count += 1;
+
+  // Moderated rows count at the tutor's level
+  const latestLevels = latest.map(a => gridLevels(a, rubric));
+  const grid = {};
+  for (const { row } of rows) {
+    const counts = { secure: 0, developing: 0, missing: 0 };
+    for (const levels of latestLevels) counts[BUCKETS[levels[row] ?? 0]] += 1;
+    grid[row] = {
+      ...counts,
+      securePct: pct(counts.secure, latest.length),
+      developingPct: pct(counts.developing, latest.length),
+      missingPct: pct(counts.missing, latest.length)
+    };
+  }
+
+  // Notes are read back from the rubric by id, so one note counts once whichever
+  // language the learner had; results stored without ids only have their text.
+  const noteCounts = new Map();
+  for (const a of latest) {
+    (a.result.notes || []).forEach((text, i) => {
+      const note = noteText(rubric, a.result.noteIds?.[i]) || text;
+      noteCounts.set(note, (noteCounts.get(note) || 0) + 1);
+    });
+  }
+  const commonNotes = Array.from(noteCounts, ([note, count]) => ({ note, count, pct: pct(count, latest.length) }))
+    .sort((a, b) => b.count - a.count || a.note.localeCompare(b.note))
+    .slice(0, 10);
+
+  return {
+    submissions: attempts.length,
+    gatedSubmissions: attempts.filter(a => a.result?.gated).length,
+    learners: new Set(attempts.map(a => a.learnerId)).size,
+    markedLearners: latest.length,
+    meanScore: scores.length ? Math.round((scores.reduce((s, n) => s + n, 0) / scores.length) * 10) / 10 : null,
+    medianScore: median(scores),
+    maxScore,
+    scoreDistribution,
+    gridRows: rows,
+    grid,
+    commonNotes
+  };
+}
@@ -0,0 +1,165 @@
+import crypto from "crypto";
+import { createJsonStore } from "./store.js";
+import { statusFromLevel } from "./rubric.js";
+import { DEFAULT_LOCALE } from "./i18n.js";
+import { diffWords } from "./diff.js";
+
+/* ---------------- Submission history ----------------
+   Every /api/mark result is kept with the learner and task it belongs to,
+   so learners can see their previous attempts.
+----------------------------------------------------------------------- */
+const store = createJsonStore("attempts", { attempts: [] });
+
+// locale: the language the result's text (notes, messages) is in.
+export function recordAttempt({ learnerId, taskId, answerText, result, locale = DEFAULT_LOCALE }) {
+  const attempt = {
+    id: crypto.randomUUID(),
+    learnerId,
+    taskId,
+    createdAt: new Date().toISOString(),
+    locale,
+    answerText,
+    result
+  };
+  store.update(data => { data.attempts.push(attempt); });
+  return attempt;
+}
+
+export function findAttempt(id) {
+  return store.read().attempts.find(a => a.id === id) || null;
+}
+
+// Oldest first, so the list reads as a progression.
+export function listAttempts({ learnerId, taskId } = {}) {
+  return store.read().attempts.filter(a =>
+    (!learnerId || a.learnerId === learnerId) &&
+    (!taskId || a.taskId === taskId)
+  );
+}
+
+/* ---------------- Tutor moderation ----------------
+   The automated result is never changed. Each tutor decision is appended
+   to attempt.moderations (the audit trail) and the latest one, unless it
+   reverts to the automated result, is what the learner sees:
+     { at, by, score, grid: { <row>: level }, comment, reason, revert? }
+   score / grid null means "as marked". A tutor score on an answer the
+   marker withheld (too short, integrity flag) releases that score.
+----------------------------------------------------------------------- */
+export function moderateAttempt(id, entry) {
+  let moderated = null;
+  store.update(data => {
+    const attempt = data.attempts.find(a => a.id === id);
+    if (!attempt) return;
+    attempt.moderations = [...(attempt.moderations || []), { ...entry, at: new Date().toISOString() }];
+    moderated = attempt;
+  });
+  return moderated;
+}
+
+export function currentModeration(attempt) {
+  const latest = attempt.moderations?.at(-1);
+  return latest && !latest.revert ? latest : null;
+}
+
+// The result to show: the automated one with the current moderation applied.
+export function effectiveResult(attempt, locale = DEFAULT_LOCALE) {
+  const result = attempt.result || {};
+  const m = currentModeration(attempt);
+  if (!m) return result;
+
+  const grid = { ...(result.grid || {}) };
+  for (const [row, level] of Object.entries(m.grid || {})) grid[row] = statusFromLevel(level, locale);
+
+  return {
+    ...result,
+    ...(m.score != null ? { score: m.score, gated: false } : {}),
+    grid: Object.keys(grid).length ? grid : result.grid || null,
+    moderated: { at: m.at, comment: m.comment || "" }
+  };
+}
+
+// Compact view for the learner's "Previous attempts" panel (moderated results as revised).
+export function summariseAttempt(attempt, locale = DEFAULT_LOCALE) {
+  const r = effectiveResult(attempt, locale);
+  return {
+    id: attempt.id,
+    taskId: attempt.taskId,
+    createdAt: attempt.createdAt,
+    wordCount: r.wordCount ?? null,
+    gated: Boolean(r.gated),
+    flagged: Boolean(r.gated && r.integrity?.length),
+    score: r.gated ? null : r.score ?? null,
+    grid: r.grid || null,
+    moderated: r.moderated || null
+  };
+}
+
+/* ---------------- Attempt comparison ----------------
+   What changed between a learner's attempt and their previous marked
+   attempt at the same task (too-short and flagged attempts are skipped),
+   so a resubmission shows whether the edit addressed the feedback:
+     { previous: { id, number, createdAt },
+       score: { from, to, delta },
+       grid: [{ row, from, to }],        // rows whose level moved, 0-2
+       notes: { resolved, remaining, added } | null,
+       diff: [{ type, text }] }           // lib/diff.js, previous -> current
+   Moderated results are compared as moderated. Notes are compared as
+   text, so they are left out when the two attempts were marked in
+   different languages.
+----------------------------------------------------------------------- */
+const isMarked = attempt => !effectiveResult(attempt).gated;
+
+// Results stored before they carried criterion levels: the status symbol, which every locale shares.
+const SYMBOL_LEVELS = { "✓": 2, "◐": 1 };
+
+// Grid row levels (0-2) of a marked attempt, with any moderation applied.
+export function gridLevels(attempt, rubric) {
+  const result = attempt.result || {};
+  const levels = {};
+  for (const c of rubric.criteria) {
+    if (!c.grid) continue;
+    levels[c.grid] = result.levels
+      ? Math.min(2, result.levels[c.id] ?? 0)
+      : SYMBOL_LEVELS[String(result.grid?.[c.grid] || "").trim().charAt(0)] ?? 0;
+  }
+  return { ...levels, ...(currentModeration(attempt)?.grid || {}) };
+}
+
+// Null when the attempt itself was not marked or there is nothing to compare with.
+export function compareWithPrevious(attempt, rubric) {
+  if (!isMarked(attempt)) return null;
+  const history = listAttempts({ learnerId: attempt.learnerId, taskId: attempt.taskId });
+  const index = history.findIndex(a => a.id === attempt.id);
+  const earlier = index < 0 ? history : history.slice(0, index);
+
+  const previousIndex = earlier.findLastIndex(isMarked);
+  if (previousIndex < 0) return null;
+  const previous = earlier[previousIndex];
+
+  const before = effectiveResult(previous);
+  const after = effectiveResult(attempt);
+  const fromGrid = gridLevels(previous, rubric);
+  const toGrid = gridLevels(attempt, rubric);
+  const grid = Object.keys(toGrid)
+    .filter(row => fromGrid[row] != null && fromGrid[row] !== toGrid[row])
+    .map(row => ({ row, from: fromGrid[row], to: toGrid[row] }));
+
+  let notes = null;
+  if ((previous.locale || DEFAULT_LOCALE) === (attempt.locale || DEFAULT_LOCALE)) {
+    const was = before.notes || [];
+    const now = after.notes || [];
+    notes = {
+      resolved: was.filter(n => !now.includes(n)),
+      remaining: now.filter(n => was.includes(n)),
+      added: now.filter(n => !was.includes(n))
+    };
+  }
+
+  return {
+    previous: { id: previous.id, number: previousIndex + 1, createdAt: previous.createdAt },
+    score: { from: before.score, to: after.score, delta: after.score - before.score },
+    grid,
+    notes,
+    diff: diffWords(previous.answerText, attempt.answerText)
+  };
+}
@@ -0,0 +1,98 @@
+import { createJsonStore } from "./store.js";
+import { normaliseTask } from "./tasks.js";
+
+/* ---------------- Task authoring ----------------
+   Course designers edit a task on the authoring page (public/author.html)
+   and save it as numbered draft versions. Publishing a version makes it
+   the live task for every learner without a redeploy; rolling back undoes
+   the latest publish, down to the task's own file in ./tasks.
+
+   Per task:
+     { versions: [{ version, savedAt, by, note, definition }],
+       published: [version, ...],       // publish history; the last is live
+       log: [{ at, by, action: "published" | "rolled_back", version }] }
+   `version: null` in the log means the task file. Every saved definition
+   passes the same checks as a task file (lib/tasks.js), so a draft that
+   would not load can never be published.
+----------------------------------------------------------------------- */
+const store = createJsonStore("task-drafts", { tasks: {} });
+
+const emptyEntry = () => ({ versions: [], published: [], log: [] });
+
+function entryFor(data, taskId) {
+  if (!data.tasks[taskId]) data.tasks[taskId] = emptyEntry();
+  return data.tasks[taskId];
+}
+
+// The draft as a task, checked; throws with the reason when it is not valid.
+export function draftTask(taskId, definition) {
+  return normaliseTask({ ...definition, id: taskId }, `draft of "${taskId}"`);
+}
+
+const meta = ({ version, savedAt, by, note }) => ({ version, savedAt, by, note });
+
+export function taskVersions(taskId) {
+  const entry = store.read().tasks[taskId] || emptyEntry();
+  return {
+    versions: entry.versions.map(meta),
+    live: entry.published.at(-1) ?? null,
+    log: entry.log
+  };
+}
+
+export function getTaskVersion(taskId, version) {
+  const entry = store.read().tasks[taskId];
+  return entry?.versions.find(v => v.version === Number(version)) || null;
+}
+
+export function saveTaskVersion(taskId, definition, { by = "", note = "" } = {}) {
+  const task = draftTask(taskId, definition);
+  return store.update(data => {
+    const entry = entryFor(data, taskId);
+    const version = {
+      version: (entry.versions.at(-1)?.version || 0) + 1,
+      savedAt: new Date().toISOString(),
+      by,
+      note,
+      definition: task
+    };
+    entry.versions.push(version);
+    return meta(version);
+  });
+}
+
+// Returns the published definition, or null for an unknown version.
+export function publishTaskVersion(taskId, version, { by = "" } = {}) {
+  const found = getTaskVersion(taskId, version);
+  if (!found) return null;
+  store.update(data => {
+    const entry = entryFor(data, taskId);
+    entry.published.push(found.version);
+    entry.log.push({ at: new Date().toISOString(), by, action: "published", version: found.version });
+  });
+  return found.definition;
+}
+
+// Undoes the latest publish. Returns { version, definition } now live (null
+// for the task file), or null when nothing has been published.
+export function rollbackTask(taskId, { by = "" } = {}) {
+  const entry = store.read().tasks[taskId];
+  if (!entry?.published.length) return null;
+  return store.update(data => {
+    const e = entryFor(data, taskId);
+    e.published.pop();
+    const version = e.published.at(-1) ?? null;
+    e.log.push({ at: new Date().toISOString(), by, action: "rolled_back", version });
+    return { version, definition: version == null ? null : e.versions.find(v => v.version === version).definition };
+  });
+}
+
+// Live drafts to apply over the task files at startup: [{ taskId, version, definition }].
+export function publishedDefinitions() {
+  return Object.entries(store.read().tasks)
+    .filter(([, entry]) => entry.published.length)
+    .map(([taskId, entry]) => {
+      const version = entry.published.at(-1);
+      return { taskId, version, definition: entry.versions.find(v => v.version === version).definition };
+    });
+}
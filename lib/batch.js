@@ -0,0 +1,137 @@
+import { markEthicsResponse } from "./marker.js";
+
+/* ---------------- Batch marking ----------------
+   Marks many answers at once (LMS/forum exports) for moderation. Input is
+   CSV with a header row or JSONL, one answer per row/line. Recognised
+   columns: id, learner (or learnerId), task (or taskId), answer (or
+   answerText). Output has score, word count, a level per rubric criterion,
+   any integrity flags (see lib/integrity.js) and the improvement feedback,
+   as CSV or JSONL.
+----------------------------------------------------------------------- */
+const ANSWER_KEYS = ["answer", "answerText", "answer_text", "text", "response"];
+const LEARNER_KEYS = ["learner", "learnerId", "learner_id", "name", "email"];
+const TASK_KEYS = ["task", "taskId", "task_id"];
+const ID_KEYS = ["id", "submissionId", "submission_id"];
+
+/* ---------------- CSV ---------------- */
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error("CSV has an unterminated quoted field");
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+
+  const nonEmpty = rows.filter(r => r.some(v => v.trim() !== ""));
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(r => Object.fromEntries(header.map((h, i) => [h, r[i] ?? ""])));
+}
+
+function csvField(value) {
+  const s = value == null ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Column order for output: fixed fields first, then criterion levels, then feedback.
+export function batchColumns(rows) {
+  const levels = [];
+  for (const r of rows) {
+    for (const k of Object.keys(r)) {
+      if (k.startsWith("level_") && !levels.includes(k)) levels.push(k);
+    }
+  }
+  return ["id", "learner", "task", "wordCount", "gated", "score", ...levels, "integrity", "feedback", "error"];
+}
+
+export function toCsv(rows, columns = batchColumns(rows)) {
+  const lines = [columns.map(csvField).join(",")];
+  for (const r of rows) lines.push(columns.map(c => csvField(r[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+/* ---------------- JSONL ---------------- */
+export function parseJsonl(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line, i) => ({ line: line.trim(), n: i + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, n }) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw new Error(`JSONL line ${n} is not valid JSON`);
+      }
+    });
+}
+
+export function toJsonl(rows) {
+  return rows.map(r => JSON.stringify(r)).join("\n") + "\n";
+}
+
+export function parseBatchInput(text, format) {
+  return format === "jsonl" ? parseJsonl(text) : parseCsv(text);
+}
+
+/* ---------------- Marking ---------------- */
+function pick(record, keys) {
+  for (const k of keys) {
+    if (record[k] != null && String(record[k]) !== "") return String(record[k]);
+  }
+  return "";
+}
+
+// resolveTask(id) returns a task or null; a missing id means the default task.
+export function markBatch(records, { resolveTask, maxAnswerLength = 6000 }) {
+  return records.map((record, i) => {
+    const base = {
+      id: pick(record, ID_KEYS) || String(i + 1),
+      learner: pick(record, LEARNER_KEYS)
+    };
+
+    const task = resolveTask(pick(record, TASK_KEYS));
+    if (!task) return { ...base, task: pick(record, TASK_KEYS), error: "unknown_task" };
+
+    const answerText = pick(record, ANSWER_KEYS).slice(0, maxAnswerLength);
+    if (!answerText.trim()) return { ...base, task: task.id, error: "missing_answer" };
+
+    const result = markEthicsResponse(answerText, task);
+    const levels = {};
+    for (const c of task.rubric.criteria) {
+      levels[`level_${c.id}`] = result.gated ? "" : result.levels[c.id];
+    }
+
+    return {
+      ...base,
+      task: task.id,
+      wordCount: result.wordCount,
+      gated: result.gated,
+      score: result.gated ? "" : result.score,
+      ...levels,
+      integrity: (result.integrity || []).map(f => f.type).join(" "),
+      feedback: result.gated ? result.message : result.feedback,
+      error: ""
+    };
+  });
+}
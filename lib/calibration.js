@@ -0,0 +1,246 @@
+import fs from "fs";
+import { markEthicsResponse } from "./marker.js";
+
+/* ---------------- Marker calibration ----------------
+   Runs the marker over a gold-standard corpus of tutor-marked answers and
+   measures how closely it agrees with the tutors, so a rubric change can be
+   judged on evidence rather than on a handful of examples.
+
+   Corpus: JSONL in ./calibration/<taskId>.jsonl, one anonymised answer per
+   line with the tutor's marks:
+     { "id": "st-001", "score": 9, "levels": { "failures": 2, ... }, "answerText": "..." }
+
+   Reported, for the total score and for each criterion level:
+     exact     share of answers where marker and tutor agree
+     adjacent  share within one mark / one level
+     qwk       quadratic weighted kappa (1 = perfect, 0 = chance)
+   plus a tutor-by-marker confusion matrix per grid row and the answers
+   with the largest disagreement. Answers the marker refuses to mark (word
+   gate, integrity flags) are listed separately and left out of the figures.
+
+   Thresholds (./calibration/thresholds.json, per task) are the quality
+   bar the test suite holds the marker to; see "Thresholds" below.
+
+   The smarttown corpus is synthetic: its answers and marks were written to
+   cover the rubric's levels, not collected from learners. It shows whether
+   the marker follows the rubric as a tutor would read it; only a corpus of
+   real, anonymised tutor-marked answers can show real-world accuracy.
+----------------------------------------------------------------------- */
+
+export function parseCorpus(text, label = "corpus") {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line, i) => ({ line: line.trim(), n: i + 1 }))
+    .filter(l => l.line)
+    .map(({ line, n }) => {
+      let item;
+      try {
+        item = JSON.parse(line);
+      } catch (err) {
+        throw new Error(`${label} line ${n}: ${err.message}`);
+      }
+      if (!item?.id || typeof item.answerText !== "string") throw new Error(`${label} line ${n}: needs an id and answerText`);
+      if (!Number.isFinite(item.score)) throw new Error(`${label} line ${n}: needs the tutor's score`);
+      if (!item.levels || typeof item.levels !== "object") throw new Error(`${label} line ${n}: needs the tutor's levels`);
+      return item;
+    });
+}
+
+export function loadCorpus(file) {
+  return parseCorpus(fs.readFileSync(file, "utf8"), file);
+}
+
+/* ---------------- Agreement statistics ----------------
+   `pairs` are [tutor, marker] values; `categories` the possible values in
+   order (0..maxScore, or a criterion's levels).
+----------------------------------------------------------------------- */
+export function confusionMatrix(pairs, categories) {
+  const index = new Map(categories.map((c, i) => [c, i]));
+  const matrix = categories.map(() => categories.map(() => 0));
+  for (const [tutor, marker] of pairs) {
+    if (index.has(tutor) && index.has(marker)) matrix[index.get(tutor)][index.get(marker)]++;
+  }
+  return matrix;
+}
+
+// Null when undefined (no answers). With a single category in use, perfect agreement counts as 1.
+export function quadraticWeightedKappa(pairs, categories) {
+  const k = categories.length;
+  const n = pairs.length;
+  if (n === 0 || k < 2) return null;
+
+  const observed = confusionMatrix(pairs, categories);
+  const tutorTotals = observed.map(row => row.reduce((a, b) => a + b, 0));
+  const markerTotals = categories.map((_c, j) => observed.reduce((sum, row) => sum + row[j], 0));
+
+  let disagreement = 0;
+  let expected = 0;
+  for (let i = 0; i < k; i++) {
+    for (let j = 0; j < k; j++) {
+      const weight = ((i - j) ** 2) / ((k - 1) ** 2);
+      disagreement += weight * observed[i][j];
+      expected += weight * (tutorTotals[i] * markerTotals[j]) / n;
+    }
+  }
+  if (expected === 0) return disagreement === 0 ? 1 : 0;
+  return 1 - disagreement / expected;
+}
+
+function agreement(pairs, categories) {
+  const n = pairs.length;
+  const within = d => (n ? pairs.filter(([a, b]) => Math.abs(a - b) <= d).length / n : null);
+  return {
+    n,
+    exact: within(0),
+    adjacent: within(1),
+    qwk: quadraticWeightedKappa(pairs, categories),
+    meanDiff: n ? pairs.reduce((sum, [a, b]) => sum + (b - a), 0) / n : null
+  };
+}
+
+const round = x => (x == null ? null : Math.round(x * 1000) / 1000);
+
+/* ---------------- Calibration run ---------------- */
+// options.mark(answerText, task) -> marker result (default: the deterministic marker).
+export function calibrate(task, corpus, { mark = markEthicsResponse, top = 5 } = {}) {
+  const maxScore = task.rubric.maxScore ?? 10;
+  const scoreCategories = Array.from({ length: maxScore + 1 }, (_v, i) => i);
+  const levelsOf = c => Array.from(new Set(c.levels.map(l => l.level))).sort((a, b) => a - b);
+
+  const marked = [];
+  const unmarked = [];
+  for (const item of corpus) {
+    const result = mark(item.answerText, task);
+    if (result.score == null) {
+      unmarked.push({ id: item.id, tutorScore: item.score, reason: result.integrity ? result.integrity.map(f => f.type).join(", ") : "word_gate" });
+    } else {
+      marked.push({ item, result });
+    }
+  }
+
+  const score = agreement(marked.map(m => [m.item.score, m.result.score]), scoreCategories);
+
+  const criteria = {};
+  for (const c of task.rubric.criteria) {
+    const categories = levelsOf(c);
+    const pairs = marked
+      .filter(m => m.item.levels[c.id] != null)
+      .map(m => [m.item.levels[c.id], m.result.levels[c.id]]);
+    criteria[c.id] = {
+      label: c.label || c.id,
+      grid: c.grid || null,
+      ...agreement(pairs, categories),
+      levels: categories,
+      matrix: confusionMatrix(pairs, categories)
+    };
+  }
+
+  const disagreements = marked
+    .map(({ item, result }) => {
+      const levels = Object.fromEntries(task.rubric.criteria
+        .filter(c => item.levels[c.id] != null && item.levels[c.id] !== result.levels[c.id])
+        .map(c => [c.id, { tutor: item.levels[c.id], marker: result.levels[c.id] }]));
+      const levelGap = Object.values(levels).reduce((sum, l) => sum + Math.abs(l.tutor - l.marker), 0);
+      return { id: item.id, tutorScore: item.score, markerScore: result.score, diff: result.score - item.score, levelGap, levels };
+    })
+    .filter(d => d.diff !== 0 || d.levelGap > 0)
+    .sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff) || b.levelGap - a.levelGap || a.id.localeCompare(b.id))
+    .slice(0, top);
+
+  return {
+    taskId: task.id,
+    answers: corpus.length,
+    unmarked,
+    score: { ...score, exact: round(score.exact), adjacent: round(score.adjacent), qwk: round(score.qwk), meanDiff: round(score.meanDiff) },
+    criteria: Object.fromEntries(Object.entries(criteria).map(([id, c]) => [id, {
+      ...c, exact: round(c.exact), adjacent: round(c.adjacent), qwk: round(c.qwk), meanDiff: round(c.meanDiff)
+    }])),
+    disagreements
+  };
+}
+
+/* ---------------- Thresholds ----------------
+   Set from a quality bar, never from the marker's current figures; when
+   the marker falls short, fix the rubric or the marker. The bar:
+     total score  QWK >= 0.70 (the usual floor for automated marking
+                  against human marks), within one mark for >= 90% of
+                  answers, exact for >= 50%
+     criterion    the tutor's level for >= 80% of answers, QWK >= 0.60
+                  ("substantial" agreement on a three-level scale)
+     unmarked     none: every corpus answer was marked by a tutor, so the
+                  word gate and integrity checks must let it through
+
+   { "score": { "exact": 0.5, "adjacent": 0.8, "qwk": 0.8 },
+     "criteria": { "failures": { "exact": 0.7 } },
+     "maxUnmarked": 0 }
+   Returns a message per threshold not met (empty when all pass).
+----------------------------------------------------------------------- */
+export function checkThresholds(report, thresholds = {}) {
+  const failures = [];
+  const check = (where, stats, limits = {}) => {
+    for (const [metric, min] of Object.entries(limits)) {
+      const value = stats?.[metric];
+      if (value == null || value < min) failures.push(`${where} ${metric} ${value ?? "n/a"} is below ${min}`);
+    }
+  };
+
+  check("score", report.score, thresholds.score);
+  for (const [id, limits] of Object.entries(thresholds.criteria || {})) {
+    if (!report.criteria[id]) failures.push(`criterion "${id}" is not in the rubric`);
+    else check(`criterion "${id}"`, report.criteria[id], limits);
+  }
+  if (thresholds.maxUnmarked != null && report.unmarked.length > thresholds.maxUnmarked) {
+    failures.push(`${report.unmarked.length} answers were not marked (at most ${thresholds.maxUnmarked} allowed)`);
+  }
+  return failures;
+}
+
+export function loadThresholds(file, taskId) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"))[taskId] || null;
+}
+
+/* ---------------- Plain-text report ---------------- */
+const pct = x => (x == null ? "n/a" : `${Math.round(x * 100)}%`);
+const num = x => (x == null ? "n/a" : x.toFixed(2));
+
+function formatMatrix(c) {
+  const width = Math.max(6, ...c.levels.map(l => String(l).length + 2));
+  const cell = v => String(v).padStart(width);
+  const lines = [`    ${"tutor \\ marker".padEnd(16)}${c.levels.map(cell).join("")}`];
+  c.matrix.forEach((row, i) => lines.push(`    ${`level ${c.levels[i]}`.padEnd(16)}${row.map(cell).join("")}`));
+  return lines.join("\n");
+}
+
+export function formatCalibration(report) {
+  const out = [];
+  const s = report.score;
+  out.push(`Calibration: task "${report.taskId}", ${report.answers} answers (${s.n} marked)`);
+  out.push("");
+  out.push(`Score     exact ${pct(s.exact)}  adjacent ${pct(s.adjacent)}  QWK ${num(s.qwk)}  mean marker - tutor ${num(s.meanDiff)}`);
+
+  for (const [id, c] of Object.entries(report.criteria)) {
+    out.push(`${id.padEnd(10)}exact ${pct(c.exact)}  adjacent ${pct(c.adjacent)}  QWK ${num(c.qwk)}  (n=${c.n})`);
+  }
+
+  const gridRows = Object.entries(report.criteria).filter(([, c]) => c.grid);
+  if (gridRows.length) {
+    out.push("", "Confusion matrices (rows: tutor level, columns: marker level)");
+    for (const [id, c] of gridRows) out.push("", `  ${c.grid} (${id})`, formatMatrix(c));
+  }
+
+  if (report.disagreements.length) {
+    out.push("", "Largest disagreements");
+    for (const d of report.disagreements) {
+      const levels = Object.entries(d.levels).map(([id, l]) => `${id} ${l.tutor}->${l.marker}`).join(", ");
+      const sign = d.diff > 0 ? "+" : "";
+      out.push(`  ${d.id}: tutor ${d.tutorScore}, marker ${d.markerScore} (${sign}${d.diff})${levels ? `; ${levels}` : ""}`);
+    }
+  }
+
+  if (report.unmarked.length) {
+    out.push("", "Not marked by the marker");
+    for (const u of report.unmarked) out.push(`  ${u.id}: tutor ${u.tutorScore}; ${u.reason}`);
+  }
+  return out.join("\n");
+}
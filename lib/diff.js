@@ -0,0 +1,34 @@
+/* ---------------- Word diff ----------------
+   Longest-common-subsequence diff over words and the whitespace between
+   them. Returns runs of { type: "same" | "removed" | "added", text } that
+   turn `before` into `after`.
+----------------------------------------------------------------------- */
+export function diffWords(before, after) {
+  const a = String(before || "").split(/(\s+)/).filter(Boolean);
+  const b = String(after || "").split(/(\s+)/).filter(Boolean);
+
+  const dp = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      dp[i][j] = a[i] === b[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { push("same", a[i]); i++; j++; }
+    else if (dp[i + 1][j] >= dp[i][j + 1]) push("removed", a[i++]);
+    else push("added", b[j++]);
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+  return parts;
+}
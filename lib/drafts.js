@@ -0,0 +1,44 @@
+import crypto from "crypto";
+import { createJsonStore } from "./store.js";
+
+/* ---------------- Answer drafts ----------------
+   Server-side autosave per learner and task. "current" is overwritten on
+   every save; a snapshot goes into "versions" at most every few minutes so
+   learners can compare with, or go back to, earlier wording.
+----------------------------------------------------------------------- */
+const store = createJsonStore("drafts", { drafts: {} });
+
+const MAX_VERSIONS = 10;
+const VERSION_EVERY_MS = 5 * 60 * 1000;
+
+function keyOf(learnerId, taskId) {
+  return `${learnerId}::${taskId}`;
+}
+
+export function getDraft(learnerId, taskId) {
+  return store.read().drafts[keyOf(learnerId, taskId)] || null;
+}
+
+export function saveDraft(learnerId, taskId, text) {
+  return store.update(data => {
+    const key = keyOf(learnerId, taskId);
+    const entry = data.drafts[key] || { current: null, versions: [] };
+    const now = new Date();
+
+    entry.current = { text, savedAt: now.toISOString() };
+
+    const last = entry.versions[entry.versions.length - 1];
+    const due = !last || now - new Date(last.savedAt) >= VERSION_EVERY_MS;
+    if (text.trim() && due && last?.text !== text) {
+      entry.versions.push({ id: crypto.randomUUID(), text, savedAt: now.toISOString() });
+      entry.versions = entry.versions.slice(-MAX_VERSIONS);
+    }
+
+    data.drafts[key] = entry;
+    return entry;
+  });
+}
+
+export function clearDraft(learnerId, taskId) {
+  store.update(data => { delete data.drafts[keyOf(learnerId, taskId)]; });
+}
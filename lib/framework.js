@@ -0,0 +1,94 @@
+import { DEFAULT_LOCALE } from "./i18n.js";
+import { statusFromLevel } from "./rubric.js";
+
+/* ---------------- Learn more (framework guidance) ----------------
+   A task's "framework" is the list of references behind the Learn more
+   panel, in the order the task wants them read:
+
+     framework: [{
+       id, title, expectation, case,   // text may be given per locale
+       criteria?: [criterion ids],     // rubric criteria the reference supports
+       themes?: [theme keys]           // keys from the rubric's themes signals
+     }]
+
+   After marking, references that support a criterion below secure come
+   first: a missing criterion weighs twice a developing one, and each tagged
+   theme the answer left out of such a criterion adds one. Ties keep the
+   task's order. Each reference says which rows put it there ("focus").
+   The older form, { gdpr: { expectation, case }, ... }, still loads as a
+   list without tags.
+----------------------------------------------------------------------- */
+const ENTRY_ID = /^[a-z0-9][a-z0-9_-]*$/i;
+
+function themeKeys(rubric) {
+  return new Set(rubric.criteria.flatMap(c =>
+    Object.values(c.signals || {}).flatMap(s => (s.themes || []).map(theme => theme.key))));
+}
+
+// Checks a task's framework against its rubric; returns it as a list. Throws when invalid.
+export function normaliseFramework(framework, rubric, label = "framework") {
+  const list = Array.isArray(framework)
+    ? framework
+    : Object.entries(framework || {}).map(([id, entry]) => ({ id, title: id, ...entry }));
+
+  const criterionIds = new Set(rubric.criteria.map(c => c.id));
+  const themes = themeKeys(rubric);
+  const ids = new Set();
+
+  return list.map(entry => {
+    const where = `${label}: reference "${entry?.id}"`;
+    if (!entry?.id || !ENTRY_ID.test(entry.id)) throw new Error(`${label}: every reference needs an id (letters, digits, - or _)`);
+    if (ids.has(entry.id)) throw new Error(`${where} is defined twice`);
+    ids.add(entry.id);
+    if (entry.title == null || entry.expectation == null) throw new Error(`${where}: needs a title and an expectation`);
+
+    for (const id of entry.criteria || []) {
+      if (!criterionIds.has(id)) throw new Error(`${where}: unknown criterion "${id}"`);
+    }
+    for (const key of entry.themes || []) {
+      if (!themes.has(key)) throw new Error(`${where}: unknown theme "${key}"`);
+    }
+    return { ...entry, criteria: entry.criteria || [], themes: entry.themes || [] };
+  });
+}
+
+// The framework for one marked answer, most relevant first. `framework` and
+// `rubric` must already be localised; `evaluation` is evaluateRubric's output.
+export function rankFramework(framework, rubric, evaluation, locale = DEFAULT_LOCALE) {
+  if (!framework?.length) return null;
+
+  const byId = new Map(evaluation.criteria.map(c => [c.id, c]));
+  const levelOf = id => Math.min(2, byId.get(id)?.level ?? 0);
+  const needsWork = rubric.criteria.filter(c => levelOf(c.id) < 2);
+
+  // Theme key -> criteria below secure that look for it and did not find it
+  const missingThemes = new Map();
+  for (const c of needsWork) {
+    const found = new Set((byId.get(c.id)?.evidence || []).filter(h => h.counted && h.theme).map(h => h.theme));
+    for (const key of themeKeys({ criteria: [c] })) {
+      if (found.has(key)) continue;
+      if (!missingThemes.has(key)) missingThemes.set(key, []);
+      missingThemes.get(key).push(c.id);
+    }
+  }
+
+  const ranked = framework.map((entry, order) => {
+    const tagged = needsWork.filter(c => entry.criteria.includes(c.id));
+    const themes = entry.themes.filter(key => missingThemes.has(key));
+    const weight = tagged.reduce((sum, c) => sum + (2 - levelOf(c.id)) * 2, 0) + themes.length;
+
+    const focusIds = new Set([...tagged.map(c => c.id), ...themes.flatMap(key => missingThemes.get(key))]);
+    const focus = needsWork.filter(c => focusIds.has(c.id)).map(c => ({
+      criterion: c.id,
+      label: c.gridLabel || c.label || c.id,
+      status: statusFromLevel(levelOf(c.id), locale)
+    }));
+
+    const { id, title, expectation } = entry;
+    return { order, weight, entry: { id, title, expectation, case: entry.case || "", relevant: weight > 0, focus } };
+  });
+
+  return ranked
+    .sort((a, b) => b.weight - a.weight || a.order - b.order)
+    .map(r => r.entry);
+}
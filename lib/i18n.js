@@ -0,0 +1,117 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/* ---------------- Localisation ----------------
+   Message catalogues live in ./locales/<code>.json: flat "area.key" ->
+   text, with {name} placeholders. English is the complete catalogue; a
+   key missing from another locale falls back to English (then to the key).
+
+   Task definitions may give any learner-facing string per locale instead
+   of as a plain string:
+     "gateMessage": { "en": "Please add to your answer.", "cy": "Ychwanegwch at eich ateb." }
+   localiseTask picks the requested locale, falling back to English.
+
+   Locale for a request, first match wins:
+     ?lang=  ->  the task's "locale" setting  ->  Accept-Language  ->  English
+----------------------------------------------------------------------- */
+export const DEFAULT_LOCALE = "en";
+
+const LOCALES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "locales");
+const LOCALE_CODE = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+function loadCatalogues(dir) {
+  const catalogues = new Map();
+  for (const f of fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort()) {
+    catalogues.set(path.basename(f, ".json"), JSON.parse(fs.readFileSync(path.join(dir, f), "utf8")));
+  }
+  if (!catalogues.has(DEFAULT_LOCALE)) throw new Error(`Missing ${DEFAULT_LOCALE}.json in ${dir}`);
+  return catalogues;
+}
+
+const catalogues = loadCatalogues(LOCALES_DIR);
+
+// "cy-GB" -> "cy"; null when no catalogue matches.
+export function supportedLocale(code) {
+  const c = String(code || "").trim().toLowerCase();
+  if (!c) return null;
+  if (catalogues.has(c)) return c;
+  const primary = c.split("-")[0];
+  return catalogues.has(primary) ? primary : null;
+}
+
+export function listLocales() {
+  return Array.from(catalogues.keys()).map(code => ({ code, name: t(code, "locale.name") }));
+}
+
+// Full catalogue for a locale with English filling the gaps (for the learner page).
+export function messages(locale) {
+  return { ...catalogues.get(DEFAULT_LOCALE), ...(catalogues.get(supportedLocale(locale)) || {}) };
+}
+
+export function t(locale, key, vars = {}) {
+  const text = catalogues.get(supportedLocale(locale))?.[key] ?? catalogues.get(DEFAULT_LOCALE)[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? String(vars[name]) : m));
+}
+
+// Language tags from an Accept-Language header, most preferred first.
+export function parseAcceptLanguage(header) {
+  return String(header || "")
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map(p => p.trim()).find(p => p.startsWith("q="));
+      return { tag: tag.trim(), q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter(l => l.tag && l.tag !== "*" && l.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i)
+    .map(l => l.tag);
+}
+
+export function resolveLocale({ requested = "", taskLocale = "", acceptLanguage = "" } = {}) {
+  return supportedLocale(requested) ||
+    supportedLocale(taskLocale) ||
+    parseAcceptLanguage(acceptLanguage).map(supportedLocale).find(Boolean) ||
+    DEFAULT_LOCALE;
+}
+
+/* ---------------- Localised task content ---------------- */
+function isLocalisedText(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return false;
+  const keys = Object.keys(value);
+  return keys.includes(DEFAULT_LOCALE) && keys.every(k => LOCALE_CODE.test(k) && typeof value[k] === "string");
+}
+
+// One string from a plain or per-locale value.
+export function localise(value, locale = DEFAULT_LOCALE) {
+  if (!isLocalisedText(value)) return value;
+  return value[supportedLocale(locale)] ?? value[locale] ?? value[DEFAULT_LOCALE];
+}
+
+function localiseDeep(value, locale) {
+  if (isLocalisedText(value)) return localise(value, locale);
+  if (Array.isArray(value)) return value.map(v => localiseDeep(v, locale));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, localiseDeep(v, locale)]));
+  }
+  return value;
+}
+
+// Tasks are read-only once loaded, so each locale's copy is made once. A copy
+// remembers its source, so it can be localised again into another locale.
+const localisedTasks = new WeakMap();   // source task -> Map(locale -> copy)
+const sources = new WeakMap();          // copy -> source task
+
+export function localiseTask(task, locale = DEFAULT_LOCALE) {
+  const source = sources.get(task) || task;
+  const code = supportedLocale(locale) || DEFAULT_LOCALE;
+  if (!localisedTasks.has(source)) localisedTasks.set(source, new Map());
+
+  const copies = localisedTasks.get(source);
+  if (!copies.has(code)) {
+    const copy = localiseDeep(source, code);
+    sources.set(copy, source);
+    copies.set(code, copy);
+  }
+  return copies.get(code);
+}
@@ -0,0 +1,120 @@
+import { analyseText } from "./text.js";
+import { SHINGLE, shingles, wordsOf as words } from "./similarity.js";
+import { DEFAULT_LOCALE, t } from "./i18n.js";
+
+/* ---------------- Integrity checks ----------------
+   The rubric rewards keyword presence, so a few kinds of answer need
+   stopping before they are marked:
+     stuffing      a list of rubric terms rather than prose (high keyword
+                   density, almost no function words)
+     model_answer  mostly copied from the task's model answer
+     template      little beyond the response template itself (an answer
+                   that fills in every placeholder is marked, however short)
+     peer_copy     mostly another learner's submitted text
+   Copying is measured on word 3-grams ("shingles"): an answer word counts
+   as copied when it sits in a 3-gram that also occurs in the source.
+   Messages for the learner are in locales/*.json as integrity.<type>.
+----------------------------------------------------------------------- */
+// Function words make up roughly 40–50% of ordinary English prose.
+const FUNCTION_WORDS = new Set(`
+  the a an and or but of to in on for with by as at from that this these those it its is are was were be been
+  being have has had do does did will would should could can may might must not no so if then than which who
+  whom what when where why how their they them there we our you your he she his her i my me also because into
+  about over under more most such very
+`.trim().split(/\s+/));
+
+const STUFFING = { density: 0.5, densityWithFewFunctionWords: 0.3, functionWordRatio: 0.2 };
+const MODEL_COPIED = 0.5;
+const PEER_COPIED = 0.8;
+
+// Which answer words sit in a 3-gram also found in `source` (a Set of shingles).
+function copiedMask(ws, source) {
+  const mask = new Array(ws.length).fill(false);
+  for (let i = 0; i + SHINGLE <= ws.length; i++) {
+    if (source.has(ws.slice(i, i + SHINGLE).join(" "))) {
+      for (let k = i; k < i + SHINGLE; k++) mask[k] = true;
+    }
+  }
+  return mask;
+}
+
+const share = (mask, keep = mask.map(() => true)) => {
+  const n = keep.filter(Boolean).length;
+  return n ? mask.filter((m, i) => m && keep[i]).length / n : 0;
+};
+
+// Share of words inside counted keyword evidence, and share of function words.
+// `keep` (one flag per word) limits this to the learner's own words, so template headings do not count.
+export function stuffingMetrics(answerText, evaluation, keep = null) {
+  const tokens = analyseText(answerText).tokens.filter((_t, i) => !keep || keep[i]);
+  const n = tokens.length;
+  if (!n) return { density: 0, functionWordRatio: 0 };
+
+  const spans = evaluation.criteria.flatMap(c => c.evidence || []).filter(h => h.counted);
+  const inEvidence = tokens.filter(t => spans.some(s => t.start >= s.start && t.end <= s.end)).length;
+  const functionWords = tokens.filter(t => FUNCTION_WORDS.has(t.word.toLowerCase())).length;
+  return { density: inEvidence / n, functionWordRatio: functionWords / n };
+}
+
+// Which answer words are the learner's own rather than the template's (one flag per word).
+function ownMask(ws, task) {
+  return copiedMask(ws, shingles(words(task.templateText))).map(c => !c);
+}
+
+// Every placeholder of the template ("Failure 1:" ...) has the learner's text after it.
+function templateCompleted(task, evaluation) {
+  const expected = (task.rubric?.sections || []).reduce((n, s) => n + (s.placeholders?.length || 0), 0);
+  const filled = (evaluation?.sections || []).flatMap(s => s.placeholders || []).filter(p => !p.blank).length;
+  return expected > 0 && filled >= expected;
+}
+
+const copiesFrom = (ws, own, text) => share(copiedMask(ws, shingles(words(text))), own) >= PEER_COPIED;
+
+const flaggedAsCopy = attempt => (attempt.result?.integrity || []).some(f => f.type === "peer_copy");
+
+// The peer texts the peer-copy check may compare against, from stored attempts
+// ({ answerText, createdAt, result }). Whoever wrote a text first is never
+// flagged for a later copy of it: a peer's attempt only counts when it was
+// stored before the learner's own earliest attempt with this text, and never
+// when it was itself flagged as a copy.
+export function peerCopySources(answerText, task, { peers = [], own = [] } = {}) {
+  const ws = words(answerText);
+  const mask = ownMask(ws, task);
+  const firstOwn = own
+    .filter(a => copiesFrom(ws, mask, a.answerText))
+    .map(a => a.createdAt)
+    .sort()[0];
+
+  return peers
+    .filter(a => !flaggedAsCopy(a) && (!firstOwn || a.createdAt < firstOwn))
+    .map(a => a.answerText);
+}
+
+// Returns [{ type, message }]; empty when the answer can be marked normally.
+// evaluation: evaluateRubric output; peerAnswers: other learners' texts for the same task
+// (see peerCopySources).
+export function checkIntegrity(answerText, task, { evaluation, peerAnswers = [], locale = DEFAULT_LOCALE } = {}) {
+  const flags = [];
+  const flag = type => flags.push({ type, message: t(locale, `integrity.${type}`) });
+
+  // Template wording is shared by everyone, so the other checks look at the learner's own words.
+  const ws = words(answerText);
+  const own = ownMask(ws, task);
+  const ownWords = own.filter(Boolean).length;
+  if (task.templateText && ownWords < task.minWordsGate && !templateCompleted(task, evaluation)) flag("template");
+
+  const m = stuffingMetrics(answerText, evaluation, own);
+  if (m.density >= STUFFING.density ||
+      (m.density >= STUFFING.densityWithFewFunctionWords && m.functionWordRatio < STUFFING.functionWordRatio)) {
+    flag("stuffing");
+  }
+
+  if (task.modelAnswer && share(copiedMask(ws, shingles(words(task.modelAnswer)))) >= MODEL_COPIED) flag("model_answer");
+
+  if (ownWords >= task.minWordsGate) {
+    const copied = peerAnswers.some(peer => copiesFrom(ws, own, peer));
+    if (copied) flag("peer_copy");
+  }
+
+  return flags;
+}
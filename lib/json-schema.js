@@ -0,0 +1,56 @@
+/* ---------------- Minimal JSON Schema validation ----------------
+   Covers the subset we use to check model output: type, enum, required,
+   properties, additionalProperties, items, minItems, maxItems, minLength
+   and maxLength. Returns a list of error strings (empty when valid).
+----------------------------------------------------------------------- */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function typeMatches(expected, value) {
+  const actual = typeOf(value);
+  if (expected === "number") return actual === "number" || actual === "integer";
+  return actual === expected;
+}
+
+export function validateSchema(schema, value, where = "$") {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => typeMatches(t, value))) {
+      return [`${where}: expected ${types.join(" or ")}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(v => v === value)) {
+    errors.push(`${where}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${where}: shorter than ${schema.minLength}`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${where}: longer than ${schema.maxLength}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${where}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${where}: allows at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((v, i) => errors.push(...validateSchema(schema.items, v, `${where}[${i}]`)));
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${where}: missing "${key}"`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties?.[key];
+      if (sub) errors.push(...validateSchema(sub, v, `${where}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${where}: unexpected "${key}"`);
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,71 @@
+import crypto from "crypto";
+
+/* ---------------- Minimal RS256 JWTs ----------------
+   Just enough JWT for LTI 1.3: sign with an RSA private key, verify
+   against a JWK set. Only RS256 is accepted (the algorithm LTI mandates),
+   so "alg: none" or HMAC-with-public-key tricks are rejected outright.
+----------------------------------------------------------------------- */
+function b64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function parseJson(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+export function signJwt(payload, { privateKey, kid }) {
+  const header = { alg: "RS256", typ: "JWT", ...(kid ? { kid } : {}) };
+  const input = `${b64url(JSON.stringify(header))}.${b64url(JSON.stringify(payload))}`;
+  const signature = crypto.sign("sha256", Buffer.from(input), privateKey);
+  return `${input}.${signature.toString("base64url")}`;
+}
+
+// Header and payload without checking the signature (e.g. to pick the key by kid).
+export function decodeJwt(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+  const header = parseJson(parts[0]);
+  const payload = parseJson(parts[1]);
+  return header && payload ? { header, payload } : null;
+}
+
+// keys: a JWK set's "keys" array. Throws with a short reason on any failure.
+export function verifyJwt(token, keys, { clockSkewSeconds = 60 } = {}) {
+  const decoded = decodeJwt(token);
+  if (!decoded) throw new Error("malformed token");
+  const { header, payload } = decoded;
+  if (header.alg !== "RS256") throw new Error(`unsupported alg "${header.alg}"`);
+
+  const candidates = header.kid ? keys.filter(k => k.kid === header.kid) : keys;
+  const [h, p, s] = String(token).split(".");
+  const ok = candidates.some(jwk => {
+    try {
+      const key = crypto.createPublicKey({ key: jwk, format: "jwk" });
+      return crypto.verify("sha256", Buffer.from(`${h}.${p}`), key, Buffer.from(s, "base64url"));
+    } catch {
+      return false;
+    }
+  });
+  if (!ok) throw new Error(candidates.length ? "bad signature" : `no key for kid "${header.kid}"`);
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== "number" || now > payload.exp + clockSkewSeconds) throw new Error("token expired");
+  if (typeof payload.iat === "number" && payload.iat > now + clockSkewSeconds) throw new Error("token issued in the future");
+  return payload;
+}
+
+// Public half of an RSA key as a JWK for a /jwks endpoint.
+export function publicJwk(privateKey, kid) {
+  const jwk = crypto.createPublicKey(privateKey).export({ format: "jwk" });
+  return { ...jwk, kid, alg: "RS256", use: "sig" };
+}
+
+// Stable key id derived from the public key.
+export function keyId(privateKey) {
+  const der = crypto.createPublicKey(privateKey).export({ format: "der", type: "spki" });
+  return crypto.createHash("sha256").update(der).digest("base64url").slice(0, 16);
+}
@@ -0,0 +1,139 @@
+import crypto from "crypto";
+import { createJsonStore } from "./store.js";
+
+/* ---------------- Learner codes ----------------
+   Each learner gets their own access code (e.g. one per Payhip purchase).
+   The code identifies the learner, so every attempt can be tied to them.
+   Codes are case-insensitive and stored upper-cased. Codes issued for a
+   purchase may carry an expiry, a use limit (successful unlocks) and are
+   revoked when the purchase is refunded.
+----------------------------------------------------------------------- */
+const store = createJsonStore("learners", { learners: [] });
+
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O/1/I
+
+export function normaliseCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+function randomBlock(n) {
+  let out = "";
+  for (let i = 0; i < n; i++) out += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return out;
+}
+
+export function generateCode(prefix = "FETHINK") {
+  return `${prefix}-${randomBlock(4)}-${randomBlock(4)}`;
+}
+
+export function findLearnerByCode(code) {
+  const wanted = normaliseCode(code);
+  if (!wanted) return null;
+  return store.read().learners.find(l => l.code === wanted) || null;
+}
+
+export function findLearner(learnerId) {
+  return store.read().learners.find(l => l.id === learnerId) || null;
+}
+
+export function findLearnerByPurchase(purchaseId) {
+  if (!purchaseId) return null;
+  return store.read().learners.find(l => l.purchaseId === String(purchaseId)) || null;
+}
+
+export function issueLearnerCode({ learnerId, name = "", email = "", purchaseId = null, expiresAt = null, maxUses = null } = {}) {
+  return store.update(data => {
+    const taken = new Set(data.learners.map(l => l.code));
+    let code;
+    do code = generateCode(); while (taken.has(code));
+
+    const id = String(learnerId || "").trim() || `learner-${crypto.randomUUID()}`;
+    if (data.learners.some(l => l.id === id)) throw new Error(`Learner "${id}" already has a code`);
+
+    const learner = { id, name: String(name), email: String(email), code, createdAt: new Date().toISOString() };
+    if (purchaseId) {
+      Object.assign(learner, { purchaseId: String(purchaseId), expiresAt, maxUses, uses: 0, revokedAt: null });
+    }
+    data.learners.push(learner);
+    return learner;
+  });
+}
+
+export function listPurchaseCodes() {
+  return store.read().learners
+    .filter(l => l.purchaseId)
+    .map(l => ({
+      learnerId: l.id,
+      purchaseId: l.purchaseId,
+      email: l.email,
+      code: l.code,
+      createdAt: l.createdAt,
+      expiresAt: l.expiresAt,
+      uses: l.uses || 0,
+      maxUses: l.maxUses,
+      status: codeProblem(l)?.replace("code_", "") || "active"
+    }));
+}
+
+// Why a code can no longer be used, or null if it can.
+function codeProblem(learner, now = new Date()) {
+  if (learner.revokedAt) return "code_revoked";
+  if (learner.expiresAt && now >= new Date(learner.expiresAt)) return "code_expired";
+  if (learner.maxUses != null && (learner.uses || 0) >= learner.maxUses) return "code_used_up";
+  return null;
+}
+
+// Checks a code for /api/unlock and counts the use. Resolves to { learner } or { error }.
+export function redeemCode(code) {
+  const learner = findLearnerByCode(code);
+  if (!learner) return { error: "incorrect_code" };
+
+  const problem = codeProblem(learner);
+  if (problem) return { error: problem };
+
+  if (learner.maxUses != null) {
+    store.update(() => { learner.uses = (learner.uses || 0) + 1; });
+  }
+  return { learner };
+}
+
+// Buyers look up their own code with the purchase id and the email they bought with.
+// Resolves to { code } or { error }; an unknown purchase and a wrong email look the same.
+export function lookupPurchaseCode(purchaseId, email) {
+  const learner = findLearnerByPurchase(String(purchaseId || "").trim());
+  const wanted = String(email || "").trim().toLowerCase();
+  if (!learner || !wanted || learner.email.trim().toLowerCase() !== wanted) return { error: "purchase_not_found" };
+
+  const problem = codeProblem(learner);
+  return problem ? { error: problem } : { code: learner.code };
+}
+
+// Refunds: every code issued for the purchase stops working. Returns how many were revoked.
+export function revokePurchaseCodes(purchaseId) {
+  return store.update(data => {
+    const now = new Date().toISOString();
+    let n = 0;
+    for (const l of data.learners) {
+      if (l.purchaseId === String(purchaseId) && !l.revokedAt) {
+        l.revokedAt = now;
+        n++;
+      }
+    }
+    return n;
+  });
+}
+
+// Learners who arrive from the LMS (LTI launch) have no code; name and email follow the platform.
+export function upsertExternalLearner({ id, name = "", email = "" }) {
+  return store.update(data => {
+    let learner = data.learners.find(l => l.id === id);
+    if (!learner) {
+      learner = { id, name: String(name), email: String(email), code: null, createdAt: new Date().toISOString() };
+      data.learners.push(learner);
+    } else {
+      if (name) learner.name = String(name);
+      if (email) learner.email = String(email);
+    }
+    return learner;
+  });
+}
@@ -0,0 +1,211 @@
+import crypto from "crypto";
+import { createJsonStore } from "./store.js";
+import { decodeJwt, keyId, publicJwk, signJwt, verifyJwt } from "./jwt.js";
+
+/* ---------------- LTI 1.3 tool ----------------
+   One registered platform (the LMS), configured by env in server.js.
+   - OIDC third-party login: /lti/login redirects to the platform's auth
+     endpoint with a one-time state + nonce.
+   - Launch: the platform posts a signed id_token back; it is verified
+     against the platform's JWKS and turned into a learner + task.
+   - Assignment and Grade Services: scores are posted to the launch's line
+     item with a client_credentials token (signed client assertion).
+   Login state is kept in memory, which is fine for a single instance; the
+   routes also tie it to the browser that started the login (a cookie).
+----------------------------------------------------------------------- */
+export const LTI_CLAIM = "https://purl.imsglobal.org/spec/lti/claim/";
+export const AGS_CLAIM = "https://purl.imsglobal.org/spec/lti-ags/claim/endpoint";
+export const AGS_SCORE_SCOPE = "https://purl.imsglobal.org/spec/lti-ags/scope/score";
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const JWKS_TTL_MS = 10 * 60 * 1000;
+
+function withTimeout(ms) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ms);
+  return { signal: controller.signal, done: () => clearTimeout(timer) };
+}
+
+async function fetchJson(url, options = {}, timeoutMs = 10000) {
+  const t = withTimeout(timeoutMs);
+  try {
+    const res = await fetch(url, { ...options, signal: t.signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+    const text = await res.text();
+    return text ? JSON.parse(text) : {};
+  } catch (err) {
+    throw new Error(err.name === "AbortError" ? `timeout after ${timeoutMs}ms (${url})` : err.message);
+  } finally {
+    t.done();
+  }
+}
+
+// The tool's signing key: LTI_PRIVATE_KEY (PEM) if given, else one generated once and kept in DATA_DIR.
+export function loadToolKey(pem = "") {
+  if (pem) return crypto.createPrivateKey(pem);
+
+  const store = createJsonStore("lti-key", { privateKeyPem: null });
+  let stored = store.read().privateKeyPem;
+  if (!stored) {
+    const { privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    stored = privateKey.export({ format: "pem", type: "pkcs8" });
+    store.update(data => { data.privateKeyPem = stored; });
+  }
+  return crypto.createPrivateKey(stored);
+}
+
+// "a/b?x=1" + "/scores" -> "a/b/scores?x=1" (line item URLs may carry a query string)
+function scoresUrl(lineitem) {
+  const url = new URL(lineitem);
+  url.pathname = `${url.pathname.replace(/\/$/, "")}/scores`;
+  return url.toString();
+}
+
+export function createLtiTool({ platform, privateKey, log = console }) {
+  const kid = keyId(privateKey);
+  const states = new Map();     // state -> { nonce, expires }
+  const usedNonces = new Map(); // nonce -> expires
+  let jwksCache = { keys: [], fetchedAt: 0 };
+  let tokenCache = { token: "", expires: 0 };
+
+  function sweep() {
+    const now = Date.now();
+    for (const [k, v] of states) if (v.expires < now) states.delete(k);
+    for (const [k, v] of usedNonces) if (v < now) usedNonces.delete(k);
+  }
+
+  async function platformKeys(kidWanted) {
+    const stale = Date.now() - jwksCache.fetchedAt > JWKS_TTL_MS;
+    const missing = kidWanted && !jwksCache.keys.some(k => k.kid === kidWanted);
+    if (stale || missing) {
+      const jwks = await fetchJson(platform.jwksUrl);
+      jwksCache = { keys: Array.isArray(jwks.keys) ? jwks.keys : [], fetchedAt: Date.now() };
+    }
+    return jwksCache.keys;
+  }
+
+  return {
+    jwks() {
+      return { keys: [publicJwk(privateKey, kid)] };
+    },
+
+    // Step 1 of the OIDC flow. Returns { url, state }: the platform auth URL to
+    // redirect to and the state the launch must come back with. Throws if invalid.
+    beginLogin({ iss, login_hint, target_link_uri, lti_message_hint, client_id }, redirectUri) {
+      if (iss !== platform.issuer) throw new Error("unknown issuer");
+      if (client_id && client_id !== platform.clientId) throw new Error("unknown client_id");
+      if (!login_hint) throw new Error("missing login_hint");
+
+      sweep();
+      const state = crypto.randomBytes(16).toString("hex");
+      const nonce = crypto.randomBytes(16).toString("hex");
+      states.set(state, { nonce, expires: Date.now() + STATE_TTL_MS });
+
+      const url = new URL(platform.authUrl);
+      url.search = new URLSearchParams({
+        scope: "openid",
+        response_type: "id_token",
+        response_mode: "form_post",
+        prompt: "none",
+        client_id: platform.clientId,
+        redirect_uri: redirectUri || target_link_uri,
+        login_hint,
+        state,
+        nonce,
+        ...(lti_message_hint ? { lti_message_hint } : {})
+      }).toString();
+      return { url: url.toString(), state };
+    },
+
+    // Step 2: verify the posted id_token. Resolves to a normalised launch, or throws.
+    async verifyLaunch({ id_token, state }) {
+      const pending = states.get(String(state || ""));
+      states.delete(String(state || ""));
+      if (!pending || pending.expires < Date.now()) throw new Error("unknown or expired state");
+
+      const decoded = decodeJwt(id_token);
+      if (!decoded) throw new Error("malformed id_token");
+      const claims = verifyJwt(id_token, await platformKeys(decoded.header.kid));
+
+      const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (claims.iss !== platform.issuer) throw new Error("issuer mismatch");
+      if (!aud.includes(platform.clientId)) throw new Error("audience mismatch");
+      if (aud.length > 1 && claims.azp !== platform.clientId) throw new Error("azp mismatch");
+      if (claims.nonce !== pending.nonce || usedNonces.has(claims.nonce)) throw new Error("nonce mismatch");
+      usedNonces.set(claims.nonce, Date.now() + STATE_TTL_MS);
+
+      const deploymentId = claims[`${LTI_CLAIM}deployment_id`];
+      if (platform.deploymentIds.length && !platform.deploymentIds.includes(deploymentId)) {
+        throw new Error("unknown deployment");
+      }
+      if (claims[`${LTI_CLAIM}message_type`] !== "LtiResourceLinkRequest") throw new Error("unsupported message type");
+      if (claims[`${LTI_CLAIM}version`] !== "1.3.0") throw new Error("unsupported LTI version");
+      if (!claims.sub) throw new Error("missing sub");
+
+      const ags = claims[AGS_CLAIM];
+      const canScore = Boolean(ags?.lineitem) && Array.isArray(ags?.scope) && ags.scope.includes(AGS_SCORE_SCOPE);
+
+      return {
+        issuer: claims.iss,
+        userId: claims.sub,
+        name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(" "),
+        email: claims.email || "",
+        resourceLinkId: claims[`${LTI_CLAIM}resource_link`]?.id || "",
+        custom: claims[`${LTI_CLAIM}custom`] || {},
+        locale: claims[`${LTI_CLAIM}launch_presentation`]?.locale || "",
+        lineitem: canScore ? ags.lineitem : ""
+      };
+    },
+
+    async accessToken() {
+      if (tokenCache.token && tokenCache.expires > Date.now()) return tokenCache.token;
+
+      const now = Math.floor(Date.now() / 1000);
+      const assertion = signJwt({
+        iss: platform.clientId,
+        sub: platform.clientId,
+        aud: platform.tokenUrl,
+        iat: now,
+        exp: now + 300,
+        jti: crypto.randomUUID()
+      }, { privateKey, kid });
+
+      const data = await fetchJson(platform.tokenUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+          grant_type: "client_credentials",
+          client_assertion_type: "urn:ietf:params:oauth:client-assertion-type:jwt-bearer",
+          client_assertion: assertion,
+          scope: AGS_SCORE_SCOPE
+        }).toString()
+      });
+      if (!data.access_token) throw new Error("token endpoint returned no access_token");
+
+      // Refresh a minute early
+      tokenCache = { token: data.access_token, expires: Date.now() + Math.max(0, (data.expires_in || 3600) - 60) * 1000 };
+      return tokenCache.token;
+    },
+
+    // AGS score publish for one learner on the launch's line item.
+    async postScore({ lineitem, userId, scoreGiven, scoreMaximum }) {
+      const token = await this.accessToken();
+      await fetchJson(scoresUrl(lineitem), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/vnd.ims.lis.v1.score+json",
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          userId,
+          scoreGiven,
+          scoreMaximum,
+          activityProgress: "Completed",
+          gradingProgress: "FullyGraded",
+          timestamp: new Date().toISOString()
+        })
+      });
+      log.info?.(`[lti] score ${scoreGiven}/${scoreMaximum} sent for ${userId}`);
+    }
+  };
+}
@@ -0,0 +1,128 @@
+import { assembleResult, evaluateRubric, levelNoteId, wordCount } from "./rubric.js";
+import { checkIntegrity } from "./integrity.js";
+import { rankFramework } from "./framework.js";
+import { DEFAULT_LOCALE, localiseTask, t } from "./i18n.js";
+
+/* ---------------- Deterministic marker ----------------
+   - below the task's word gate: ONLY "Please add..." message; NO strengths/tags/grid/framework/model
+   - integrity flag (keyword stuffing, copied model answer / template / peer text, see
+     lib/integrity.js): the same withheld result with a message saying why
+   - otherwise: score + strengths + tags + grid + improvement notes + per-section feedback
+     + Learn more panel content (ranked by what the answer missed) + model answer
+   What earns credit is defined by the task's rubric (see lib/rubric.js).
+   options.locale picks the language of everything returned: the task's
+   per-locale text and the message catalogue, English where missing.
+----------------------------------------------------------------------- */
+function gatedResult(task, wc, locale) {
+  return {
+    gated: true,
+    wordCount: wc,
+    message: task.rubric.gateMessage || t(locale, "marking.gate"),
+    score: null,
+    levels: null,
+    feedback: null,
+    strengths: null,
+    tags: null,
+    grid: null,
+    notes: null,
+    noteIds: null,
+    sections: null,
+    framework: null,
+    modelAnswer: null
+  };
+}
+
+// Not marked: nothing is released, so the model answer cannot be harvested this way either.
+function integrityResult(task, wc, flags, locale) {
+  return {
+    ...gatedResult(task, wc, locale),
+    message: flags.map(f => f.message).join("\n\n"),
+    integrity: flags
+  };
+}
+
+function fullResult(task, evaluation, locale) {
+  const { score, levels, strengths, tags, grid, feedback, notes, noteIds, evidence, sections } = assembleResult(task.rubric, evaluation, locale);
+
+  // Framework content is available (collapsed) after the word gate.
+  // We always return it once the learner has earned full feedback,
+  // with the references for the rows that need work first.
+  return {
+    gated: false,
+    wordCount: evaluation.wordCount,
+    score,
+    levels,
+    strengths,
+    tags,
+    grid,
+    framework: rankFramework(task.framework, task.rubric, evaluation, locale),
+    feedback,
+    notes,
+    noteIds,
+    sections,
+    evidence,
+    modelAnswer: task.modelAnswer
+  };
+}
+
+// options.peerAnswers: other learners' answers to the same task, for the peer-copy check.
+// options.locale: language of the feedback (default English).
+export function markEthicsResponse(answerText, rawTask, options = {}) {
+  const locale = options.locale || DEFAULT_LOCALE;
+  const task = localiseTask(rawTask, locale);
+  const wc = wordCount(answerText);
+
+  // HARD GATE: under the task minimum (50 words) — no rubric, no model answer, no extras
+  if (wc < task.minWordsGate) return gatedResult(task, wc, locale);
+
+  const evaluation = evaluateRubric(task.rubric, answerText);
+  const flags = checkIntegrity(answerText, task, { evaluation, peerAnswers: options.peerAnswers, locale });
+  if (flags.length) return { ...integrityResult(task, wc, flags, locale), markedBy: "rules" };
+
+  return { ...fullResult(task, evaluation, locale), markedBy: "rules" };
+}
+
+/* ---------------- Marker with optional provider ----------------
+   A provider (e.g. lib/providers/llm.js) places the answer at a rubric
+   level per criterion. Marks, notes, strengths, tags and grid still come
+   from the rubric, so the result has the same shape as the deterministic
+   marker's; keyword evidence is kept for highlighting. On timeout,
+   malformed output or any other provider error we fall back to
+   markEthicsResponse. Integrity checks run first, so flagged answers never
+   reach the provider.
+----------------------------------------------------------------------- */
+export function createMarker({ provider = null, log = console } = {}) {
+  return {
+    provider: provider?.name || "rules",
+
+    async mark(answerText, rawTask, options = {}) {
+      const locale = options.locale || DEFAULT_LOCALE;
+      const task = localiseTask(rawTask, locale);
+      const wc = wordCount(answerText);
+      if (!provider || wc < task.minWordsGate) return markEthicsResponse(answerText, task, options);
+
+      const rules = evaluateRubric(task.rubric, answerText);
+      const flags = checkIntegrity(answerText, task, { evaluation: rules, peerAnswers: options.peerAnswers, locale });
+      if (flags.length) return { ...integrityResult(task, wc, flags, locale), markedBy: "rules" };
+
+      try {
+        const scored = await provider.scoreCriteria(answerText, task);
+
+        const criteria = rules.criteria.map((c, i) => {
+          const criterion = task.rubric.criteria[i];
+          const def = criterion.levels.find(l => l.level === scored[i].level);
+          return { ...c, level: def.level, marks: def.marks, note: def.note || null, noteId: levelNoteId(criterion, def) };
+        });
+
+        return {
+          ...fullResult(task, { ...rules, criteria }, locale),
+          markedBy: provider.name,
+          justifications: Object.fromEntries(scored.map(s => [s.id, s.justification]))
+        };
+      } catch (err) {
+        log.warn(`[marker] ${provider.name} failed for task "${task.id}", using rules: ${err.message}`);
+        return { ...fullResult(task, rules, locale), markedBy: "rules", fallback: true };
+      }
+    }
+  };
+}
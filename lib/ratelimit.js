@@ -0,0 +1,89 @@
+/* ---------------- Rate limiting ----------------
+   In-memory, per instance (fine for a single Render service).
+   - createRateLimiter: at most `max` requests per `windowMs` per key
+     (IP, learner session, ...), as Express middleware.
+   - createLockout: failed attempts per key; after `freeAttempts` failures
+     the key is locked out for baseMs, then 2x, 4x, ... up to maxMs.
+   Both answer 429 with a Retry-After header and { error, retryAfter }
+   (seconds) so the page can say when to try again.
+----------------------------------------------------------------------- */
+const SWEEP_MS = 60 * 1000;
+
+function tooMany(res, error, retryAfterMs) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ ok: false, error, retryAfter });
+}
+
+// Fixed window counter per key.
+export function createRateLimiter({ name, windowMs, max, keyFn = req => req.ip, log = console }) {
+  const hits = new Map(); // key -> { count, resetAt }
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [k, v] of hits) if (v.resetAt <= now) hits.delete(k);
+  }, SWEEP_MS).unref();
+
+  return function rateLimit(req, res, next) {
+    if (!max) return next();
+
+    const key = keyFn(req);
+    const now = Date.now();
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count++;
+    if (entry.count > max) {
+      if (entry.count === max + 1) log.warn(`[ratelimit] ${name}: limit of ${max} reached for ${key}`);
+      return tooMany(res, "rate_limited", entry.resetAt - now);
+    }
+    next();
+  };
+}
+
+// Exponential backoff on repeated failures (e.g. wrong access codes).
+export function createLockout({ name, freeAttempts = 5, baseMs = 60 * 1000, maxMs = 60 * 60 * 1000, log = console }) {
+  const failures = new Map(); // key -> { count, lockedUntil, lastAt }
+
+  // Failures are forgotten once a key has been quiet for twice the longest lockout.
+  setInterval(() => {
+    const now = Date.now();
+    for (const [k, v] of failures) if (now - v.lastAt > 2 * maxMs) failures.delete(k);
+  }, SWEEP_MS).unref();
+
+  return {
+    // Middleware: rejects while the key is locked out.
+    guard(keyFn = req => req.ip) {
+      return (req, res, next) => {
+        const entry = failures.get(keyFn(req));
+        const wait = entry ? entry.lockedUntil - Date.now() : 0;
+        if (wait > 0) return tooMany(res, "locked_out", wait);
+        next();
+      };
+    },
+
+    // Returns the lockout length in ms (0 if none was imposed).
+    fail(key) {
+      const now = Date.now();
+      const entry = failures.get(key) || { count: 0, lockedUntil: 0, lastAt: now };
+      entry.count++;
+      entry.lastAt = now;
+
+      let lockMs = 0;
+      if (entry.count >= freeAttempts) {
+        lockMs = Math.min(maxMs, baseMs * 2 ** (entry.count - freeAttempts));
+        entry.lockedUntil = now + lockMs;
+        log.warn(`[ratelimit] ${name}: ${key} locked out for ${Math.ceil(lockMs / 60000)} min after ${entry.count} failures`);
+      }
+      failures.set(key, entry);
+      return lockMs;
+    },
+
+    succeed(key) {
+      failures.delete(key);
+    }
+  };
+}
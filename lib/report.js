@@ -0,0 +1,194 @@
+import PDFDocument from "pdfkit";
+import { createRequire } from "module";
+import { DEFAULT_LOCALE, t } from "./i18n.js";
+
+/* ---------------- Feedback report ----------------
+   A standalone copy of one marked attempt for the learner's CPD portfolio:
+   question, answer, score, strengths, tags, competency grid, improvement
+   notes, any tutor moderation and (optionally) the model answer. Rendered as printable HTML or
+   as a PDF built locally with pdfkit. Headings are in `locale`; the
+   feedback itself stays in the language it was marked in.
+----------------------------------------------------------------------- */
+const REPORT_LABELS = ["brand", "title", "print", "score", "wordCount", "task", "answer",
+  "feedback", "strengths", "tags", "grid", "notes", "model", "moderated", "tutorComment"];
+
+export function buildReport({ task, answerText, result, createdAt, includeModelAnswer = false, locale = DEFAULT_LOCALE }) {
+  const gridRows = task.rubric.criteria
+    .filter(c => c.grid)
+    .map(c => ({ label: c.gridLabel || c.label || c.grid, status: result.grid?.[c.grid] || "—" }));
+
+  return {
+    locale,
+    labels: Object.fromEntries(REPORT_LABELS.map(k => [k, t(locale, `report.${k}`)])),
+    title: task.title,
+    createdAt: createdAt || new Date().toISOString(),
+    questionText: task.questionText,
+    answerText,
+    gated: Boolean(result.gated),
+    message: result.message || "",
+    score: result.score,
+    maxScore: task.rubric.maxScore ?? 10,
+    wordCount: result.wordCount,
+    strengths: result.strengths || [],
+    tags: (result.tags || []).map(tag => ({ name: tag.name, status: t(locale, `tag.${tag.status}`) })),
+    gridRows,
+    notes: result.notes || [],
+    feedback: result.feedback || "",
+    moderated: result.moderated || null,
+    modelAnswer: includeModelAnswer && !result.gated ? result.modelAnswer || "" : ""
+  };
+}
+
+function formatDate(iso, locale) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toLocaleString(`${locale}-GB`, { dateStyle: "long", timeStyle: "short" });
+}
+
+// PDF fonts: pdfkit's built-in Helvetica only covers WinAnsi, which has no ŵ or ŷ (Welsh)
+// nor the grid's ✓ ◐ ✗, so a Unicode font is embedded instead.
+const require = createRequire(import.meta.url);
+const PDF_FONT = require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans.ttf");
+const PDF_FONT_BOLD = require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf");
+
+/* ---------------- HTML ---------------- */
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+const REPORT_CSS = `
+  body{ font-family: system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif; color:#111827; margin:0; line-height:1.55; font-size:14px; }
+  main{ max-width: 760px; margin: 0 auto; padding: 32px 24px; }
+  header{ border-bottom: 3px solid #794BA7; padding-bottom: 12px; margin-bottom: 20px; }
+  h1{ font-size: 20px; margin: 0; } h2{ font-size: 15px; margin: 24px 0 8px; }
+  .subtle{ color:#6b7280; font-size: 12px; }
+  .metrics{ display:flex; gap:16px; margin-top: 12px; }
+  .metric{ border:1px solid #e5e7eb; border-radius: 12px; padding: 10px 14px; }
+  .metric b{ display:block; font-size: 20px; }
+  .box{ border:1px solid #e5e7eb; border-radius: 12px; padding: 12px 14px; white-space: pre-wrap; background:#f8fafc; }
+  table{ width:100%; border-collapse: collapse; } td{ padding: 6px 8px; border-bottom: 1px solid #e5e7eb; }
+  td:last-child{ text-align:right; font-weight: 700; }
+  .tags span{ display:inline-block; border:1px solid #e5e7eb; border-radius: 999px; padding: 4px 10px; margin: 0 6px 6px 0; font-size: 12px; font-weight: 700; }
+  .printBtn{ float:right; }
+  @media print{ .printBtn{ display:none; } main{ padding: 0; } }
+`;
+
+export function renderReportHtml(r) {
+  const L = r.labels;
+  const list = items => `<ul>${items.map(i => `<li>${escapeHtml(i)}</li>`).join("")}</ul>`;
+
+  const moderation = r.moderated
+    ? `<h2>${escapeHtml(L.moderated)}</h2>` +
+      (r.moderated.comment ? `<div class="box"><b>${escapeHtml(L.tutorComment)}:</b> ${escapeHtml(r.moderated.comment)}</div>` : "")
+    : "";
+
+  const body = r.gated
+    ? `<h2>${escapeHtml(L.feedback)}</h2><div class="box">${escapeHtml(r.message)}</div>`
+    : `
+      <h2>${escapeHtml(L.strengths)}</h2>
+      ${r.strengths.length ? list(r.strengths) : `<p class="subtle">—</p>`}
+      <h2>${escapeHtml(L.tags)}</h2>
+      <div class="tags">${r.tags.map(t => `<span>${escapeHtml(t.name)}: ${escapeHtml(t.status)}</span>`).join("")}</div>
+      <h2>${escapeHtml(L.grid)}</h2>
+      <table>${r.gridRows.map(g => `<tr><td>${escapeHtml(g.label)}</td><td>${escapeHtml(g.status)}</td></tr>`).join("")}</table>
+      <h2>${escapeHtml(L.notes)}</h2>
+      <div class="box">${escapeHtml(r.feedback)}</div>
+      ${r.modelAnswer ? `<h2>${escapeHtml(L.model)}</h2><div class="box">${escapeHtml(r.modelAnswer)}</div>` : ""}`;
+
+  return `<!doctype html>
+<html lang="${escapeHtml(r.locale)}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>${escapeHtml(L.title)} — ${escapeHtml(r.title)}</title>
+  <style>${REPORT_CSS}</style>
+</head>
+<body>
+  <main>
+    <header>
+      <button class="printBtn" onclick="window.print()">${escapeHtml(L.print)}</button>
+      <div class="subtle">${escapeHtml(L.brand)}</div>
+      <h1>${escapeHtml(r.title)}</h1>
+      <div class="subtle">${escapeHtml(formatDate(r.createdAt, r.locale))}${r.moderated ? ` • ${escapeHtml(L.moderated)}` : ""}</div>
+      <div class="metrics">
+        <div class="metric"><span class="subtle">${escapeHtml(L.score)}</span><b>${r.gated ? "—" : `${r.score}/${r.maxScore}`}</b></div>
+        <div class="metric"><span class="subtle">${escapeHtml(L.wordCount)}</span><b>${r.wordCount}</b></div>
+      </div>
+    </header>
+
+    <h2>${escapeHtml(L.task)}</h2>
+    <div class="box">${escapeHtml(r.questionText)}</div>
+
+    <h2>${escapeHtml(L.answer)}</h2>
+    <div class="box">${escapeHtml(r.answerText)}</div>
+    ${moderation}
+    ${body}
+  </main>
+</body>
+</html>
+`;
+}
+
+/* ---------------- PDF ---------------- */
+export function renderReportPdf(r) {
+  return new Promise((resolve, reject) => {
+    const L = r.labels;
+    const doc = new PDFDocument({ size: "A4", margin: 56, info: { Title: `${L.title} — ${r.title}`, Author: "FEthink" } });
+    const chunks = [];
+    doc.on("data", c => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.registerFont("Body", PDF_FONT);
+    doc.registerFont("Bold", PDF_FONT_BOLD);
+
+    const muted = "#6b7280";
+    const heading = text => doc.moveDown(0.8).font("Bold").fontSize(12).fillColor("#111827").text(text).moveDown(0.3);
+    const para = text => doc.font("Body").fontSize(10).fillColor("#111827").text(text, { lineGap: 2 });
+
+    doc.font("Body").fontSize(9).fillColor(muted).text(L.brand);
+    doc.font("Bold").fontSize(18).fillColor("#111827").text(r.title);
+    doc.font("Body").fontSize(9).fillColor(muted).text(formatDate(r.createdAt, r.locale));
+    doc.moveDown(0.5).font("Bold").fontSize(12).fillColor("#111827")
+      .text(`${L.score}: ${r.gated ? "—" : `${r.score}/${r.maxScore}`}     ${L.wordCount}: ${r.wordCount}`);
+
+    heading(L.task);
+    para(r.questionText);
+
+    heading(L.answer);
+    para(r.answerText);
+
+    if (r.moderated) {
+      heading(L.moderated);
+      if (r.moderated.comment) para(`${L.tutorComment}: ${r.moderated.comment}`);
+    }
+
+    if (r.gated) {
+      heading(L.feedback);
+      para(r.message);
+    } else {
+      heading(L.strengths);
+      para(r.strengths.length ? r.strengths.map(s => `• ${s}`).join("\n") : "—");
+
+      heading(L.tags);
+      para(r.tags.map(t => `${t.name}: ${t.status}`).join("   •   "));
+
+      heading(L.grid);
+      for (const g of r.gridRows) para(`${g.label}: ${g.status}`);
+
+      heading(L.notes);
+      para(r.feedback);
+
+      if (r.modelAnswer) {
+        heading(L.model);
+        para(r.modelAnswer);
+      }
+    }
+
+    doc.end();
+  });
+}
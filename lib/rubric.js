@@ -0,0 +1,444 @@
+/* ---------------- Declarative rubric engine ----------------
+   A rubric is plain data stored with each task:
+
+   rubric: {
+     maxScore, gateMessage, strongFeedback, maxStrengths,
+     sections: [...],                  // the template's sections (see lib/sections.js)
+     criteria: [{
+       id, label, grid, gridLabel,     // grid row this criterion drives
+       section?,                       // mark only this section's text
+       signals: { name: <signal> },    // what to look for in the answer
+       levels: [{ level, marks, when?, note? }],  // first match wins
+       strength: { minLevel, text }
+     }],
+     tags: [{ name, criteria: [ids] }],  // tag level = best of its criteria
+     lengthNotes: [{ below|above, note }],
+     hints: [{ id, label, criterion, when, template? }]  // live checklist while writing
+   }
+
+   Signals:
+     { keywords: [...] }              -> true/false (any keyword present)
+     { themes: [{ key, keywords }] }  -> number of themes present
+     { pattern, flags? }              -> number of regex matches
+     { blanks: true }                 -> number of template placeholders left
+                                         empty (in the criterion's section, or all)
+     { filled: true }                 -> number of template placeholders written
+                                         in ("Action 1: Encrypt the footage")
+   Keywords match on word boundaries after stemming (see lib/text.js).
+   Denials ("no problem with fairness") never count. Negated hits ("did not
+   consider bias") count unless the signal sets negated: false, and hedged
+   hits ("might be unfair") count unless it sets hedged: false.
+
+   Conditions ("when"):
+     { <signal>: true|false }         -> signal truthiness
+     { <signal>: { gte|gt|lte|lt|eq: n } }
+     { all: [conditions] } / { any: [conditions] }
+   A level without "when" always matches, so the last level is the fallback.
+
+   A criterion with a section is marked on that section alone when the
+   answer uses the template headings; an answer without them is marked as
+   a whole. The result lists each section with its status, blank
+   placeholders and notes, so the page can say which section needs work.
+
+   Hints test one criterion's signals with the same conditions. They only
+   say met / not met, so the checklist never gives away marks or levels.
+   The response template's own wording is ignored ("Impact on trust or
+   fairness:" is not a key term) unless the hint sets template: true.
+
+   Score, tags and grid are all derived from the criterion levels, so they
+   cannot disagree with each other.
+
+   Any learner-facing text (labels, notes, strengths, messages, tag names)
+   may be given per locale, e.g. { "en": "...", "cy": "..." }; the marker
+   picks one before the rubric is used (see lib/i18n.js).
+----------------------------------------------------------------------- */
+import { analyseText, findKeywords, sentenceText } from "./text.js";
+import { keepSpans, segmentAnswer } from "./sections.js";
+import { DEFAULT_LOCALE, t } from "./i18n.js";
+
+const COMPARATORS = {
+  gte: (a, b) => a >= b,
+  gt: (a, b) => a > b,
+  lte: (a, b) => a <= b,
+  lt: (a, b) => a < b,
+  eq: (a, b) => a === b
+};
+
+/* ---------------- Status helpers ---------------- */
+export function statusFromLevel(level, locale = DEFAULT_LOCALE) {
+  // level: 2=secure, 1=developing, 0=missing
+  if (level >= 2) return t(locale, "status.secure");
+  if (level === 1) return t(locale, "status.developing");
+  return t(locale, "status.missing");
+}
+
+export function tagStatus(level) {
+  // returns ok/mid/bad for UI
+  if (level >= 2) return "ok";
+  if (level === 1) return "mid";
+  return "bad";
+}
+
+// The grid rows a rubric drives, in criterion order: [{ row, label }]. `rubric` must already be localised.
+export function gridRows(rubric) {
+  const rows = new Map();
+  for (const c of rubric.criteria) {
+    if (c.grid && !rows.has(c.grid)) rows.set(c.grid, { row: c.grid, label: c.gridLabel || c.label || c.grid });
+  }
+  return [...rows.values()];
+}
+
+/* ---------------- Text helpers ---------------- */
+export function wordCount(text) {
+  const t = String(text || "").trim();
+  if (!t) return 0;
+  return t.split(/\s+/).filter(Boolean).length;
+}
+
+/* ---------------- Validation ----------------
+   Run when a task is loaded so a typo in a rubric file fails at startup
+   rather than silently mis-marking learners.
+----------------------------------------------------------------------- */
+function signalKind(signal) {
+  if (Array.isArray(signal?.keywords)) return "keywords";
+  if (Array.isArray(signal?.themes)) return "themes";
+  if (typeof signal?.pattern === "string") return "pattern";
+  if (signal?.blanks === true) return "blanks";
+  if (signal?.filled === true) return "filled";
+  return null;
+}
+
+function validateCondition(cond, signalNames, where) {
+  if (!cond || typeof cond !== "object") throw new Error(`${where}: condition must be an object`);
+
+  for (const [key, value] of Object.entries(cond)) {
+    if (key === "all" || key === "any") {
+      if (!Array.isArray(value) || value.length === 0) throw new Error(`${where}: "${key}" needs a non-empty list`);
+      value.forEach(c => validateCondition(c, signalNames, where));
+      continue;
+    }
+    if (!signalNames.has(key)) throw new Error(`${where}: unknown signal "${key}"`);
+    if (typeof value === "boolean") continue;
+    const ops = Object.keys(value || {});
+    if (ops.length === 0 || ops.some(op => !COMPARATORS[op])) {
+      throw new Error(`${where}: signal "${key}" needs true/false or one of ${Object.keys(COMPARATORS).join(", ")}`);
+    }
+  }
+}
+
+export function validateRubric(rubric, label = "rubric") {
+  if (!rubric || !Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+    throw new Error(`${label}: needs at least one criterion`);
+  }
+
+  const sectionIds = new Set();
+  for (const section of rubric.sections || []) {
+    const where = `${label}: section "${section?.id}"`;
+    if (!section?.id) throw new Error(`${label}: every section needs an id`);
+    if (sectionIds.has(section.id)) throw new Error(`${where} is defined twice`);
+    if (!Number.isInteger(section.number) && !section.headings?.length) throw new Error(`${where}: needs a number or headings`);
+    sectionIds.add(section.id);
+  }
+
+  const ids = new Set();
+  for (const c of rubric.criteria) {
+    const where = `${label}: criterion "${c?.id}"`;
+    if (!c?.id) throw new Error(`${label}: every criterion needs an id`);
+    if (ids.has(c.id)) throw new Error(`${where} is defined twice`);
+    ids.add(c.id);
+    if (c.section && !sectionIds.has(c.section)) throw new Error(`${where}: unknown section "${c.section}"`);
+
+    const signalNames = new Set(Object.keys(c.signals || {}));
+    for (const [name, signal] of Object.entries(c.signals || {})) {
+      if (!signalKind(signal)) throw new Error(`${where}: signal "${name}" needs keywords, themes, pattern, blanks or filled`);
+      if (signalKind(signal) === "pattern") new RegExp(signal.pattern, withGlobal(signal.flags));
+    }
+
+    if (!Array.isArray(c.levels) || c.levels.length === 0) throw new Error(`${where}: needs levels`);
+    c.levels.forEach(l => {
+      if (!Number.isInteger(l.level) || !Number.isFinite(l.marks)) throw new Error(`${where}: each level needs integer level and numeric marks`);
+      if (l.when) validateCondition(l.when, signalNames, where);
+    });
+    if (c.levels[c.levels.length - 1].when) throw new Error(`${where}: last level must have no "when" (fallback)`);
+  }
+
+  for (const tag of rubric.tags || []) {
+    for (const id of tag.criteria || []) {
+      if (!ids.has(id)) throw new Error(`${label}: tag "${tag.name}" refers to unknown criterion "${id}"`);
+    }
+  }
+
+  const hintIds = new Set();
+  for (const hint of rubric.hints || []) {
+    const where = `${label}: hint "${hint?.id}"`;
+    if (!hint?.id || !hint.label) throw new Error(`${label}: every hint needs an id and a label`);
+    if (hintIds.has(hint.id)) throw new Error(`${where} is defined twice`);
+    hintIds.add(hint.id);
+
+    const criterion = rubric.criteria.find(c => c.id === hint.criterion);
+    if (!criterion) throw new Error(`${where} refers to unknown criterion "${hint.criterion}"`);
+    if (!hint.when) throw new Error(`${where}: needs a "when" condition`);
+    validateCondition(hint.when, new Set(Object.keys(criterion.signals || {})), where);
+  }
+
+  return rubric;
+}
+
+/* ---------------- Evaluation ---------------- */
+// Why a hit does not count, or null if it does.
+function ignoredBecause(hit, signal) {
+  if (hit.denied) return "denied";
+  if (hit.negated && signal.negated === false) return "negated";
+  if (hit.hedged && signal.hedged === false) return "hedged";
+  return null;
+}
+
+function keywordEvidence(doc, signal, keywords, extra) {
+  return findKeywords(doc, keywords).map(hit => {
+    const reason = ignoredBecause(hit, signal);
+    return {
+      ...extra,
+      keyword: hit.keyword,
+      text: hit.text,
+      start: hit.start,
+      end: hit.end,
+      sentence: sentenceText(doc, hit.sentence),
+      counted: !reason,
+      ...(reason ? { reason } : {})
+    };
+  });
+}
+
+// Returns { value, evidence } for one signal. `placeholders`: the template placeholders in scope.
+function evaluateSignal(name, signal, doc, placeholders) {
+  switch (signalKind(signal)) {
+    case "keywords": {
+      const evidence = keywordEvidence(doc, signal, signal.keywords, { signal: name });
+      return { value: evidence.some(e => e.counted), evidence };
+    }
+    case "themes": {
+      const evidence = signal.themes.flatMap(theme =>
+        keywordEvidence(doc, signal, theme.keywords, { signal: name, theme: theme.key }));
+      const found = new Set(evidence.filter(e => e.counted).map(e => e.theme));
+      return { value: found.size, evidence };
+    }
+    case "pattern": {
+      const evidence = Array.from(doc.text.matchAll(new RegExp(signal.pattern, withGlobal(signal.flags))), m => ({
+        signal: name,
+        text: m[0],
+        start: m.index,
+        end: m.index + m[0].length,
+        sentence: sentenceText(doc, doc.sentences.findIndex(s => m.index < s.end)),
+        counted: true
+      }));
+      return { value: evidence.length, evidence };
+    }
+    case "blanks":
+      return { value: placeholders.filter(p => p.blank).length, evidence: [] };
+    case "filled":
+      return { value: placeholders.filter(p => !p.blank).length, evidence: [] };
+    default:
+      return { value: null, evidence: [] };
+  }
+}
+
+function withGlobal(flags = "gi") {
+  return flags.includes("g") ? flags : `${flags}g`;
+}
+
+function matches(cond, values) {
+  return Object.entries(cond).every(([key, value]) => {
+    if (key === "all") return value.every(c => matches(c, values));
+    if (key === "any") return value.some(c => matches(c, values));
+    if (typeof value === "boolean") return Boolean(values[key]) === value;
+    return Object.entries(value).every(([op, n]) => COMPARATORS[op](Number(values[key]), n));
+  });
+}
+
+// Evaluates every criterion and returns its level, marks, note and the
+// evidence (which words in which sentence) behind each signal, plus the
+// answer's sections. `segments` (from segmentAnswer) may be passed in when
+// the text has been altered in place, e.g. by evaluateHints.
+export function evaluateRubric(rubric, answerText, { segments = null } = {}) {
+  const text = String(answerText || "");
+  const doc = analyseText(text);
+  const { segmented, sections } = segments || segmentAnswer(text, rubric.sections);
+
+  // One analysed copy per section: only that section's own text, the rest blanked.
+  const sectionDocs = new Map();
+  const docFor = c => {
+    if (!c.section || !segmented) return doc;
+    if (!sectionDocs.has(c.section)) {
+      const section = sections.find(s => s.id === c.section);
+      sectionDocs.set(c.section, analyseText(keepSpans(text, section.spans)));
+    }
+    return sectionDocs.get(c.section);
+  };
+
+  const criteria = rubric.criteria.map(c => {
+    const signals = {};
+    const evidence = [];
+    const inScope = c.section ? sections.filter(s => s.id === c.section) : sections;
+    const placeholders = inScope.flatMap(s => s.placeholders);
+    for (const [name, signal] of Object.entries(c.signals || {})) {
+      const out = evaluateSignal(name, signal, docFor(c), placeholders);
+      signals[name] = out.value;
+      evidence.push(...out.evidence);
+    }
+    const hit = c.levels.find(l => !l.when || matches(l.when, signals));
+    return {
+      id: c.id,
+      level: hit.level,
+      marks: hit.marks,
+      note: hit.note || null,
+      noteId: levelNoteId(c, hit),
+      signals,
+      evidence
+    };
+  });
+
+  return {
+    wordCount: wordCount(doc.text),
+    criteria,
+    segmented,
+    sections: sections.map(({ id, found, placeholders }) => ({ id, found, placeholders }))
+  };
+}
+
+// Blanks out each template line ("- Impact on individuals:") wherever it appears in the answer.
+function withoutTemplate(answerText, templateText) {
+  const lines = String(templateText || "").split("\n")
+    .map(line => line.replace(/^[\s\-*•]+/, "").trim())
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+  let text = String(answerText || "");
+  for (const line of lines) {
+    const escaped = line.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    text = text.replace(new RegExp(escaped, "gi"), m => " ".repeat(m.length));
+  }
+  return text;
+}
+
+// The writing checklist: [{ id, label, met }] for each hint, nothing else.
+export function evaluateHints(rubric, answerText, { templateText = "" } = {}) {
+  if (!rubric.hints?.length) return [];
+
+  // Blanking keeps offsets, so both texts share the full answer's sections.
+  const segments = segmentAnswer(answerText, rubric.sections);
+  const signalsIn = text => new Map(evaluateRubric(rubric, text, { segments }).criteria.map(c => [c.id, c.signals]));
+  const full = signalsIn(answerText);
+  const own = templateText ? signalsIn(withoutTemplate(answerText, templateText)) : full;
+
+  return rubric.hints.map(hint => ({
+    id: hint.id,
+    label: hint.label,
+    met: matches(hint.when, (hint.template ? full : own).get(hint.criterion) || {})
+  }));
+}
+
+/* ---------------- Result assembly ----------------
+   Turns criterion levels into the learner-facing result: score,
+   per-criterion levels, strengths, tags, grid and improvement notes.
+   `rubric` must already be localised; grid statuses and the fixed
+   wording come from the locale's message catalogue.
+----------------------------------------------------------------------- */
+export function assembleResult(rubric, evaluation, locale = DEFAULT_LOCALE) {
+  const byId = new Map(evaluation.criteria.map(c => [c.id, c]));
+  const levelOf = id => Math.min(2, byId.get(id)?.level ?? 0);
+
+  // noteIds name each note whatever its language (see noteText)
+  const noted = evaluation.criteria.filter(c => c.note);
+  const notes = noted.map(c => c.note);
+  const noteIds = noted.map(c => c.noteId);
+  (rubric.lengthNotes || []).forEach((rule, i) => {
+    if ((rule.below != null && evaluation.wordCount < rule.below) || (rule.above != null && evaluation.wordCount > rule.above)) {
+      notes.push(rule.note);
+      noteIds.push(`length#${i}`);
+    }
+  });
+
+  const maxScore = rubric.maxScore ?? 10;
+  const rawScore = evaluation.criteria.reduce((sum, c) => sum + c.marks, 0);
+  const score = Math.max(0, Math.min(maxScore, rawScore));
+
+  const strengths = rubric.criteria
+    .filter(c => c.strength && levelOf(c.id) >= (c.strength.minLevel ?? 2))
+    .map(c => c.strength.text)
+    .slice(0, rubric.maxStrengths ?? 3);
+
+  const tags = (rubric.tags || []).map(tag => ({
+    name: tag.name,
+    status: tagStatus(Math.max(0, ...tag.criteria.map(levelOf)))
+  }));
+
+  const grid = {};
+  for (const c of rubric.criteria) {
+    if (c.grid) grid[c.grid] = statusFromLevel(levelOf(c.id), locale);
+  }
+
+  const feedback =
+    notes.length === 0
+      ? (rubric.strongFeedback || t(locale, "marking.strong"))
+      : t(locale, "marking.toImprove") + "\n- " + notes.join("\n- ");
+
+  // Character offsets of every hit, per criterion, for highlighting the answer
+  const evidence = Object.fromEntries(rubric.criteria.map(c => [c.id, {
+    label: c.label || c.id,
+    hits: byId.get(c.id)?.evidence || []
+  }]));
+
+  const levels = Object.fromEntries(rubric.criteria.map(c => [c.id, byId.get(c.id)?.level ?? 0]));
+
+  const sections = assembleSections(rubric, evaluation, levelOf, locale);
+
+  return { score, levels, strengths, tags, grid, feedback, notes, noteIds, evidence, sections };
+}
+
+// Id of the note a criterion's level gives, or null if it gives none. Length notes are "length#<index>".
+export function levelNoteId(criterion, level) {
+  return level.note ? `criterion:${criterion.id}#${criterion.levels.indexOf(level)}` : null;
+}
+
+// A note's text from its id (see levelNoteId), or null if the rubric has no such note.
+export function noteText(rubric, noteId) {
+  const id = String(noteId || "");
+  const at = id.lastIndexOf("#");
+  const owner = id.slice(0, at);
+  const rules = owner === "length"
+    ? rubric.lengthNotes
+    : rubric.criteria.find(c => `criterion:${c.id}` === owner)?.levels;
+  return rules?.[Number(id.slice(at + 1))]?.note ?? null;
+}
+
+// Per-section feedback: [{ id, label, found, status, needsWork, blanks, notes }].
+// A section's level is its weakest criterion's; blank placeholders cap it at developing.
+function assembleSections(rubric, evaluation, levelOf, locale) {
+  if (!rubric.sections?.length) return null;
+  const byId = new Map(evaluation.criteria.map(c => [c.id, c]));
+
+  return rubric.sections.map(section => {
+    const seg = evaluation.sections?.find(s => s.id === section.id) || { found: false, placeholders: [] };
+    const criteria = rubric.criteria.filter(c => c.section === section.id);
+    const blanks = seg.placeholders.filter(p => p.blank).map(p => p.label);
+    const missing = evaluation.segmented && !seg.found;
+
+    let level = criteria.length ? Math.min(...criteria.map(c => levelOf(c.id))) : 2;
+    if (missing) level = 0;
+    else if (blanks.length) level = Math.min(level, 1);
+
+    const notes = [];
+    if (missing) notes.push(t(locale, "sections.missing", { section: section.label || section.id }));
+    if (blanks.length) notes.push(t(locale, "sections.blank", { items: blanks.join(", ") }));
+    notes.push(...criteria.map(c => byId.get(c.id)?.note).filter(Boolean));
+
+    return {
+      id: section.id,
+      label: section.label || section.id,
+      found: Boolean(seg.found),
+      status: statusFromLevel(level, locale),
+      needsWork: level < 2,
+      blanks,
+      notes
+    };
+  });
+}
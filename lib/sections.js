@@ -0,0 +1,138 @@
+/* ---------------- Answer sections ----------------
+   Splits an answer into the response template's sections so each rubric
+   criterion can be marked on its own section (a recommendation written
+   under "Failures" is not a recommendation). A rubric lists its sections:
+
+     sections: [{
+       id, label,                  // label is what the learner sees
+       number,                     // "1)" / "1." at the start of a short line
+       headings: [phrases],        // a short line containing one of these
+       placeholders: [labels]      // "Failure 1" etc. from the template bullets
+     }]
+
+   A section runs from its heading to the next section's heading. Inside
+   it, the template's own wording (the heading line and the placeholder
+   labels) is not the learner's text, so it is left out of `spans`. A
+   placeholder with nothing written after it is reported as blank.
+   An answer with no recognisable headings is not segmented at all.
+----------------------------------------------------------------------- */
+
+// A heading line is short; a longer line containing the phrase is prose.
+const MAX_HEADING_WORDS = 10;
+
+const HAS_TEXT = /[\p{L}\p{N}]/u;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function lines(text) {
+  const out = [];
+  let start = 0;
+  for (const line of text.split("\n")) {
+    out.push({ text: line, start, end: start + line.length });
+    start += line.length + 1;
+  }
+  return out;
+}
+
+const NUMBER = /^\s*(\d+)[.)](?:\s|$)/;
+
+// The line without its number or bullet, if it is short enough to be a heading.
+function headingText(line) {
+  const plain = line.text.replace(NUMBER, "").replace(/^[\s\-*•#]+/, "").trim().toLowerCase();
+  return plain.split(/\s+/).length > MAX_HEADING_WORDS ? null : plain;
+}
+
+// A short line with one of the section's phrases (and its number, if numbered).
+function isNamedHeading(line, section) {
+  const numbered = line.text.match(NUMBER);
+  if (numbered && Number(numbered[1]) !== section.number) return false;
+  const plain = headingText(line);
+  return Boolean(plain) && (section.headings || []).some(h => plain.includes(String(h).toLowerCase()));
+}
+
+// A short line starting with the section's number ("2)"), whatever it says.
+function isNumberedHeading(line, section) {
+  const numbered = line.text.match(NUMBER);
+  return Boolean(numbered) && Number(numbered[1]) === section.number && headingText(line) != null;
+}
+
+// Placeholders ("- Failure 1:") inside one section, each with the text written after it.
+function findPlaceholders(text, section, from, to) {
+  const found = [];
+  for (const label of section.placeholders || []) {
+    const re = new RegExp(`^[ \\t]*(?:[-*•][ \\t]*)?${escapeRegExp(label)}[ \\t]*:?`, "gim");
+    re.lastIndex = from;
+    const m = re.exec(text);
+    if (m && m.index < to) found.push({ label, start: m.index, end: m.index + m[0].length });
+  }
+  found.sort((a, b) => a.start - b.start);
+
+  return found.map((p, i) => {
+    const contentEnd = i + 1 < found.length ? found[i + 1].start : to;
+    return { ...p, blank: !HAS_TEXT.test(text.slice(p.end, contentEnd)) };
+  });
+}
+
+// Returns { segmented, sections: [{ id, found, start, end, spans, placeholders: [{ label, blank }] }] }.
+export function segmentAnswer(answerText, sectionDefs = []) {
+  const text = String(answerText || "");
+  const all = lines(text);
+
+  // A heading with the section's words wins. A bare number only counts after the
+  // previous section's heading, so points numbered "1." "2." inside section 1
+  // are not taken for the start of section 2.
+  const headings = [];
+  let after = -1;
+  for (const section of sectionDefs) {
+    const free = all.filter(l => !headings.some(h => h.line === l));
+    const line = free.find(l => isNamedHeading(l, section)) ||
+      free.find(l => l.start > after && isNumberedHeading(l, section));
+    if (!line) continue;
+    headings.push({ section, line });
+    after = line.start;
+  }
+  headings.sort((a, b) => a.line.start - b.line.start);
+
+  const sections = sectionDefs.map(section => {
+    const i = headings.findIndex(h => h.section === section);
+    if (i < 0) return { id: section.id, found: false, start: null, end: null, spans: [], placeholders: [] };
+
+    const start = headings[i].line.start;
+    const contentStart = Math.min(text.length, headings[i].line.end + 1);
+    const end = i + 1 < headings.length ? headings[i + 1].line.start : text.length;
+    const placeholders = findPlaceholders(text, section, contentStart, end);
+
+    // The learner's own text: the section body minus the placeholder labels.
+    const spans = [];
+    let pos = contentStart;
+    for (const p of placeholders) {
+      if (p.start > pos) spans.push([pos, p.start]);
+      pos = p.end;
+    }
+    if (end > pos) spans.push([pos, end]);
+
+    return {
+      id: section.id,
+      found: true,
+      start,
+      end,
+      spans,
+      placeholders: placeholders.map(p => ({ label: p.label, blank: p.blank }))
+    };
+  });
+
+  return { segmented: headings.length > 0, sections };
+}
+
+// The text with everything outside `spans` blanked, so character offsets still line up.
+export function keepSpans(text, spans) {
+  let out = "";
+  let pos = 0;
+  for (const [start, end] of spans) {
+    out += text.slice(pos, start).replace(/[^\n]/g, " ") + text.slice(start, end);
+    pos = end;
+  }
+  return out + text.slice(pos).replace(/[^\n]/g, " ");
+}
@@ -0,0 +1,182 @@
+import crypto from "crypto";
+import { createJsonStore } from "./store.js";
+
+// Constant-time string compare for codes and passwords.
+export function safeEqual(given, expected) {
+  const a = Buffer.from(String(given ?? ""));
+  const b = Buffer.from(String(expected ?? ""));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/* ---------------- Session stores ----------------
+   Where session records live. Both keep records in memory; the file store
+   also writes them to DATA_DIR/sessions.json so sessions survive a restart.
+   A store is { get(id), set(id, record), delete(id), entries() }.
+----------------------------------------------------------------------- */
+export function createMemorySessionStore() {
+  const sessions = new Map();
+  return {
+    get: id => sessions.get(id) || null,
+    set: (id, record) => { sessions.set(id, record); },
+    delete: id => { sessions.delete(id); },
+    entries: () => Array.from(sessions.values())
+  };
+}
+
+export function createFileSessionStore(name = "sessions") {
+  const store = createJsonStore(name, { sessions: {} });
+  return {
+    get: id => store.read().sessions[id] || null,
+    set: (id, record) => store.update(data => { data.sessions[id] = record; }),
+    delete: id => store.update(data => { delete data.sessions[id]; }),
+    entries: () => Object.values(store.read().sessions)
+  };
+}
+
+export function createSessionStore(kind = "file") {
+  if (kind === "memory") return createMemorySessionStore();
+  if (kind === "file") return createFileSessionStore();
+  throw new Error(`Unknown SESSION_STORE "${kind}" (expected "file" or "memory")`);
+}
+
+/* ---------------- Cookie secrets ----------------
+   Cookies are signed with the current secret. During a rotation the
+   previous secrets are still accepted until `graceUntil`, and a cookie
+   signed with one of them is re-signed with the current secret.
+----------------------------------------------------------------------- */
+export function createSecrets({ current, previous = [], graceUntil = null }) {
+  if (!current) throw new Error("A cookie secret is required");
+  const graceEnds = graceUntil ? new Date(graceUntil).getTime() : Infinity;
+
+  return {
+    current,
+    accepted() {
+      return Date.now() < graceEnds ? [current, ...previous] : [current];
+    }
+  };
+}
+
+// No COOKIE_SECRET configured: one is generated once and kept in DATA_DIR, so restarts do not log everyone out.
+export function loadCookieSecret(configured = "") {
+  if (configured) return configured;
+  const store = createJsonStore("cookie-secret", { secret: null });
+  let secret = store.read().secret;
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString("hex");
+    store.update(data => { data.secret = secret; });
+  }
+  return secret;
+}
+
+function sign(value, secret) {
+  return crypto.createHmac("sha256", secret).update(value).digest("base64url");
+}
+
+/* ---------------- Server-side sessions ----------------
+   The cookie holds only a signed random session id; the session's data
+   and expiry live in the store, so logging out (or an admin revoking
+   sessions) really ends them. Expiry slides: each use pushes it forward,
+   saved at most once a minute to keep store writes down. Used for the
+   learner session and the tutor session (one store, told apart by name).
+   A session set with { crossSite: true } (an LTI launch, which runs in
+   the LMS's iframe) gets a SameSite=None cookie so the frame can send it.
+   Requires cookie-parser to be mounted (without a secret is fine).
+----------------------------------------------------------------------- */
+const TOUCH_EVERY_MS = 60 * 1000;
+
+export function createCookieSession({ name, minutes, store, secrets }) {
+  const ttlMs = minutes * 60 * 1000;
+  const cookieOptions = crossSite => ({
+    httpOnly: true,
+    secure: true,     // Render uses HTTPS; SameSite=None requires it anyway
+    sameSite: crossSite ? "none" : "lax"
+  });
+
+  function writeCookie(res, id, crossSite = false) {
+    res.cookie(name, `${id}.${sign(id, secrets.current)}`, { ...cookieOptions(crossSite), maxAge: ttlMs });
+  }
+
+  // Session id from the cookie and whether it was signed with the current secret.
+  function cookieId(req) {
+    const raw = String(req.cookies?.[name] || "");
+    const dot = raw.lastIndexOf(".");
+    if (dot <= 0) return null;
+
+    const id = raw.slice(0, dot);
+    const mac = raw.slice(dot + 1);
+    const secret = secrets.accepted().find(s => safeEqual(mac, sign(id, s)));
+    return secret ? { id, stale: secret !== secrets.current } : null;
+  }
+
+  function expired(record, now) {
+    return !record || record.name !== name || now >= record.expiresAt;
+  }
+
+  // Expired records are dropped as they are found and swept every few minutes.
+  setInterval(() => {
+    const now = Date.now();
+    for (const r of store.entries()) if (r.name === name && now >= r.expiresAt) store.delete(r.id);
+  }, 5 * 60 * 1000).unref();
+
+  return {
+    name,
+
+    set(res, data = {}, { crossSite = false } = {}) {
+      const now = Date.now();
+      const id = crypto.randomBytes(24).toString("base64url");
+      store.set(id, { id, name, data, crossSite, createdAt: now, lastSeenAt: now, expiresAt: now + ttlMs });
+      writeCookie(res, id, crossSite);
+      return id;
+    },
+
+    // Returns the session data or null if missing, tampered with, revoked or expired.
+    // With `res`, the cookie is refreshed along with the sliding expiry.
+    read(req, res = null) {
+      const parsed = cookieId(req);
+      if (!parsed) return null;
+
+      const now = Date.now();
+      const record = store.get(parsed.id);
+      if (expired(record, now)) {
+        if (record) store.delete(parsed.id);
+        return null;
+      }
+
+      if (now - record.lastSeenAt >= TOUCH_EVERY_MS || parsed.stale) {
+        store.set(parsed.id, { ...record, lastSeenAt: now, expiresAt: now + ttlMs });
+        if (res) writeCookie(res, parsed.id, record.crossSite);
+      }
+      return record.data;
+    },
+
+    // Logout: the session is revoked server-side, not just forgotten by this browser.
+    clear(req, res) {
+      const parsed = cookieId(req);
+      const crossSite = parsed ? store.get(parsed.id)?.crossSite : false;
+      if (parsed) store.delete(parsed.id);
+      res.clearCookie(name, cookieOptions(crossSite));
+    },
+
+    // Id of the request's session (valid signature; not checked against the store).
+    idOf(req) {
+      return cookieId(req)?.id || null;
+    },
+
+    // Revokes every session of this kind for which match(data, id) is true; returns how many.
+    revokeWhere(match = () => true) {
+      let n = 0;
+      for (const r of store.entries()) {
+        if (r.name === name && match(r.data, r.id)) {
+          store.delete(r.id);
+          n++;
+        }
+      }
+      return n;
+    },
+
+    count() {
+      const now = Date.now();
+      return store.entries().filter(r => !expired(r, now)).length;
+    }
+  };
+}
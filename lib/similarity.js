@@ -0,0 +1,197 @@
+import { analyseText } from "./text.js";
+import { listLocales } from "./i18n.js";
+
+/* ---------------- Similarity between submissions ----------------
+   Answers are compared as sets of word 3-grams ("shingles"), leaving out
+   the shingles of the task's response template, which everyone shares.
+   A MinHash signature per answer plus LSH banding finds candidate pairs
+   without comparing every answer with every other; candidates are then
+   checked with the exact Jaccard similarity of their shingle sets.
+   Everything is computed in memory from the attempts store.
+----------------------------------------------------------------------- */
+export const SHINGLE = 3;
+
+const NUM_HASHES = 64;
+const BANDS = 32;                 // 32 bands x 2 rows: pairs above ~0.3 Jaccard almost always meet
+const ROWS = NUM_HASHES / BANDS;
+const MIN_SHINGLES = 10;          // shorter answers are not worth comparing
+
+export function wordsOf(text) {
+  return analyseText(text).tokens.map(t => t.word.toLowerCase());
+}
+
+export function shingles(ws) {
+  const out = new Set();
+  for (let i = 0; i + SHINGLE <= ws.length; i++) out.add(ws.slice(i, i + SHINGLE).join(" "));
+  return out;
+}
+
+export function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const s of a) if (b.has(s)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// 32-bit FNV-1a
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Fixed seeds so signatures are comparable across restarts.
+const SEEDS = Array.from({ length: NUM_HASHES }, (_v, i) => fnv1a(`minhash-seed-${i}`) | 1);
+
+function minhash(set) {
+  const sig = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+  for (const s of set) {
+    const h = fnv1a(s);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      // xorshift-multiply mix of the shingle hash with each seed
+      let x = Math.imul(h ^ SEEDS[i], 0x9e3779b1);
+      x ^= x >>> 15;
+      x = Math.imul(x, 0x85ebca6b) >>> 0;
+      if (x < sig[i]) sig[i] = x;
+    }
+  }
+  return sig;
+}
+
+function bandKeys(sig) {
+  const keys = [];
+  for (let b = 0; b < BANDS; b++) keys.push(`${b}:${sig.slice(b * ROWS, (b + 1) * ROWS).join(",")}`);
+  return keys;
+}
+
+/* ---------------- Index for one task ---------------- */
+export function createSimilarityIndex({ templateText = "" } = {}) {
+  const template = shingles(wordsOf(templateText));
+  const entries = new Map();   // id -> { id, learnerId, set, keys }
+  const buckets = new Map();   // band key -> Set of ids
+
+  function ownShingles(text) {
+    const set = shingles(wordsOf(text));
+    for (const s of template) set.delete(s);
+    return set;
+  }
+
+  function candidateIds(keys) {
+    const ids = new Set();
+    for (const k of keys) for (const id of buckets.get(k) || []) ids.add(id);
+    return ids;
+  }
+
+  return {
+    get size() {
+      return entries.size;
+    },
+
+    add({ id, learnerId, text }) {
+      if (entries.has(id)) return;
+      const set = ownShingles(text);
+      if (set.size < MIN_SHINGLES) return;
+
+      const keys = bandKeys(minhash(set));
+      entries.set(id, { id, learnerId, set, keys });
+      for (const k of keys) {
+        if (!buckets.has(k)) buckets.set(k, new Set());
+        buckets.get(k).add(id);
+      }
+    },
+
+    // Stored answers by other learners at or above `threshold`, most similar first.
+    matches(text, { learnerId = null, threshold = 0.5 } = {}) {
+      const set = ownShingles(text);
+      if (set.size < MIN_SHINGLES) return [];
+
+      return Array.from(candidateIds(bandKeys(minhash(set))))
+        .map(id => entries.get(id))
+        .filter(e => e.learnerId !== learnerId)
+        .map(e => ({ id: e.id, learnerId: e.learnerId, similarity: jaccard(set, e.set) }))
+        .filter(m => m.similarity >= threshold)
+        .sort((a, b) => b.similarity - a.similarity);
+    },
+
+    // Near-duplicate pairs between different learners (best pair per learner pair),
+    // grouped into clusters of connected answers.
+    clusters({ threshold = 0.5 } = {}) {
+      const best = new Map();
+      for (const e of entries.values()) {
+        for (const id of candidateIds(e.keys)) {
+          const other = entries.get(id);
+          if (other.id <= e.id || other.learnerId === e.learnerId) continue;
+
+          const similarity = jaccard(e.set, other.set);
+          if (similarity < threshold) continue;
+
+          const key = [e.learnerId, other.learnerId].sort().join("|");
+          if (!best.has(key) || best.get(key).similarity < similarity) best.set(key, { a: e.id, b: other.id, similarity });
+        }
+      }
+
+      // Union-find over attempt ids
+      const parent = new Map();
+      const find = x => {
+        while (parent.get(x) !== x) x = parent.get(x);
+        return x;
+      };
+      for (const p of best.values()) {
+        for (const id of [p.a, p.b]) if (!parent.has(id)) parent.set(id, id);
+        parent.set(find(p.a), find(p.b));
+      }
+
+      const groups = new Map();
+      for (const p of best.values()) {
+        const root = find(p.a);
+        if (!groups.has(root)) groups.set(root, { attemptIds: new Set(), pairs: [] });
+        const g = groups.get(root);
+        g.attemptIds.add(p.a).add(p.b);
+        g.pairs.push(p);
+      }
+
+      return Array.from(groups.values())
+        .map(g => ({ attemptIds: Array.from(g.attemptIds), pairs: g.pairs.sort((x, y) => y.similarity - x.similarity) }))
+        .sort((x, y) => y.pairs[0].similarity - x.pairs[0].similarity);
+    }
+  };
+}
+
+/* ---------------- Indexes for every task ----------------
+   Built lazily from stored attempts the first time a task is queried,
+   then kept current as new attempts are recorded. The template left out
+   is every translation of it, as learners may have inserted any of them.
+----------------------------------------------------------------------- */
+export function createSimilarityService({ tasks, listAttempts }) {
+  const indexes = new Map();
+
+  function templateText(taskId) {
+    const versions = listLocales().map(l => tasks.get(taskId, l.code)?.templateText || "");
+    return Array.from(new Set(versions)).join("\n");
+  }
+
+  function indexFor(taskId) {
+    if (indexes.has(taskId)) return indexes.get(taskId);
+    const index = createSimilarityIndex({ templateText: templateText(taskId) });
+    for (const a of listAttempts({ taskId })) index.add({ id: a.id, learnerId: a.learnerId, text: a.answerText });
+    indexes.set(taskId, index);
+    return index;
+  }
+
+  return {
+    record(attempt) {
+      indexFor(attempt.taskId).add({ id: attempt.id, learnerId: attempt.learnerId, text: attempt.answerText });
+    },
+
+    matches(taskId, text, options) {
+      return indexFor(taskId).matches(text, options);
+    },
+
+    clusters(taskId, options) {
+      return indexFor(taskId).clusters(options);
+    }
+  };
+}
@@ -0,0 +1,48 @@
+import fs from "fs";
+import path from "path";
+
+/* ---------------- JSON file store ----------------
+   Small persistent collections (learners, attempts, ...) are kept as JSON
+   files in DATA_DIR. Data is held in memory and written through on every
+   update via a temp file + rename, so a crash never leaves half a file.
+   Fine for a course-sized cohort on a single instance.
+----------------------------------------------------------------------- */
+export const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), "data");
+
+export function createJsonStore(name, initial) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let data = null;
+
+  function load() {
+    if (data) return data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      data = structuredClone(initial);
+    }
+    return data;
+  }
+
+  function save() {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    file,
+
+    read() {
+      return load();
+    },
+
+    // fn mutates the data in place; the change is persisted and fn's return value passed back.
+    update(fn) {
+      const result = fn(load());
+      save();
+      return result;
+    }
+  };
+}
@@ -0,0 +1,120 @@
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { validateRubric } from "./rubric.js";
+import { normaliseFramework } from "./framework.js";
+import { DEFAULT_LOCALE, localise, localiseTask, supportedLocale } from "./i18n.js";
+
+/* ---------------- Task registry ----------------
+   Each task (case study) lives in its own definition file in the tasks
+   directory: <id>.json, <id>.yaml or <id>.yml. The file holds everything
+   the marker and the learner page need for that scenario.
+   Learner-facing text may be given per locale ({ "en": ..., "cy": ... })
+   and "locale" sets the task's default language (see lib/i18n.js).
+   The Learn more references are a list tagged with the criteria and
+   themes they support (see lib/framework.js).
+   A version published from the authoring page replaces the file's
+   definition while the server runs (see lib/authoring.js).
+----------------------------------------------------------------------- */
+const TASK_EXTENSIONS = [".json", ".yaml", ".yml"];
+
+const REQUIRED_FIELDS = ["questionText", "templateText", "modelAnswer", "framework", "rubric"];
+
+function parseTaskFile(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  return path.extname(file) === ".json" ? JSON.parse(raw) : yaml.load(raw);
+}
+
+// Checks a definition and fills in defaults. `file` names where it came from in
+// errors (a task file, or a draft from the authoring page); throws when invalid.
+export function normaliseTask(def, file) {
+  if (!def || typeof def !== "object" || Array.isArray(def)) {
+    throw new Error(`Task file ${file} does not contain an object`);
+  }
+
+  const id = String(def.id || path.basename(file, path.extname(file))).trim();
+  if (!/^[a-z0-9][a-z0-9_-]*$/i.test(id)) {
+    throw new Error(`Task file ${file} has an invalid id "${id}"`);
+  }
+
+  for (const field of REQUIRED_FIELDS) {
+    if (def[field] == null) throw new Error(`Task "${id}" is missing "${field}"`);
+  }
+  validateRubric(def.rubric, `Task "${id}" rubric`);
+  const framework = normaliseFramework(def.framework, def.rubric, `Task "${id}" framework`);
+  if (def.locale != null && !supportedLocale(def.locale)) {
+    throw new Error(`Task "${id}" has an unsupported locale "${def.locale}"`);
+  }
+  // Marked attempts before the model answer is shown (server default when absent)
+  if (def.modelAnswerAfterAttempts != null && !(Number.isInteger(def.modelAnswerAfterAttempts) && def.modelAnswerAfterAttempts >= 0)) {
+    throw new Error(`Task "${id}" has an invalid "modelAnswerAfterAttempts"`);
+  }
+
+  return {
+    ...def,
+    id,
+    title: def.title || id,
+    framework,
+    targetWords: def.targetWords || "100–250",
+    minWordsGate: Number.isFinite(def.minWordsGate) ? def.minWordsGate : 50
+  };
+}
+
+export function loadTasks(dir) {
+  const tasks = new Map();
+  if (!fs.existsSync(dir)) return tasks;
+
+  const files = fs.readdirSync(dir)
+    .filter(f => TASK_EXTENSIONS.includes(path.extname(f)))
+    .sort();
+
+  for (const f of files) {
+    const file = path.join(dir, f);
+    const task = normaliseTask(parseTaskFile(file), file);
+    if (tasks.has(task.id)) throw new Error(`Duplicate task id "${task.id}" in ${file}`);
+    tasks.set(task.id, task);
+  }
+
+  return tasks;
+}
+
+export function createTaskRegistry({ dir, defaultTaskId }) {
+  const tasks = loadTasks(dir);
+  if (tasks.size === 0) throw new Error(`No task definitions found in ${dir}`);
+  // As loaded from the files, for going back from a published draft
+  const fromFiles = new Map(tasks);
+
+  const fallbackId = tasks.has(defaultTaskId) ? defaultTaskId : tasks.keys().next().value;
+
+  return {
+    defaultTaskId: fallbackId,
+
+    // Returns null for unknown ids; a missing id means the default task.
+    // The task's text is in `locale` where it has a translation, English otherwise.
+    get(id, locale = DEFAULT_LOCALE) {
+      const key = String(id || "").trim() || fallbackId;
+      return tasks.has(key) ? localiseTask(tasks.get(key), locale) : null;
+    },
+
+    list(locale = DEFAULT_LOCALE) {
+      return Array.from(tasks.values()).map(t => ({ id: t.id, title: localise(t.title, locale) }));
+    },
+
+    // The live definition with every locale's text, for the authoring page. Null for unknown ids.
+    definition(id) {
+      return tasks.get(String(id || "").trim()) || null;
+    },
+
+    // Authoring: makes `definition` the live version of an existing task, or with
+    // null goes back to the task's file. Throws when the definition is invalid.
+    replace(id, definition) {
+      if (!fromFiles.has(id)) throw new Error(`Unknown task "${id}"`);
+      if (!definition) {
+        tasks.set(id, fromFiles.get(id));
+        return;
+      }
+      const task = normaliseTask({ ...definition, id }, `draft of "${id}"`);
+      tasks.set(id, task);
+    }
+  };
+}
@@ -0,0 +1,208 @@
+/* ---------------- Text analysis for the marker ----------------
+   Splits an answer into sentences, clauses and word tokens (with character
+   offsets), stems words so "biased"/"biases" match "bias", and finds rubric
+   keywords on word boundaries. Each hit records the sentence it came from
+   and its context:
+     negated  "did not consider bias"      (a negation cue just before it)
+     denied   "no problem with fairness",  (the clause says there is no issue)
+              "bias was not an issue"
+     hedged   "might be unfair"
+
+   Keyword syntax (case-insensitive):
+     "bias"               whole word, compared after stemming
+     "discrimin*"         word starting with "discrimin"
+     "impact assessment"  consecutive words; each part follows the rules above
+----------------------------------------------------------------------- */
+
+// Cue words scoped to the clause they appear in.
+const NEGATION_CUES = new Set([
+  "not", "no", "never", "without", "nor", "neither", "none", "nothing",
+  "cannot", "can't", "don't", "didn't", "doesn't", "isn't", "aren't",
+  "wasn't", "weren't", "won't", "wouldn't", "shouldn't", "hasn't", "haven't", "hadn't"
+]);
+const HEDGE_CUES = new Set([
+  "might", "may", "maybe", "perhaps", "possibly", "probably", "arguably",
+  "could", "seem", "seems", "unclear", "unsure"
+]);
+
+// "no <concern>" or "<hit> was fine" turns a mention into a denial.
+const CONCERN_WORDS = new Set(["problem", "problems", "issue", "issues", "concern", "concerns", "risk", "risks", "worry", "wrong"]);
+// The negation must govern the concern word ("not an issue", "no real problem")...
+const DENIAL_REACH = 2;
+// ...and, before a hit, the concern word must lead up to it ("no problem with the fairness").
+const CONCERN_REACH = 4;
+const ALL_CLEAR_WORDS = new Set(["fine", "ok", "okay", "acceptable"]);
+// Looking forward from a hit, a denial must come before the next linked idea.
+const DENIAL_STOP_WORDS = new Set(["and", "or", "because", "so", "which", "as", "since", "while"]);
+
+// A negation cue only reaches this many words forward.
+const NEGATION_WINDOW = 4;
+
+// Words that end a clause for negation/hedging scope.
+const CLAUSE_BREAK_WORDS = new Set(["but", "however", "although", "though", "whereas", "yet"]);
+
+const WORD_RE = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+const SENTENCE_END_RE = /[.!?]+(?=\s|$)|\n+/g;
+const CLAUSE_PUNCT_RE = /[,;:()–—]/;
+
+/* ---------------- Stemming ----------------
+   Deliberately light: plural, -ed, -ing and -ly endings, a trailing "e"
+   and doubled final consonants. Keywords are stemmed the same way, so the
+   only requirement is that related forms end up equal.
+----------------------------------------------------------------------- */
+export function stem(word) {
+  let w = String(word || "").toLowerCase().replace(/’/g, "'").replace(/'s$/, "");
+  if (w.length <= 3) return w;
+
+  if (w.endsWith("ies") && w.length > 4) w = w.slice(0, -3) + "y";
+  else if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (/(?:s|x|z|ch|sh)es$/.test(w)) w = w.slice(0, -2);
+  else if (w.endsWith("s") && !/(?:ss|us|is|as)$/.test(w)) w = w.slice(0, -1);
+
+  if (w.endsWith("ing") && w.length > 5) w = w.slice(0, -3);
+  else if (w.endsWith("ed") && w.length > 4) w = w.slice(0, -2);
+  else if (w.endsWith("ly") && w.length > 4) w = w.slice(0, -2);
+
+  if (/([^aeiouslz])\1$/.test(w)) w = w.slice(0, -1);
+  if (w.endsWith("e") && w.length > 3) w = w.slice(0, -1);
+  return w;
+}
+
+/* ---------------- Tokenising ---------------- */
+function splitSentences(text) {
+  const sentences = [];
+  let start = 0;
+  const push = (end) => {
+    const raw = text.slice(start, end);
+    const lead = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (trimmed) sentences.push({ start: start + lead, end: start + lead + trimmed.length, text: trimmed });
+  };
+
+  for (const m of text.matchAll(SENTENCE_END_RE)) {
+    const end = m.index + (m[0].startsWith("\n") ? 0 : m[0].length);
+    push(end);
+    start = m.index + m[0].length;
+  }
+  push(text.length);
+  return sentences;
+}
+
+// Returns { text, sentences: [{ start, end, text }], tokens: [{ word, stem, start, end, sentence, clause }] }
+export function analyseText(input) {
+  const text = String(input || "");
+  const sentences = splitSentences(text);
+  const tokens = [];
+  let clause = 0;
+
+  sentences.forEach((s, sentenceIndex) => {
+    clause += 1;
+    let last = s.start;
+    for (const m of s.text.matchAll(WORD_RE)) {
+      const start = s.start + m.index;
+      if (CLAUSE_PUNCT_RE.test(text.slice(last, start))) clause += 1;
+
+      const word = m[0].toLowerCase().replace(/’/g, "'");
+      if (CLAUSE_BREAK_WORDS.has(word)) clause += 1;
+
+      tokens.push({ word, stem: stem(word), start, end: start + m[0].length, sentence: sentenceIndex, clause });
+      last = start + m[0].length;
+    }
+  });
+
+  return { text, sentences, tokens };
+}
+
+/* ---------------- Keyword matching ---------------- */
+function compileKeyword(keyword) {
+  return String(keyword || "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}'’]+\*?/gu)
+    ?.map(part => part.endsWith("*")
+      ? { prefix: part.slice(0, -1).replace(/’/g, "'") }
+      : { stem: stem(part) }) || [];
+}
+
+function partMatches(part, token) {
+  return part.prefix != null ? token.word.startsWith(part.prefix) : token.stem === part.stem;
+}
+
+function cueBefore(tokens, index, cues, window) {
+  const { clause } = tokens[index];
+  for (let i = index - 1; i >= 0 && i >= index - window; i--) {
+    if (tokens[i].clause !== clause) break;
+    if (cues.has(tokens[i].word)) return true;
+  }
+  return false;
+}
+
+function clauseTokens(tokens, index) {
+  const { clause } = tokens[index];
+  let from = index;
+  let to = index;
+  while (from > 0 && tokens[from - 1].clause === clause) from--;
+  while (to < tokens.length - 1 && tokens[to + 1].clause === clause) to++;
+  return { before: tokens.slice(from, index), after: tokens.slice(index + 1, to + 1) };
+}
+
+// "no problem with X", "nothing wrong with X", "X was not an issue", "X was fine"
+function isDenied(tokens, first, last) {
+  const { before } = clauseTokens(tokens, first);
+  const rest = clauseTokens(tokens, last).after;
+  const stop = rest.findIndex(t => DENIAL_STOP_WORDS.has(t.word));
+  const after = stop >= 0 ? rest.slice(0, stop) : rest;
+
+  const negatedConcern = (words, c) =>
+    CONCERN_WORDS.has(words[c].word) &&
+    words.slice(Math.max(0, c - DENIAL_REACH), c).some(t => NEGATION_CUES.has(t.word));
+
+  // "not told about the risks of bias" names the failure: the negation is the verb's, not the concern's.
+  const deniedBefore = before.some((_t, c) => before.length - c <= CONCERN_REACH && negatedConcern(before, c));
+  const deniedAfter = after.some((_t, c) => negatedConcern(after, c));
+
+  return deniedBefore || deniedAfter || after.some(t => ALL_CLEAR_WORDS.has(t.word));
+}
+
+// All occurrences of one keyword, each with its sentence and context.
+export function findKeyword(doc, keyword) {
+  const parts = compileKeyword(keyword);
+  if (parts.length === 0) return [];
+
+  const hits = [];
+  const { tokens } = doc;
+  for (let i = 0; i + parts.length <= tokens.length; i++) {
+    if (!parts.every((p, k) => partMatches(p, tokens[i + k]) && tokens[i + k].sentence === tokens[i].sentence)) continue;
+
+    const first = tokens[i];
+    const last = tokens[i + parts.length - 1];
+    hits.push({
+      keyword,
+      start: first.start,
+      end: last.end,
+      text: doc.text.slice(first.start, last.end),
+      sentence: first.sentence,
+      negated: cueBefore(tokens, i, NEGATION_CUES, NEGATION_WINDOW),
+      denied: isDenied(tokens, i, i + parts.length - 1),
+      hedged: cueBefore(tokens, i, HEDGE_CUES, Infinity)
+    });
+  }
+  return hits;
+}
+
+// Hits for any of the keywords, in text order. Where keywords overlap
+// ("public trust" / "trust") only the longest hit is kept.
+export function findKeywords(doc, keywords) {
+  let coveredTo = -1;
+  return keywords
+    .flatMap(k => findKeyword(doc, k))
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .filter(h => {
+      if (h.end <= coveredTo) return false;
+      coveredTo = h.end;
+      return true;
+    });
+}
+
+export function sentenceText(doc, index) {
+  return doc.sentences[index]?.text || "";
+}
@@ -4,34 +4,80 @@
    - Marking rules:
        <50 words: "Please add..." only; no score; no extras; no model answer
        >=50 words: score + strengths + tags + grid + improvement notes
-       + optional Learn more framework tabs (collapsed by default)
+       + optional Learn more framework tabs (collapsed by default; guidance
+       for the rows that need work first)
        + model answer (collapsed) shown only when server returns it
    - Target length shown: 100–250 words
+   - Language: labels and messages come from the server's catalogue
+     (/api/i18n); the switcher's choice is kept in localStorage and sent
+     as ?lang= so feedback comes back in the same language
    ========================================================= */
 
 const gateEl = document.getElementById("gate");
 const codeInput = document.getElementById("codeInput");
 const unlockBtn = document.getElementById("unlockBtn");
 const gateMsg = document.getElementById("gateMsg");
+const lookupWrap = document.getElementById("lookupWrap");
+const lookupToggle = document.getElementById("lookupToggle");
+const lookupPanel = document.getElementById("lookupPanel");
+const lookupOrder = document.getElementById("lookupOrder");
+const lookupEmail = document.getElementById("lookupEmail");
+const lookupBtn = document.getElementById("lookupBtn");
+
+// Everything behind the gate; made inert while the gate is open
+const pageEls = Array.from(document.querySelectorAll(".skipLink, .topbar, .layout, .footer"));
+
+// Screen-reader announcements (marking progress and results)
+const srStatus = document.getElementById("srStatus");
 
 const backToCourse = document.getElementById("backToCourse");
 const nextLesson = document.getElementById("nextLesson");
+const signOutBtn = document.getElementById("signOutBtn");
 
+const taskTitleEl = document.getElementById("taskTitle");
 const questionTextEl = document.getElementById("questionText");
-const targetWordsEl = document.getElementById("targetWords");
-const minGateEl = document.getElementById("minGate");
+const targetLineEl = document.getElementById("targetLine");
+const minGateHint = document.getElementById("minGateHint");
+
+// Language switchers (one on the gate, one in the header)
+const langSwitches = Array.from(document.querySelectorAll(".langSwitch"));
+const langSelects = Array.from(document.querySelectorAll(".langSelect"));
 
 const insertTemplateBtn = document.getElementById("insertTemplateBtn");
 const clearBtn = document.getElementById("clearBtn");
 const answerTextEl = document.getElementById("answerText");
 
+// Drafts: restore prompt, save status, history + compare
+const draftBar = document.getElementById("draftBar");
+const draftBarText = document.getElementById("draftBarText");
+const restoreDraftBtn = document.getElementById("restoreDraftBtn");
+const discardDraftBtn = document.getElementById("discardDraftBtn");
+const draftStatus = document.getElementById("draftStatus");
+const historyBtn = document.getElementById("historyBtn");
+const previewBanner = document.getElementById("previewBanner");
+const historyPanel = document.getElementById("historyPanel");
+const historyList = document.getElementById("historyList");
+const diffWrap = document.getElementById("diffWrap");
+const diffTitle = document.getElementById("diffTitle");
+const diffText = document.getElementById("diffText");
+const closeDiffBtn = document.getElementById("closeDiffBtn");
+
 const submitBtn = document.getElementById("submitBtn");
 const wordCountBox = document.getElementById("wordCountBox");
+const hintsWrap = document.getElementById("hintsWrap");
+const hintsList = document.getElementById("hintsList");
 
 const scoreBig = document.getElementById("scoreBig");
 const wordCountBig = document.getElementById("wordCountBig");
 const feedbackBox = document.getElementById("feedbackBox");
 
+// Feedback report download
+const reportRow = document.getElementById("reportRow");
+const downloadReportBtn = document.getElementById("downloadReportBtn");
+const printReportLink = document.getElementById("printReportLink");
+const reportModelChk = document.getElementById("reportModelChk");
+const gradeStatus = document.getElementById("gradeStatus");
+
 // NEW: Strengths / Tags / Grid
 const strengthsWrap = document.getElementById("strengthsWrap");
 const strengthsList = document.getElementById("strengthsList");
@@ -40,34 +86,147 @@ const tagsWrap = document.getElementById("tagsWrap");
 const tagsRow = document.getElementById("tagsRow");
 
 const gridWrap = document.getElementById("gridWrap");
-const gEthical = document.getElementById("gEthical");
-const gImpact = document.getElementById("gImpact");
-const gLegal = document.getElementById("gLegal");
-const gRecs = document.getElementById("gRecs");
-const gStructure = document.getElementById("gStructure");
+const gridRowsEl = document.getElementById("gridRows");
+
+// Per-section feedback
+const sectionsWrap = document.getElementById("sectionsWrap");
+const sectionsList = document.getElementById("sectionsList");
+
+// Comparison with the previous attempt
+const progressWrap = document.getElementById("progressWrap");
+const progressHeading = document.getElementById("progressHeading");
+const progressScore = document.getElementById("progressScore");
+const progressGrid = document.getElementById("progressGrid");
+const progressNotes = document.getElementById("progressNotes");
+const progressKey = document.getElementById("progressKey");
+const progressDiff = document.getElementById("progressDiff");
+
+// Evidence highlighting
+const evidenceWrap = document.getElementById("evidenceWrap");
+const evidenceLegend = document.getElementById("evidenceLegend");
+const evidenceText = document.getElementById("evidenceText");
 
 // NEW: Learn more panel + tabs
 const learnMoreWrap = document.getElementById("learnMoreWrap");
 const learnMoreBtn = document.getElementById("learnMoreBtn");
 const frameworkPanel = document.getElementById("frameworkPanel");
-const tabButtons = Array.from(document.querySelectorAll(".tabBtn"));
-
-const gdprExpectation = document.getElementById("gdprExpectation");
-const gdprCase = document.getElementById("gdprCase");
-const unescoExpectation = document.getElementById("unescoExpectation");
-const unescoCase = document.getElementById("unescoCase");
-const ofstedExpectation = document.getElementById("ofstedExpectation");
-const ofstedCase = document.getElementById("ofstedCase");
-const jiscExpectation = document.getElementById("jiscExpectation");
-const jiscCase = document.getElementById("jiscCase");
+const frameworkIntro = document.getElementById("frameworkIntro");
+const frameworkTabs = document.getElementById("frameworkTabs");
+const frameworkPanes = document.getElementById("frameworkPanes");
 
 // Model answer
 const modelWrap = document.getElementById("modelWrap");
 const modelAnswerEl = document.getElementById("modelAnswer");
+const modelLocked = document.getElementById("modelLocked");
+
+// Previous attempts
+const attemptsWrap = document.getElementById("attemptsWrap");
+const attemptsChart = document.getElementById("attemptsChart");
+const attemptsList = document.getElementById("attemptsList");
 
 /* ---------------- Local state ---------------- */
 let TEMPLATE_TEXT = "";
 let MIN_GATE = 50;
+let MAX_SCORE = 10;
+let GRID_ROWS = [];   // the rubric's grid rows, [{ row, label }]
+let TARGET_WORDS = "100–250";
+
+// Attempt shown in the feedback panel (for the report download)
+let LAST_ATTEMPT_ID = "";
+
+// Set once the learner has a session; drafts are only sent to the server then.
+let HAS_SESSION = false;
+// Whose session it is (from /api/session or /api/unlock); local drafts are kept under it.
+let LEARNER_ID = "";
+
+// Draft offered in the restore prompt
+let PENDING_DRAFT = null;
+
+// Task id comes from the lesson link (?task=<id>); the server falls back to its default task.
+let TASK_ID = new URLSearchParams(window.location.search).get("task") || "";
+
+// ?preview=<version>: the authoring page previewing a saved draft of the task (tutor session).
+// No gate, and nothing is saved: no drafts, attempts or reports.
+const PREVIEW = new URLSearchParams(window.location.search).get("preview") || "";
+
+// Language: ?lang= in the link, else the learner's last choice, else the server decides
+// (task setting, then browser language). Message catalogue from /api/i18n.
+const LANG_KEY = "fethink-lang";
+let LANG = new URLSearchParams(window.location.search).get("lang") || readStoredLang();
+let MESSAGES = {};
+
+/* ---------------- Language ---------------- */
+function readStoredLang() {
+  try {
+    return localStorage.getItem(LANG_KEY) || "";
+  } catch {
+    return "";
+  }
+}
+
+// Catalogue text with {name} placeholders filled in; the key itself if missing.
+function t(key, vars = {}) {
+  const text = MESSAGES[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? String(vars[name]) : m));
+}
+
+function applyMessages() {
+  document.documentElement.lang = LANG || "en";
+  document.querySelectorAll("[data-i18n]").forEach(el => { el.textContent = t(el.dataset.i18n); });
+  document.querySelectorAll("[data-i18n-html]").forEach(el => { el.innerHTML = t(el.dataset.i18nHtml); });
+  document.querySelectorAll("[data-i18n-placeholder]").forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+  document.querySelectorAll("[data-i18n-aria-label]").forEach(el => el.setAttribute("aria-label", t(el.dataset.i18nAriaLabel)));
+
+  targetLineEl.textContent = t("ui.header.target", { words: TARGET_WORDS });
+  minGateHint.innerHTML = t("ui.answer.minimum", { n: MIN_GATE });
+  updateWordCount();
+}
+
+function renderLanguageSwitch(locales) {
+  const options = (locales || []).map(l =>
+    `<option value="${escapeHtml(l.code)}"${l.code === LANG ? " selected" : ""}>${escapeHtml(l.name)}</option>`
+  ).join("");
+  langSelects.forEach(sel => { sel.innerHTML = options; });
+  langSwitches.forEach(el => { el.style.display = locales && locales.length > 1 ? "inline-flex" : "none"; });
+}
+
+async function loadMessages() {
+  try {
+    const params = new URLSearchParams();
+    if (TASK_ID) params.set("task", TASK_ID);
+    if (LANG) params.set("lang", LANG);
+    const res = await fetch(`/api/i18n?${params.toString()}`, { credentials: "include" });
+    const data = await res.json();
+    if (!data?.ok) return;
+
+    LANG = data.locale;
+    MESSAGES = data.messages || {};
+    renderLanguageSwitch(data.locales);
+    applyMessages();
+  } catch {
+    // silent: the page keeps its English labels
+  }
+}
+
+// Feedback already on screen stays in its language; the next submission uses the new one.
+async function setLanguage(code) {
+  LANG = code;
+  try {
+    localStorage.setItem(LANG_KEY, code);
+  } catch {
+    // ignore
+  }
+  await loadMessages();
+  await loadConfig();
+  if (HAS_SESSION) {
+    loadHints();
+    await loadAttempts();
+  }
+}
+
+langSelects.forEach(sel => {
+  sel.addEventListener("change", () => setLanguage(sel.value));
+});
 
 /* ---------------- Helpers ---------------- */
 function wc(text) {
@@ -76,14 +235,63 @@ function wc(text) {
   return t.split(/\s+/).filter(Boolean).length;
 }
 
+/* ---------------- Gate dialog ----------------
+   Modal: the page behind is inert and Tab / Shift+Tab cycle inside the
+   gate until it is unlocked. Focus then returns to where it was (or the
+   answer box).
+----------------------------------------------------------------------- */
+let focusBeforeGate = null;
+
+function isShown(el) {
+  for (let n = el; n && n !== gateEl; n = n.parentElement) {
+    if (n.hidden || n.style.display === "none") return false;
+  }
+  return true;
+}
+
+function gateFocusables() {
+  return Array.from(gateEl.querySelectorAll("button, input, select, a[href], [tabindex]:not([tabindex='-1'])"))
+    .filter(el => !el.disabled && isShown(el));
+}
+
 function showGate(message = "") {
+  if (gateEl.style.display !== "flex" && document.activeElement !== document.body) focusBeforeGate = document.activeElement;
   gateEl.style.display = "flex";
+  pageEls.forEach(el => { el.inert = true; });
   gateMsg.textContent = message;
   codeInput.focus();
 }
 
 function hideGate() {
+  const hadFocus = gateEl.contains(document.activeElement);
   gateEl.style.display = "none";
+  pageEls.forEach(el => { el.inert = false; });
+
+  const target = focusBeforeGate && document.contains(focusBeforeGate) ? focusBeforeGate : answerTextEl;
+  focusBeforeGate = null;
+  if (hadFocus) target.focus();
+}
+
+gateEl.addEventListener("keydown", (e) => {
+  if (e.key !== "Tab") return;
+  const items = gateFocusables();
+  if (items.length === 0) return;
+
+  const first = items[0];
+  const last = items[items.length - 1];
+  if (e.shiftKey && document.activeElement === first) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+});
+
+// Polite announcement; cleared first so the same message is read again.
+function announce(message) {
+  srStatus.textContent = "";
+  setTimeout(() => { srStatus.textContent = message; }, 50);
 }
 
 function resetExtras() {
@@ -97,24 +305,38 @@ function resetExtras() {
 
   // Grid
   gridWrap.style.display = "none";
-  gEthical.textContent = "—";
-  gImpact.textContent = "—";
-  gLegal.textContent = "—";
-  gRecs.textContent = "—";
-  gStructure.textContent = "—";
+  gridRowsEl.innerHTML = "";
+
+  // Sections
+  sectionsWrap.style.display = "none";
+  sectionsList.innerHTML = "";
+
+  // Comparison
+  progressWrap.style.display = "none";
+  progressGrid.innerHTML = "";
+  progressNotes.innerHTML = "";
+  progressDiff.innerHTML = "";
+
+  // Evidence
+  evidenceWrap.style.display = "none";
+  evidenceLegend.innerHTML = "";
+  evidenceText.innerHTML = "";
 
   // Learn more panel
   learnMoreWrap.style.display = "none";
   frameworkPanel.style.display = "none";
-  frameworkPanel.setAttribute("aria-hidden", "true");
   learnMoreBtn.setAttribute("aria-expanded", "false");
 
   // Model answer
   modelWrap.style.display = "none";
   modelAnswerEl.textContent = "";
+  modelLocked.style.display = "none";
 }
 
 function resetFeedback() {
+  LAST_ATTEMPT_ID = "";
+  reportRow.style.display = "none";
+  gradeStatus.style.display = "none";
   scoreBig.textContent = "—";
   wordCountBig.textContent = "—";
   feedbackBox.textContent = "";
@@ -124,14 +346,24 @@ function resetFeedback() {
 /* ---------------- Config load ---------------- */
 async function loadConfig() {
   try {
-    const res = await fetch("/api/config", { credentials: "include" });
+    const res = await fetch(`/api/config${taskQuery()}`, { credentials: "include" });
     const data = await res.json();
-    if (!data?.ok) return;
+    if (!data?.ok) {
+      if (data?.error === "unknown_task") questionTextEl.textContent = t("ui.task.unknown");
+      return;
+    }
 
-    questionTextEl.textContent = data.questionText || "Task loaded.";
-    targetWordsEl.textContent = data.targetWords || "100–250";
+    TASK_ID = data.taskId || TASK_ID;
+    if (data.title) taskTitleEl.textContent = data.title;
+
+    questionTextEl.textContent = data.questionText || t("ui.task.loaded");
+    TARGET_WORDS = data.targetWords || "100–250";
+    targetLineEl.textContent = t("ui.header.target", { words: TARGET_WORDS });
     MIN_GATE = data.minWordsGate ?? 50;
-    minGateEl.textContent = String(MIN_GATE);
+    MAX_SCORE = data.maxScore ?? 10;
+    GRID_ROWS = Array.isArray(data.gridRows) ? data.gridRows : [];
+    lookupWrap.style.display = data.codeLookup ? "block" : "none";
+    minGateHint.innerHTML = t("ui.answer.minimum", { n: MIN_GATE });
 
     TEMPLATE_TEXT = data.templateText || "";
 
@@ -149,15 +381,24 @@ async function loadConfig() {
 }
 
 /* ---------------- Gate unlock ---------------- */
+// 429 responses carry retryAfter in seconds.
+function retryMinutes(seconds) {
+  const n = Math.max(1, Math.ceil((Number(seconds) || 60) / 60));
+  return n === 1 ? t("ui.time.minute") : t("ui.time.minutes", { n });
+}
+
+// Known codes that cannot be used (see /api/unlock); anything else is a wrong code.
+const UNLOCK_ERRORS = ["code_expired", "code_revoked", "code_used_up"];
+
 async function unlock() {
   const code = codeInput.value.trim();
   if (!code) {
-    gateMsg.textContent = "Please enter the access code from your lesson.";
+    gateMsg.textContent = t("ui.gate.enterCode");
     return;
   }
 
   unlockBtn.disabled = true;
-  gateMsg.textContent = "Checking…";
+  gateMsg.textContent = t("ui.gate.checking");
 
   try {
     const res = await fetch("/api/unlock", {
@@ -169,15 +410,24 @@ async function unlock() {
 
     const data = await res.json();
 
+    if (res.status === 429) {
+      gateMsg.textContent = t("ui.gate.tooMany", { time: retryMinutes(data?.retryAfter) });
+      return;
+    }
+
     if (!res.ok || !data?.ok) {
-      gateMsg.textContent = "That code didn’t work. Check it and try again.";
+      gateMsg.textContent = UNLOCK_ERRORS.includes(data?.error) ? t(`ui.gate.${data.error}`) : t("ui.gate.wrongCode");
       return;
     }
 
     hideGate();
+    startSession(data.learnerId);
     await loadConfig();
+    loadHints();
+    await loadAttempts();
+    await offerDraftRestore();
   } catch {
-    gateMsg.textContent = "Network issue. Please try again.";
+    gateMsg.textContent = t("ui.feedback.network");
   } finally {
     unlockBtn.disabled = false;
   }
@@ -188,13 +438,377 @@ codeInput.addEventListener("keydown", (e) => {
   if (e.key === "Enter") unlock();
 });
 
+/* ---------------- Code lookup (Payhip buyers) ----------------
+   The code issued for a purchase, found with the order ID and email on
+   the Payhip receipt; it is filled in ready to unlock.
+----------------------------------------------------------------------- */
+lookupToggle.addEventListener("click", () => {
+  const open = lookupPanel.style.display === "none";
+  lookupPanel.style.display = open ? "block" : "none";
+  lookupToggle.setAttribute("aria-expanded", String(open));
+  if (open) lookupOrder.focus();
+});
+
+async function lookupCode() {
+  const purchaseId = lookupOrder.value.trim();
+  const email = lookupEmail.value.trim();
+  if (!purchaseId || !email) {
+    gateMsg.textContent = t("ui.lookup.missing");
+    return;
+  }
+
+  lookupBtn.disabled = true;
+  gateMsg.textContent = t("ui.gate.checking");
+  try {
+    const res = await fetch("/api/payhip/code", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ purchaseId, email })
+    });
+    const data = await res.json();
+
+    if (res.status === 429) {
+      gateMsg.textContent = t("ui.gate.tooMany", { time: retryMinutes(data?.retryAfter) });
+      return;
+    }
+    if (!res.ok || !data?.ok) {
+      gateMsg.textContent = UNLOCK_ERRORS.includes(data?.error) ? t(`ui.gate.${data.error}`) : t("ui.lookup.notFound");
+      return;
+    }
+
+    codeInput.value = data.code;
+    gateMsg.textContent = t("ui.lookup.found", { code: data.code });
+    codeInput.focus();
+  } catch {
+    gateMsg.textContent = t("ui.feedback.network");
+  } finally {
+    lookupBtn.disabled = false;
+  }
+}
+
+lookupBtn.addEventListener("click", lookupCode);
+lookupEmail.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") lookupCode();
+});
+
 /* ---------------- Word count live ---------------- */
 function updateWordCount() {
   const n = wc(answerTextEl.value);
-  wordCountBox.textContent = `Words: ${n}`;
+  wordCountBox.textContent = t("ui.answer.words", { n });
+}
+answerTextEl.addEventListener("input", () => {
+  updateWordCount();
+  scheduleDraftSave();
+  scheduleHints();
+});
+
+/* ---------------- Writing checklist ----------------
+   A short pause in typing asks the server which checklist items the
+   answer meets. Only ticks come back (no score), so it can run freely.
+----------------------------------------------------------------------- */
+const HINTS_MS = 1000;
+
+let hintsTimer = null;
+let hintsSeq = 0;
+
+function scheduleHints() {
+  clearTimeout(hintsTimer);
+  hintsTimer = setTimeout(loadHints, HINTS_MS);
+}
+
+function renderHints(hints) {
+  if (!hints || hints.length === 0) {
+    hintsWrap.style.display = "none";
+    return;
+  }
+  hintsList.innerHTML = hints.map(h => {
+    const state = t(h.met ? "ui.hints.met" : "ui.hints.notMet");
+    return `<li class="hintItem${h.met ? " met" : ""}"><span class="hintMark" aria-hidden="true">${h.met ? "✔" : "○"}</span>` +
+      `${escapeHtml(h.label)}<span class="srOnly">: ${escapeHtml(state)}</span></li>`;
+  }).join("");
+  hintsWrap.style.display = "block";
+}
+
+async function loadHints() {
+  clearTimeout(hintsTimer);
+  if (!HAS_SESSION) return;
+
+  // A slow reply must not overwrite the ticks for newer text.
+  const seq = ++hintsSeq;
+  try {
+    const res = await fetch(`/api/hints${taskQuery()}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ answerText: answerTextEl.value })
+    });
+    const data = await res.json();
+    if (seq === hintsSeq && data?.ok) renderHints(data.hints);
+  } catch {
+    // silent: the checklist keeps its last state
+  }
+}
+
+/* ---------------- Draft autosave ----------------
+   Every edit is copied to localStorage within a second; when the learner
+   has a session it is also saved on the server every few seconds, so a
+   draft survives a closed tab or a different device.
+   Local copies are kept per learner and forgotten when they sign out,
+   so on a shared computer the next learner is never offered them.
+----------------------------------------------------------------------- */
+const LOCAL_SAVE_MS = 800;
+const SERVER_SAVE_MS = 5000;
+
+let localSaveTimer = null;
+let serverSaveTimer = null;
+
+const DRAFT_PREFIX = "fethink-draft:";
+
+// Local drafts belong to the learner. Shared-code learners get a new anonymous
+// id each time they unlock, so on this device their drafts share one slot.
+function draftOwner() {
+  return LEARNER_ID.startsWith("anon-") ? "anon" : LEARNER_ID;
+}
+
+function draftKey() {
+  return `${DRAFT_PREFIX}${draftOwner()}:${TASK_ID || "default"}`;
+}
+
+// Kept until the learner signs out (or clears a draft): an expired session must not lose their work.
+function forgetLocalDrafts() {
+  const prefix = `${DRAFT_PREFIX}${draftOwner()}:`;
+  try {
+    for (let i = localStorage.length - 1; i >= 0; i--) {
+      const key = localStorage.key(i);
+      if (key?.startsWith(prefix)) localStorage.removeItem(key);
+    }
+  } catch {
+    // ignore
+  }
+}
+
+function taskQuery() {
+  const params = new URLSearchParams();
+  if (TASK_ID) params.set("task", TASK_ID);
+  if (LANG) params.set("lang", LANG);
+  if (PREVIEW) params.set("preview", PREVIEW);
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}
+
+function readLocalDraft() {
+  if (!LEARNER_ID) return null;
+  try {
+    const d = JSON.parse(localStorage.getItem(draftKey()) || "null");
+    return d && typeof d.text === "string" ? d : null;
+  } catch {
+    return null;
+  }
+}
+
+function saveLocalDraft() {
+  if (PREVIEW || !LEARNER_ID) return;
+  try {
+    localStorage.setItem(draftKey(), JSON.stringify({ text: answerTextEl.value, savedAt: new Date().toISOString() }));
+  } catch {
+    // storage full or disabled: the server copy still applies
+  }
+}
+
+function formatTime(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toLocaleTimeString(LANG || undefined, { hour: "2-digit", minute: "2-digit" });
+}
+
+async function saveServerDraft() {
+  if (!HAS_SESSION || PREVIEW) return;
+  try {
+    const res = await fetch(`/api/drafts${taskQuery()}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ text: answerTextEl.value })
+    });
+    const data = await res.json();
+    if (data?.ok) draftStatus.textContent = t("ui.draft.savedAt", { time: formatTime(data.savedAt) });
+  } catch {
+    draftStatus.textContent = t("ui.draft.localOnly");
+  }
+}
+
+function scheduleDraftSave() {
+  // Editing after a restore prompt means the learner has chosen what to keep.
+  hideDraftBar();
+
+  clearTimeout(localSaveTimer);
+  localSaveTimer = setTimeout(saveLocalDraft, LOCAL_SAVE_MS);
+
+  clearTimeout(serverSaveTimer);
+  serverSaveTimer = setTimeout(saveServerDraft, SERVER_SAVE_MS);
+}
+
+function flushDraftSave() {
+  if (localSaveTimer) {
+    clearTimeout(localSaveTimer);
+    localSaveTimer = null;
+    saveLocalDraft();
+  }
+}
+window.addEventListener("beforeunload", flushDraftSave);
+
+async function clearDrafts() {
+  clearTimeout(localSaveTimer);
+  clearTimeout(serverSaveTimer);
+  try {
+    localStorage.removeItem(draftKey());
+  } catch {
+    // ignore
+  }
+  draftStatus.textContent = "";
+  if (!HAS_SESSION || PREVIEW) return;
+  try {
+    await fetch(`/api/drafts${taskQuery()}`, { method: "DELETE", credentials: "include" });
+  } catch {
+    // silent
+  }
+}
+
+function hideDraftBar() {
+  PENDING_DRAFT = null;
+  draftBar.style.display = "none";
+}
+
+// On unlock: offer the newest saved draft (this device or the server) if the editor is empty.
+async function offerDraftRestore() {
+  if (answerTextEl.value.trim()) return;
+
+  let server = null;
+  try {
+    const res = await fetch(`/api/drafts${taskQuery()}`, { credentials: "include" });
+    const data = await res.json();
+    if (data?.ok) server = data.current;
+  } catch {
+    // silent
+  }
+
+  const local = readLocalDraft();
+  const candidates = [local, server].filter(d => d && d.text.trim());
+  if (candidates.length === 0) return;
+
+  const newest = candidates.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)))[0];
+  PENDING_DRAFT = newest;
+  draftBarText.textContent = t("ui.draft.saved", { date: formatAttemptDate(newest.savedAt), n: wc(newest.text) });
+  draftBar.style.display = "flex";
+}
+
+restoreDraftBtn.addEventListener("click", () => {
+  if (!PENDING_DRAFT) return;
+  answerTextEl.value = PENDING_DRAFT.text;
+  hideDraftBar();
+  updateWordCount();
+  loadHints();
+  answerTextEl.focus();
+});
+
+discardDraftBtn.addEventListener("click", () => {
+  hideDraftBar();
+  clearDrafts();
+});
+
+/* ---------------- Draft history + compare ---------------- */
+// Word diff of an earlier version against the current text: lib/diff.js, the module the server uses.
+async function showDiff(title, earlierText) {
+  let diffWords;
+  try {
+    ({ diffWords } = await import("/lib/diff.js"));
+  } catch {
+    return; // silent: the compare panel stays closed
+  }
+  diffText.innerHTML = renderDiffParts(diffWords(earlierText, answerTextEl.value));
+  diffTitle.textContent = title;
+  diffWrap.style.display = "block";
+}
+
+function restoreVersion(text) {
+  if (answerTextEl.value.trim() && answerTextEl.value !== text &&
+      !window.confirm(t("ui.history.confirmRestore"))) {
+    return;
+  }
+  answerTextEl.value = text;
+  updateWordCount();
+  scheduleDraftSave();
+  loadHints();
+  answerTextEl.focus();
+}
+
+async function fetchAttemptText(id) {
+  const res = await fetch(`/api/attempts/${encodeURIComponent(id)}`, { credentials: "include" });
+  const data = await res.json();
+  return data?.ok ? data.attempt.answerText || "" : null;
 }
-answerTextEl.addEventListener("input", updateWordCount);
-updateWordCount();
+
+async function loadHistory() {
+  historyList.innerHTML = `<li class="subtle">${escapeHtml(t("ui.history.loading"))}</li>`;
+  diffWrap.style.display = "none";
+
+  const items = [];
+  try {
+    const [draftsRes, attemptsRes] = await Promise.all([
+      fetch(`/api/drafts${taskQuery()}`, { credentials: "include" }),
+      fetch(`/api/attempts${taskQuery()}`, { credentials: "include" })
+    ]);
+    const drafts = await draftsRes.json();
+    const attempts = await attemptsRes.json();
+
+    (drafts?.versions || []).forEach(v => items.push({ kind: t("ui.history.draft"), at: v.savedAt, words: wc(v.text), text: v.text }));
+    (attempts?.attempts || []).forEach((a, i) => items.push({ kind: t("ui.history.submission", { n: i + 1 }), at: a.createdAt, words: a.wordCount, attemptId: a.id }));
+  } catch {
+    historyList.innerHTML = `<li class="subtle">${escapeHtml(t("ui.history.error"))}</li>`;
+    return;
+  }
+
+  if (items.length === 0) {
+    historyList.innerHTML = `<li class="subtle">${escapeHtml(t("ui.history.empty"))}</li>`;
+    return;
+  }
+
+  // Newest first
+  items.sort((x, y) => String(y.at).localeCompare(String(x.at)));
+  historyList.innerHTML = items.map((it, k) =>
+    `<li><span class="historyLabel">${escapeHtml(it.kind)}</span>` +
+    `<span class="attemptMeta">${escapeHtml(formatAttemptDate(it.at))} • ${escapeHtml(t("ui.history.words", { n: it.words ?? "—" }))}</span>` +
+    `<span class="historyBtns"><button class="secondary small" data-compare="${k}">${escapeHtml(t("ui.history.compare"))}</button>` +
+    `<button class="secondary small" data-restore="${k}">${escapeHtml(t("ui.history.restore"))}</button></span></li>`
+  ).join("");
+
+  const textOf = async (it) => (it.attemptId ? fetchAttemptText(it.attemptId) : it.text);
+
+  historyList.querySelectorAll("button[data-compare]").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      const it = items[Number(btn.dataset.compare)];
+      const text = await textOf(it);
+      if (text != null) showDiff(t("ui.history.versus", { version: it.kind, date: formatAttemptDate(it.at) }), text);
+    });
+  });
+  historyList.querySelectorAll("button[data-restore]").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      const text = await textOf(items[Number(btn.dataset.restore)]);
+      if (text != null) restoreVersion(text);
+    });
+  });
+}
+
+historyBtn.addEventListener("click", () => {
+  const isOpen = historyPanel.style.display === "block";
+  historyPanel.style.display = isOpen ? "none" : "block";
+  historyBtn.setAttribute("aria-expanded", isOpen ? "false" : "true");
+  if (!isOpen) loadHistory();
+});
+
+closeDiffBtn.addEventListener("click", () => {
+  diffWrap.style.display = "none";
+});
 
 /* ---------------- Template + clear ---------------- */
 insertTemplateBtn.addEventListener("click", () => {
@@ -207,48 +821,109 @@ insertTemplateBtn.addEventListener("click", () => {
   }
   answerTextEl.focus();
   updateWordCount();
+  scheduleDraftSave();
+  loadHints();
 });
 
 clearBtn.addEventListener("click", () => {
+  if (answerTextEl.value.trim() && !window.confirm(t("ui.template.confirmClear"))) return;
   answerTextEl.value = "";
   updateWordCount();
+  loadHints();
   resetFeedback();
+  hideDraftBar();
+  clearDrafts();
 });
 
-/* ---------------- Learn more toggle + tabs ---------------- */
+/* ---------------- Learn more toggle + tabs ----------------
+   Tabs follow the ARIA tabs pattern: only the selected tab is in the Tab
+   order; Left/Right arrows (wrapping), Home and End move between tabs
+   and select them.
+----------------------------------------------------------------------- */
 function setActiveTab(tabKey) {
   // buttons
-  tabButtons.forEach(btn => {
+  frameworkTabs.querySelectorAll("[role=tab]").forEach(btn => {
     const isActive = btn.dataset.tab === tabKey;
     btn.classList.toggle("active", isActive);
     btn.setAttribute("aria-selected", isActive ? "true" : "false");
+    btn.tabIndex = isActive ? 0 : -1;
   });
 
   // panes
-  const panes = ["gdpr", "unesco", "ofsted", "jisc"];
-  panes.forEach(k => {
-    const pane = document.getElementById(`tab-${k}`);
-    if (pane) pane.classList.toggle("active", k === tabKey);
+  frameworkPanes.querySelectorAll("[role=tabpanel]").forEach(pane => {
+    const isActive = pane.id === `tab-${tabKey}`;
+    pane.classList.toggle("active", isActive);
+    pane.hidden = !isActive;
   });
 }
 
 learnMoreBtn?.addEventListener("click", () => {
   const isOpen = frameworkPanel.style.display === "block";
-  if (isOpen) {
-    frameworkPanel.style.display = "none";
-    frameworkPanel.setAttribute("aria-hidden", "true");
-    learnMoreBtn.setAttribute("aria-expanded", "false");
-  } else {
-    frameworkPanel.style.display = "block";
-    frameworkPanel.setAttribute("aria-hidden", "false");
-    learnMoreBtn.setAttribute("aria-expanded", "true");
+  frameworkPanel.style.display = isOpen ? "none" : "block";
+  learnMoreBtn.setAttribute("aria-expanded", isOpen ? "false" : "true");
+});
+
+// The tabs are rebuilt for every result, so their events are handled on the tab list.
+frameworkTabs.addEventListener("click", (e) => {
+  const btn = e.target.closest("[role=tab]");
+  if (btn) setActiveTab(btn.dataset.tab);
+});
+
+frameworkTabs.addEventListener("keydown", (e) => {
+  const tabButtons = Array.from(frameworkTabs.querySelectorAll("[role=tab]"));
+  const i = tabButtons.indexOf(e.target.closest("[role=tab]"));
+  if (i < 0) return;
+
+  const n = tabButtons.length;
+  const next = {
+    ArrowRight: (i + 1) % n,
+    ArrowLeft: (i - 1 + n) % n,
+    Home: 0,
+    End: n - 1
+  }[e.key];
+  if (next == null) return;
+
+  e.preventDefault();
+  setActiveTab(tabButtons[next].dataset.tab);
+  tabButtons[next].focus();
+});
+
+/* ---------------- Feedback report ---------------- */
+function reportUrl(format) {
+  const params = new URLSearchParams({ attempt: LAST_ATTEMPT_ID, format });
+  if (reportModelChk.checked) params.set("model", "1");
+  if (LANG) params.set("lang", LANG);
+  return `/api/report?${params.toString()}`;
+}
+
+function showReportRow(attemptId) {
+  LAST_ATTEMPT_ID = attemptId || "";
+  if (!LAST_ATTEMPT_ID) {
+    reportRow.style.display = "none";
+    return;
   }
+  printReportLink.href = reportUrl("html");
+  reportRow.style.display = "flex";
+}
+
+downloadReportBtn.addEventListener("click", () => {
+  if (LAST_ATTEMPT_ID) window.location.href = reportUrl("pdf");
 });
 
-tabButtons.forEach(btn => {
-  btn.addEventListener("click", () => setActiveTab(btn.dataset.tab));
+reportModelChk.addEventListener("change", () => {
+  if (LAST_ATTEMPT_ID) printReportLink.href = reportUrl("html");
 });
 
+// Only set when the learner came in through the LMS (LTI launch).
+function showGradeStatus(passback) {
+  if (!passback) {
+    gradeStatus.style.display = "none";
+    return;
+  }
+  gradeStatus.textContent = passback === "sent" ? t("ui.feedback.gradeSent") : t("ui.feedback.gradeFailed");
+  gradeStatus.style.display = "block";
+}
+
 /* ---------------- Render helpers ---------------- */
 function renderStrengths(strengths) {
   if (!Array.isArray(strengths) || strengths.length === 0) {
@@ -261,10 +936,12 @@ function renderStrengths(strengths) {
 }
 
 function tagBadge(name, status) {
-  // status: "ok" | "mid" | "bad"
+  // status: "ok" | "mid" | "bad"; the symbol is decorative, the status is also given as text
   const symbol = status === "ok" ? "✔" : status === "mid" ? "◐" : "✗";
   const cls = status === "ok" ? "tag ok" : status === "mid" ? "tag mid" : "tag bad";
-  return `<span class="${cls}"><span class="tagStatus">${symbol}</span>${escapeHtml(name)}</span>`;
+  const label = t(`tag.${status}`);
+  return `<span class="${cls}" title="${escapeHtml(label)}"><span class="tagStatus" aria-hidden="true">${symbol}</span>` +
+    `${escapeHtml(name)}<span class="srOnly">: ${escapeHtml(label)}</span></span>`;
 }
 
 function renderTags(tags) {
@@ -278,47 +955,242 @@ function renderTags(tags) {
   tagsWrap.style.display = "block";
 }
 
+function gridLabel(row) {
+  return GRID_ROWS.find(r => r.row === row)?.label || row;
+}
+
 function renderGrid(grid) {
-  // grid: {ethical, impact, legal, recs, structure} -> "Secure" / "Developing" / "Missing"
-  if (!grid) {
+  // grid: { <row>: "✓ Secure" / "◐ Developing" / "✗ Missing" }, one row per rubric grid row
+  if (!grid || Object.keys(grid).length === 0) {
     gridWrap.style.display = "none";
     return;
   }
-  gEthical.textContent = grid.ethical || "—";
-  gImpact.textContent = grid.impact || "—";
-  gLegal.textContent = grid.legal || "—";
-  gRecs.textContent = grid.recs || "—";
-  gStructure.textContent = grid.structure || "—";
+  const rows = GRID_ROWS.length ? GRID_ROWS.map(r => r.row) : Object.keys(grid);
+  gridRowsEl.innerHTML = rows.map(row =>
+    `<div class="gridRow"><div class="gridName">${escapeHtml(gridLabel(row))}</div>` +
+    `<div class="gridStatus">${statusHtml(grid[row])}</div></div>`
+  ).join("");
   gridWrap.style.display = "block";
 }
 
-function renderFramework(framework) {
-  // framework: {gdpr:{expectation,case}, unesco:{...}, ofsted:{...}, jisc:{...}}
-  if (!framework) {
-    learnMoreWrap.style.display = "none";
+// "✓ Secure": the leading symbol is hidden from screen readers, which read the word.
+function statusHtml(status) {
+  const m = String(status || "").match(/^([^\p{L}\s]+)\s+(.*)$/u);
+  return m
+    ? `<span aria-hidden="true">${escapeHtml(m[1])}</span> ${escapeHtml(m[2])}`
+    : escapeHtml(status || "—");
+}
+
+function renderSections(sections) {
+  // sections: [{id, label, status, needsWork, notes}] in template order
+  if (!sections || sections.length === 0) {
+    sectionsWrap.style.display = "none";
     return;
   }
+  sectionsList.innerHTML = sections.map(s => {
+    const notes = s.needsWork && s.notes.length
+      ? `<ul class="bullets">${s.notes.map(n => `<li>${escapeHtml(n)}</li>`).join("")}</ul>`
+      : "";
+    return `<li class="sectionItem${s.needsWork ? " needsWork" : ""}">` +
+      `<div class="sectionHead"><span class="sectionName">${escapeHtml(s.label)}</span>` +
+      `<span class="gridStatus">${statusHtml(s.status)}</span></div>${notes}</li>`;
+  }).join("");
+  sectionsWrap.style.display = "block";
+}
+
+const LEVEL_STATUS = ["status.missing", "status.developing", "status.secure"];
+
+function renderDiffParts(parts) {
+  return parts.map(p => {
+    const text = escapeHtml(p.text);
+    if (p.type === "removed") return `<del>${text}</del>`;
+    if (p.type === "added") return `<ins>${text}</ins>`;
+    return text;
+  }).join("");
+}
+
+function renderProgress(comparison) {
+  // comparison: {previous: {number}, score: {from, to, delta}, grid: [{row, from, to}], notes, diff}
+  if (!comparison) {
+    progressWrap.style.display = "none";
+    return;
+  }
+  const { previous, score, grid, notes, diff } = comparison;
+  progressHeading.textContent = t("ui.progress.heading", { n: previous.number });
+
+  const delta = score.delta > 0
+    ? `<span class="up">${escapeHtml(t("ui.progress.up", { n: score.delta }))}</span>`
+    : score.delta < 0
+      ? `<span class="down">${escapeHtml(t("ui.progress.down", { n: -score.delta }))}</span>`
+      : escapeHtml(t("ui.progress.same"));
+  progressScore.innerHTML = `${escapeHtml(t("ui.progress.score", { from: score.from, to: score.to }))} (${delta})`;
+
+  progressGrid.innerHTML = grid.length
+    ? `<h4>${escapeHtml(t("ui.progress.grid"))}</h4><ul class="progressList">` +
+      grid.map(g => `<li><span class="gridName">${escapeHtml(gridLabel(g.row))}:</span> ` +
+        `<span class="gridStatus">${statusHtml(t(LEVEL_STATUS[g.from]))} → ${statusHtml(t(LEVEL_STATUS[g.to]))}</span></li>`).join("") +
+      `</ul>`
+    : `<p class="subtle">${escapeHtml(t("ui.progress.gridNone"))}</p>`;
+
+  const noteList = (key, items, cls = "") => items?.length
+    ? `<h4>${escapeHtml(t(key))}</h4><ul class="bullets ${cls}">${items.map(n => `<li>${escapeHtml(n)}</li>`).join("")}</ul>`
+    : "";
+  progressNotes.innerHTML = notes
+    ? noteList("ui.progress.resolved", notes.resolved, "resolvedNotes") +
+      noteList("ui.progress.remaining", notes.remaining) +
+      noteList("ui.progress.added", notes.added)
+    : "";
+
+  progressKey.innerHTML = `<span class="diffKey">${t("ui.progress.keyRemoved", { n: previous.number })}</span> ` +
+    `<span class="diffKey">${t("ui.progress.keyAdded")}</span>`;
+  progressDiff.innerHTML = renderDiffParts(diff);
+  progressWrap.style.display = "block";
+}
+
+const IGNORED_REASONS = ["negated", "denied", "hedged"];
+
+function renderEvidence(text, evidence) {
+  // evidence: {criterionId: {label, hits: [{start, end, counted, reason, theme}]}}
+  const criteria = Object.entries(evidence || {});
+  if (!text || criteria.length === 0) {
+    evidenceWrap.style.display = "none";
+    return;
+  }
+
+  const spans = [];
+  criteria.forEach(([, c], i) => {
+    (c.hits || []).forEach(h => spans.push({ ...h, label: c.label, colour: i % 6 }));
+  });
+
+  // Cut the answer at every span edge; each piece is covered by zero or more spans
+  const cuts = new Set([0, text.length]);
+  spans.forEach(s => { cuts.add(s.start); cuts.add(s.end); });
+  const points = Array.from(cuts).filter(n => n >= 0 && n <= text.length).sort((a, b) => a - b);
+
+  let html = "";
+  for (let k = 0; k < points.length - 1; k++) {
+    const from = points[k];
+    const to = points[k + 1];
+    const piece = escapeHtml(text.slice(from, to));
+    const covering = spans.filter(s => s.start <= from && s.end >= to);
+    if (covering.length === 0) {
+      html += piece;
+      continue;
+    }
+
+    const counted = covering.filter(s => s.counted);
+    if (counted.length > 0) {
+      const labels = Array.from(new Set(counted.map(s => s.theme ? `${s.label} (${s.theme})` : s.label)));
+      html += `<mark class="hl hl-${counted[0].colour}" title="${escapeHtml(labels.join("; "))}">${piece}</mark>`;
+    } else {
+      const reasons = Array.from(new Set(covering.map(s => (IGNORED_REASONS.includes(s.reason) ? t(`ui.evidence.${s.reason}`) : t("ui.evidence.notCounted")))));
+      html += `<mark class="hl hlIgnored" title="${escapeHtml(t("ui.evidence.notCountedWhy", { reasons: reasons.join(", ") }))}">${piece}</mark>`;
+    }
+  }
+  evidenceText.innerHTML = html;
 
-  gdprExpectation.textContent = framework.gdpr?.expectation || "—";
-  gdprCase.textContent = framework.gdpr?.case || "—";
+  evidenceLegend.innerHTML = criteria.map(([, c], i) => {
+    const n = (c.hits || []).filter(h => h.counted).length;
+    const found = n > 0 ? t("ui.evidence.found", { n }) : t("ui.evidence.none");
+    return `<span class="legendItem${n ? "" : " missing"}"><span class="swatch hl-${i % 6}"></span>${escapeHtml(c.label)} • ${found}</span>`;
+  }).join("") + `<span class="legendItem"><span class="swatch hlIgnored"></span>${escapeHtml(t("ui.evidence.notCounted"))}</span>`;
 
-  unescoExpectation.textContent = framework.unesco?.expectation || "—";
-  unescoCase.textContent = framework.unesco?.case || "—";
+  evidenceWrap.style.display = "block";
+}
 
-  ofstedExpectation.textContent = framework.ofsted?.expectation || "—";
-  ofstedCase.textContent = framework.ofsted?.case || "—";
+function fwRow(titleKey, html) {
+  return `<div class="fwRow"><div class="fwTitle">${escapeHtml(t(titleKey))}</div><div class="fwText">${html}</div></div>`;
+}
 
-  jiscExpectation.textContent = framework.jisc?.expectation || "—";
-  jiscCase.textContent = framework.jisc?.case || "—";
+function renderFramework(framework) {
+  // framework: [{ id, title, expectation, case, relevant, focus: [{ label, status }] }],
+  // the references for the rows that need work first (see lib/framework.js)
+  if (!Array.isArray(framework) || framework.length === 0) {
+    learnMoreWrap.style.display = "none";
+    frameworkTabs.innerHTML = "";
+    frameworkPanes.innerHTML = "";
+    return;
+  }
+
+  frameworkTabs.innerHTML = framework.map(ref => {
+    const id = escapeHtml(ref.id);
+    const suggested = ref.relevant
+      ? `<span class="tabSuggested" aria-hidden="true">•</span><span class="srOnly"> (${escapeHtml(t("ui.feedback.suggested"))})</span>`
+      : "";
+    return `<button id="tabBtn-${id}" class="tabBtn${ref.relevant ? " suggested" : ""}" data-tab="${id}" role="tab" aria-controls="tab-${id}">${escapeHtml(ref.title)}${suggested}</button>`;
+  }).join("");
+
+  frameworkPanes.innerHTML = framework.map(ref => {
+    const id = escapeHtml(ref.id);
+    const focus = ref.focus?.length
+      ? fwRow("ui.feedback.suggestedFor", `<ul class="fwFocus">${ref.focus.map(f => `<li>${escapeHtml(f.label)} • ${escapeHtml(f.status)}</li>`).join("")}</ul>`)
+      : "";
+    return `<div id="tab-${id}" class="tabPane" role="tabpanel" aria-labelledby="tabBtn-${id}" tabindex="0">` +
+      focus +
+      fwRow("ui.feedback.expectation", escapeHtml(ref.expectation || "—")) +
+      fwRow("ui.feedback.case", escapeHtml(ref.case || "—")) +
+      `</div>`;
+  }).join("");
+
+  frameworkIntro.textContent = framework.some(ref => ref.relevant) ? t("ui.feedback.suggestedIntro") : "";
+  frameworkIntro.style.display = frameworkIntro.textContent ? "block" : "none";
 
   // show container (panel still collapsed until button clicked)
   learnMoreWrap.style.display = "block";
   frameworkPanel.style.display = "none";
-  frameworkPanel.setAttribute("aria-hidden", "true");
   learnMoreBtn.setAttribute("aria-expanded", "false");
 
-  // default tab
-  setActiveTab("gdpr");
+  // opens on the most relevant reference
+  setActiveTab(framework[0].id);
+}
+
+function formatAttemptDate(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toLocaleString(LANG || undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+function renderAttempts(attempts) {
+  // attempts: [{createdAt, score, gated, wordCount, moderated}] oldest first
+  if (!Array.isArray(attempts) || attempts.length === 0) {
+    attemptsWrap.style.display = "none";
+    attemptsChart.innerHTML = "";
+    attemptsList.innerHTML = "";
+    return;
+  }
+
+  // Score progression: one bar per attempt (gated attempts show as an empty bar)
+  attemptsChart.innerHTML = attempts.map((a, i) => {
+    const pct = a.gated || a.score == null ? 0 : Math.round((a.score / MAX_SCORE) * 100);
+    return `<div class="attemptBar" title="${escapeHtml(t("ui.attempts.attempt", { n: i + 1 }))}"><span style="height:${pct}%"></span></div>`;
+  }).join("");
+
+  // Newest first in the list; a tutor-moderated attempt shows the revised score and the tutor's comment
+  attemptsList.innerHTML = attempts.map((a, i) => {
+    const scoreText = a.flagged ? t("ui.attempts.flagged") : a.gated || a.score == null ? t("ui.attempts.tooShort") : `${a.score}/${MAX_SCORE}`;
+    const moderated = a.moderated
+      ? `<span class="moderatedBadge">${escapeHtml(t("ui.attempts.moderated"))}</span>` +
+        (a.moderated.comment ? `<span class="tutorComment">${escapeHtml(t("ui.attempts.tutorComment", { comment: a.moderated.comment }))}</span>` : "")
+      : "";
+    return `<li><span class="attemptNo">${escapeHtml(t("ui.attempts.attempt", { n: i + 1 }))}</span>` +
+      `<span class="attemptScore">${escapeHtml(scoreText)}</span>` +
+      `<span class="attemptMeta">${escapeHtml(formatAttemptDate(a.createdAt))} • ${escapeHtml(t("ui.attempts.words", { n: a.wordCount ?? "—" }))}</span>` +
+      `${moderated}</li>`;
+  }).reverse().join("");
+
+  attemptsWrap.style.display = "block";
+}
+
+async function loadAttempts() {
+  if (PREVIEW) return;
+  try {
+    const res = await fetch(`/api/attempts${taskQuery()}`, { credentials: "include" });
+    if (!res.ok) return;
+    const data = await res.json();
+    if (data?.ok) renderAttempts(data.attempts);
+  } catch {
+    // silent
+  }
 }
 
 function escapeHtml(s) {
@@ -338,12 +1210,13 @@ async function mark() {
   const words = wc(answerText);
 
   if (words === 0) {
-    feedbackBox.textContent = "Write your answer first (aim for 100–250 words).";
+    feedbackBox.textContent = t("ui.feedback.writeFirst", { words: TARGET_WORDS });
     return;
   }
 
   submitBtn.disabled = true;
-  feedbackBox.textContent = "Marking…";
+  feedbackBox.textContent = t("ui.feedback.marking");
+  announce(t("ui.a11y.marking"));
   wordCountBig.textContent = String(words);
 
   try {
@@ -351,42 +1224,57 @@ async function mark() {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       credentials: "include",
-      body: JSON.stringify({ answerText })
+      body: JSON.stringify({ answerText, taskId: TASK_ID, lang: LANG, preview: PREVIEW || undefined })
     });
 
     if (res.status === 401) {
-      showGate("Session expired. Please re-enter the access code from your Payhip lesson.");
+      endSession(t("ui.gate.sessionExpired"));
       submitBtn.disabled = false;
       return;
     }
 
     const data = await res.json();
+
+    if (res.status === 429) {
+      feedbackBox.textContent = t("ui.feedback.tooMany", { time: retryMinutes(data?.retryAfter) });
+      announce(feedbackBox.textContent);
+      return;
+    }
     const result = data?.result;
 
     if (!data?.ok || !result) {
-      feedbackBox.textContent = "Could not mark your answer. Please try again.";
+      feedbackBox.textContent = t("ui.feedback.failed");
+      announce(feedbackBox.textContent);
       return;
     }
 
     wordCountBig.textContent = String(result.wordCount ?? words);
+    showReportRow(data.attemptId);
+    showGradeStatus(data.gradePassback);
 
     if (result.gated) {
       // Under 50 words: only show the "Please add..." message, no extras, no model answer.
       scoreBig.textContent = "—";
-      feedbackBox.textContent = result.message || "Please add to your answer.";
+      feedbackBox.textContent = result.message || "";
+      announce(t("ui.a11y.notMarked", { message: result.message || "" }));
       resetExtras();
+      loadAttempts();
       return;
     }
 
     // >= 50 words
-    scoreBig.textContent = `${result.score}/10`;
+    scoreBig.textContent = `${result.score}/${MAX_SCORE}`;
 
     // strengths + tags + grid + notes
     renderStrengths(result.strengths);
     renderTags(result.tags);
     renderGrid(result.grid);
+    renderSections(result.sections);
+    renderProgress(data.comparison);
+    renderEvidence(answerText, result.evidence);
 
     feedbackBox.textContent = result.feedback || "";
+    announce(t("ui.a11y.marked", { score: result.score, max: MAX_SCORE }));
 
     // Learn more panel only if server provides framework content
     renderFramework(result.framework);
@@ -398,9 +1286,14 @@ async function mark() {
     } else {
       modelWrap.style.display = "none";
     }
+    const locked = result.modelAnswerLocked?.remaining;
+    modelLocked.textContent = locked === 1 ? t("ui.feedback.modelLockedOne") : locked ? t("ui.feedback.modelLocked", { n: locked }) : "";
+    modelLocked.style.display = locked ? "block" : "none";
 
+    loadAttempts();
   } catch {
-    feedbackBox.textContent = "Network issue. Please try again.";
+    feedbackBox.textContent = t("ui.feedback.network");
+    announce(feedbackBox.textContent);
   } finally {
     submitBtn.disabled = false;
   }
@@ -409,6 +1302,76 @@ async function mark() {
 submitBtn.addEventListener("click", mark);
 
 /* ---------------- Initial load ---------------- */
-loadConfig().then(() => {
-  showGate();
+// An existing session (e.g. straight after an LTI launch from the LMS) skips the access-code gate.
+// Returns the session's learner id, or "" without a session.
+async function resumeSession() {
+  try {
+    const res = await fetch("/api/session", { credentials: "include" });
+    if (!res.ok) return "";
+    const data = await res.json();
+    return data?.ok ? data.learnerId || "" : "";
+  } catch {
+    return "";
+  }
+}
+
+function startSession(learnerId) {
+  LEARNER_ID = learnerId || "";
+  HAS_SESSION = true;
+  signOutBtn.style.display = "inline-block";
+}
+
+// The session has expired or been revoked. Local drafts stay, to be offered after unlocking again.
+function endSession(message = "") {
+  LEARNER_ID = "";
+  HAS_SESSION = false;
+  signOutBtn.style.display = "none";
+  showGate(message);
+}
+
+// Signing out on purpose: this learner's drafts on this device and the editor are cleared too.
+async function signOut() {
+  clearTimeout(localSaveTimer);
+  clearTimeout(serverSaveTimer);
+  forgetLocalDrafts();
+  try {
+    await fetch("/api/logout", { method: "POST", credentials: "include" });
+  } catch {
+    // the cookie expires on its own
+  }
+  answerTextEl.value = "";
+  updateWordCount();
+  resetFeedback();
+  hideDraftBar();
+  renderAttempts([]);
+  draftStatus.textContent = "";
+  endSession();
+}
+
+signOutBtn.addEventListener("click", signOut);
+
+function startPreview() {
+  hideGate();
+  HAS_SESSION = true;
+  previewBanner.textContent = t("ui.preview.banner", { version: PREVIEW });
+  previewBanner.style.display = "block";
+  historyBtn.parentElement.style.display = "none";
+  loadHints();
+}
+
+loadMessages().then(loadConfig).then(async () => {
+  if (PREVIEW) {
+    startPreview();
+    return;
+  }
+  const learnerId = await resumeSession();
+  if (!learnerId) {
+    showGate();
+    return;
+  }
+  hideGate();
+  startSession(learnerId);
+  loadHints();
+  await loadAttempts();
+  await offerDraftRestore();
 });
@@ -0,0 +1,522 @@
+/* =========================================================
+   FEthink — AI Ethics Automarker: task authoring
+   - Tutor password (same sign-in as the tutor dashboard)
+   - Edit a task's question, template, model answer, theme
+     keyword lists and Learn more (framework) references, or the
+     whole definition as JSON
+   - Save numbered draft versions; preview one in the real
+     learner page; mark sample answers against draft and live
+   - Publish a version to learners, or roll back the last publish
+   ========================================================= */
+
+const gateEl = document.getElementById("gate");
+const passwordInput = document.getElementById("passwordInput");
+const loginBtn = document.getElementById("loginBtn");
+const gateMsg = document.getElementById("gateMsg");
+
+const taskSelect = document.getElementById("taskSelect");
+const logoutBtn = document.getElementById("logoutBtn");
+const liveStatus = document.getElementById("liveStatus");
+
+const editingFrom = document.getElementById("editingFrom");
+const editorEl = document.getElementById("editor");
+const textFields = document.getElementById("textFields");
+const keywordFields = document.getElementById("keywordFields");
+const frameworkFields = document.getElementById("frameworkFields");
+const jsonText = document.getElementById("jsonText");
+const applyJsonBtn = document.getElementById("applyJsonBtn");
+const versionNote = document.getElementById("versionNote");
+const authorBy = document.getElementById("authorBy");
+const saveVersionBtn = document.getElementById("saveVersionBtn");
+const resetEditorBtn = document.getElementById("resetEditorBtn");
+const editorMsg = document.getElementById("editorMsg");
+
+const versionsList = document.getElementById("versionsList");
+const rollbackBtn = document.getElementById("rollbackBtn");
+const versionsMsg = document.getElementById("versionsMsg");
+const publishLog = document.getElementById("publishLog");
+
+const testAnswers = document.getElementById("testAnswers");
+const runTestBtn = document.getElementById("runTestBtn");
+const testMsg = document.getElementById("testMsg");
+const testResults = document.getElementById("testResults");
+
+const previewPanel = document.getElementById("previewPanel");
+const previewTitle = document.getElementById("previewTitle");
+const previewFrame = document.getElementById("previewFrame");
+const closePreviewBtn = document.getElementById("closePreviewBtn");
+
+// The task being edited, its live definition, and the working copy in the form
+let TASK_ID = "";
+let LIVE = null;
+let DEF = null;
+
+// Learner-facing text fields edited as text (a per-locale value gets one box per language)
+const TEXT_FIELDS = [
+  { path: "title", label: "Title", rows: 1 },
+  { path: "questionText", label: "Question", rows: 8 },
+  { path: "templateText", label: "Response template", rows: 8 },
+  { path: "modelAnswer", label: "Model answer", rows: 10 }
+];
+
+const ERRORS = {
+  invalid_task: "This definition cannot be used",
+  missing_answers: "Paste at least one sample answer.",
+  too_many_answers: "Too many sample answers at once.",
+  unknown_version: "That version no longer exists.",
+  nothing_published: "Nothing has been published yet: learners already see the task file."
+};
+
+/* ---------------- Helpers ---------------- */
+function escapeHtml(s) {
+  return String(s || "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function formatDate(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+function errorText(data) {
+  const base = ERRORS[data?.error] || "Something went wrong. Please try again.";
+  return data?.message ? `${base}: ${data.message}` : base;
+}
+
+function showGate(message = "") {
+  gateEl.style.display = "flex";
+  gateMsg.textContent = message;
+  passwordInput.focus();
+}
+
+function hideGate() {
+  gateEl.style.display = "none";
+}
+
+async function api(path, options = {}) {
+  const res = await fetch(path, { credentials: "include", ...options });
+  if (res.status === 401) {
+    showGate("Please sign in.");
+    return null;
+  }
+  const data = await res.json();
+  if (res.status === 503 && data?.error === "tutor_disabled") {
+    showGate("The tutor area is not enabled on this server.");
+    return null;
+  }
+  return data?.ok ? data : null;
+}
+
+// Like api(), but hands back the error so the page can explain it.
+async function postJson(path, body) {
+  const res = await fetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify(body)
+  });
+  if (res.status === 401) {
+    showGate("Please sign in.");
+    return { ok: false, error: "unauthorized" };
+  }
+  return res.json();
+}
+
+const taskPath = (suffix = "") => `/api/author/tasks/${encodeURIComponent(TASK_ID)}${suffix}`;
+
+// Paths are dot-separated keys into the definition ("rubric.criteria.0.signals.terms.keywords").
+function getPath(obj, path) {
+  return path.split(".").reduce((o, k) => o?.[k], obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  keys.reduce((o, k) => o[k], obj)[last] = value;
+}
+
+const plainLabel = v => (v && typeof v === "object" ? v.en || Object.values(v)[0] : v);
+
+/* ---------------- Editor ---------------- */
+// attrs: extra attributes, e.g. data-list for comma-separated lists.
+function textBox(path, label, value, rows, attrs = "") {
+  const id = `f-${path.replaceAll(".", "-")}`;
+  const box = rows > 1
+    ? `<textarea id="${escapeHtml(id)}" data-path="${escapeHtml(path)}" rows="${rows}">${escapeHtml(value)}</textarea>`
+    : `<input id="${escapeHtml(id)}" type="text" data-path="${escapeHtml(path)}" value="${escapeHtml(value)}"${attrs} />`;
+  return `<div class="formRow"><label for="${escapeHtml(id)}">${escapeHtml(label)}</label>${box}</div>`;
+}
+
+// A plain string, or one box per language for { en, cy, ... }.
+function textField(path, label, rows) {
+  const value = getPath(DEF, path);
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .map(locale => textBox(`${path}.${locale}`, `${label} (${locale})`, value[locale], rows))
+      .join("");
+  }
+  return textBox(path, label, value ?? "", rows);
+}
+
+function listBox(path, label) {
+  return textBox(path, label, (getPath(DEF, path) || []).join(", "), 1, ' data-list="1"');
+}
+
+function renderKeywordFields() {
+  keywordFields.innerHTML = DEF.rubric.criteria.map((c, i) => {
+    const rows = Object.entries(c.signals || {}).map(([name, signal]) => {
+      const base = `rubric.criteria.${i}.signals.${name}`;
+      if (Array.isArray(signal.keywords)) return listBox(`${base}.keywords`, `Signal “${name}”`);
+      if (!Array.isArray(signal.themes)) return "";
+
+      const themes = signal.themes.map((theme, j) => {
+        const keyId = escapeHtml(`f-${base.replaceAll(".", "-")}-themes-${j}-key`);
+        const kwId = escapeHtml(`f-${base.replaceAll(".", "-")}-themes-${j}-keywords`);
+        const themePath = escapeHtml(`${base}.themes.${j}`);
+        return `<div class="themeRow">` +
+          `<label class="srOnly" for="${keyId}">Theme name</label>` +
+          `<input id="${keyId}" type="text" data-path="${themePath}.key" value="${escapeHtml(theme.key)}" />` +
+          `<label class="srOnly" for="${kwId}">Keywords for ${escapeHtml(theme.key)}</label>` +
+          `<input id="${kwId}" type="text" data-list="1" data-path="${themePath}.keywords" value="${escapeHtml((theme.keywords || []).join(", "))}" />` +
+          `<button class="secondary small" data-remove-theme="${escapeHtml(base)}" data-index="${j}" aria-label="Remove theme ${escapeHtml(theme.key)}">Remove</button>` +
+          `</div>`;
+      }).join("");
+      return `<div class="formRow"><div class="subtle">Themes in “${escapeHtml(name)}”</div>${themes}` +
+        `<button class="secondary small" data-add-theme="${escapeHtml(base)}">Add theme</button></div>`;
+    }).join("");
+    return rows ? `<div class="fieldGroup"><h4>${escapeHtml(plainLabel(c.label) || c.id)}</h4>${rows}</div>` : "";
+  }).join("");
+}
+
+// One group per reference, in the task's order (ties in the learner's ranking keep it).
+function renderFrameworkFields() {
+  const refs = DEF.framework || [];
+  frameworkFields.innerHTML = refs.map((ref, i) =>
+    `<div class="fieldGroup"><h4>${escapeHtml(plainLabel(ref.title) || ref.id)}</h4>` +
+    textBox(`framework.${i}.id`, "Id (letters, digits, - or _)", ref.id ?? "", 1) +
+    textField(`framework.${i}.title`, "Tab title", 1) +
+    listBox(`framework.${i}.criteria`, "Supports criteria (ids)") +
+    listBox(`framework.${i}.themes`, "Supports themes (names)") +
+    textField(`framework.${i}.expectation`, "Expectation", 3) +
+    textField(`framework.${i}.case`, "How the case illustrates it", 3) +
+    `<div class="actionsRow">` +
+    (i > 0 ? `<button class="secondary small" data-move-reference="${i}">Move up</button>` : "") +
+    `<button class="secondary small" data-remove-reference="${i}">Remove</button>` +
+    `</div></div>`
+  ).join("") +
+    `<div class="subtle">Criteria: ${escapeHtml(DEF.rubric.criteria.map(c => c.id).join(", "))}.</div>` +
+    `<button class="secondary small" data-add-reference="1">Add reference</button>`;
+}
+
+function syncJson() {
+  jsonText.value = JSON.stringify(DEF, null, 2);
+}
+
+function renderEditor() {
+  textFields.innerHTML = TEXT_FIELDS.map(f => textField(f.path, f.label, f.rows)).join("");
+  renderKeywordFields();
+  renderFrameworkFields();
+  syncJson();
+}
+
+function editDefinition(definition, from) {
+  DEF = JSON.parse(JSON.stringify(definition));
+  editingFrom.textContent = `Editing a copy of ${from}.`;
+  editorMsg.textContent = "";
+  renderEditor();
+}
+
+editorEl.addEventListener("input", (e) => {
+  const path = e.target.dataset?.path;
+  if (!path) return;
+  const value = e.target.dataset.list
+    ? e.target.value.split(",").map(s => s.trim()).filter(Boolean)
+    : e.target.value;
+  setPath(DEF, path, value);
+  syncJson();
+});
+
+editorEl.addEventListener("click", (e) => {
+  const add = e.target.closest("[data-add-theme]");
+  const remove = e.target.closest("[data-remove-theme]");
+  if (add) getPath(DEF, add.dataset.addTheme).themes.push({ key: "new theme", keywords: [] });
+  else if (remove) getPath(DEF, remove.dataset.removeTheme).themes.splice(Number(remove.dataset.index), 1);
+  else return;
+  renderKeywordFields();
+  syncJson();
+});
+
+frameworkFields.addEventListener("click", (e) => {
+  const add = e.target.closest("[data-add-reference]");
+  const remove = e.target.closest("[data-remove-reference]");
+  const move = e.target.closest("[data-move-reference]");
+  const refs = DEF.framework || (DEF.framework = []);
+  if (add) refs.push({ id: `reference-${refs.length + 1}`, title: "New reference", criteria: [], themes: [], expectation: "", case: "" });
+  else if (remove) refs.splice(Number(remove.dataset.removeReference), 1);
+  else if (move) {
+    const i = Number(move.dataset.moveReference);
+    refs.splice(i - 1, 0, ...refs.splice(i, 1));
+  } else return;
+  renderFrameworkFields();
+  syncJson();
+});
+
+applyJsonBtn.addEventListener("click", () => {
+  try {
+    DEF = JSON.parse(jsonText.value);
+  } catch (err) {
+    editorMsg.textContent = `The JSON is not valid: ${err.message}`;
+    return;
+  }
+  editorMsg.textContent = "JSON applied to the form.";
+  renderEditor();
+});
+
+resetEditorBtn.addEventListener("click", () => {
+  if (!window.confirm("Discard your unsaved changes and start again from the live task?")) return;
+  editDefinition(LIVE.definition, "the live task");
+});
+
+saveVersionBtn.addEventListener("click", async () => {
+  saveVersionBtn.disabled = true;
+  editorMsg.textContent = "Saving…";
+  try {
+    const data = await postJson(taskPath("/versions"), { definition: DEF, note: versionNote.value, by: authorBy.value.trim() });
+    if (!data?.ok) {
+      editorMsg.textContent = errorText(data);
+      return;
+    }
+    versionNote.value = "";
+    editingFrom.textContent = `Editing a copy of version ${data.version.version}.`;
+    editorMsg.textContent = `Saved as version ${data.version.version}. Preview or publish it under Versions.`;
+    await loadVersions();
+  } catch {
+    editorMsg.textContent = "Network issue. Please try again.";
+  } finally {
+    saveVersionBtn.disabled = false;
+  }
+});
+
+/* ---------------- Versions ---------------- */
+function renderVersions({ versions, live, log }) {
+  liveStatus.textContent = live == null
+    ? "Learners see the task as defined in its file."
+    : `Learners see version ${live}.`;
+
+  versionsList.innerHTML = versions.length
+    ? versions.slice().reverse().map(v =>
+      `<li><div><span class="historyLabel">Version ${v.version}</span>` +
+      (v.version === live ? `<span class="liveTag">Live</span>` : "") +
+      `<div class="subtle">${escapeHtml(formatDate(v.savedAt))} • ${escapeHtml(v.by)}${v.note ? ` • ${escapeHtml(v.note)}` : ""}</div></div>` +
+      `<span class="historyBtns">` +
+      `<button class="secondary small" data-load="${v.version}">Edit</button>` +
+      `<button class="secondary small" data-preview="${v.version}">Preview</button>` +
+      (v.version === live ? "" : `<button class="primary small" data-publish="${v.version}">Publish</button>`) +
+      `</span></li>`).join("")
+    : `<li class="subtle">No draft versions yet. Edit the task and save it.</li>`;
+
+  rollbackBtn.disabled = live == null;
+  publishLog.innerHTML = log.length
+    ? log.slice().reverse().map(e => {
+      const what = e.action === "published" ? `Published version ${e.version}` : `Rolled back to ${e.version == null ? "the task file" : `version ${e.version}`}`;
+      return `<li><div><span class="historyLabel">${escapeHtml(what)}</span> <span class="subtle">by ${escapeHtml(e.by)}</span></div>` +
+        `<div class="subtle">${escapeHtml(formatDate(e.at))}</div></li>`;
+    }).join("")
+    : `<li class="subtle">Nothing published yet.</li>`;
+}
+
+async function loadVersions() {
+  const data = await api(taskPath());
+  if (!data) return;
+  LIVE = data;
+  renderVersions(data);
+}
+
+async function changeLive(suffix, body, done) {
+  versionsMsg.textContent = "Working…";
+  try {
+    const data = await postJson(taskPath(suffix), { ...body, by: authorBy.value.trim() });
+    if (!data?.ok) {
+      versionsMsg.textContent = errorText(data);
+      return;
+    }
+    versionsMsg.textContent = done;
+    await loadVersions();
+  } catch {
+    versionsMsg.textContent = "Network issue. Please try again.";
+  }
+}
+
+function showPreview(version) {
+  previewTitle.textContent = `Learner view: version ${version}`;
+  previewFrame.src = `/?task=${encodeURIComponent(TASK_ID)}&preview=${encodeURIComponent(version)}`;
+  previewPanel.style.display = "block";
+  previewPanel.focus();
+}
+
+versionsList.addEventListener("click", async (e) => {
+  const btn = e.target.closest("button");
+  if (!btn) return;
+
+  if (btn.dataset.load) {
+    const data = await api(taskPath(`/versions/${btn.dataset.load}`));
+    if (data) editDefinition(data.version.definition, `version ${data.version.version}`);
+  } else if (btn.dataset.preview) {
+    showPreview(btn.dataset.preview);
+  } else if (btn.dataset.publish) {
+    if (!window.confirm(`Publish version ${btn.dataset.publish}? Learners will see it straight away.`)) return;
+    await changeLive("/publish", { version: Number(btn.dataset.publish) }, `Version ${btn.dataset.publish} is now live.`);
+  }
+});
+
+rollbackBtn.addEventListener("click", async () => {
+  if (!window.confirm("Undo the last publish? Learners will see the version that was live before it.")) return;
+  await changeLive("/rollback", {}, "Rolled back.");
+});
+
+closePreviewBtn.addEventListener("click", () => {
+  previewPanel.style.display = "none";
+  previewFrame.removeAttribute("src");
+});
+
+/* ---------------- Test marking ---------------- */
+function scoreText(r) {
+  if (r.integrity.length) return `Flagged: ${r.integrity.join(", ")}`;
+  if (r.gated) return "Too short";
+  return `${r.score}/10`;
+}
+
+function renderTestResults(results) {
+  const rows = results.map((r, i) => {
+    const { draft, live } = r;
+    const change = draft.score != null && live.score != null ? draft.score - live.score : null;
+    const grid = Object.entries(draft.grid || {}).map(([row, status]) => `${row}: ${status}`).join("<br>");
+    const notes = draft.notes.length
+      ? `<details><summary>${draft.notes.length} note(s)</summary><ul class="bullets">${draft.notes.map(n => `<li>${escapeHtml(n)}</li>`).join("")}</ul></details>`
+      : "—";
+    return `<tr><td>${i + 1}</td><td>${draft.wordCount}</td>` +
+      `<td>${escapeHtml(scoreText(draft))}</td><td>${escapeHtml(scoreText(live))}</td>` +
+      `<td>${change == null ? "—" : change > 0 ? `+${change}` : String(change)}</td>` +
+      `<td>${grid || "—"}</td><td>${notes}</td></tr>`;
+  }).join("");
+
+  testResults.innerHTML = `<table class="dataTable"><thead><tr>` +
+    `<th scope="col">#</th><th scope="col">Words</th><th scope="col">Draft</th><th scope="col">Live</th>` +
+    `<th scope="col">Change</th><th scope="col">Grid (draft)</th><th scope="col">Notes (draft)</th>` +
+    `</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+runTestBtn.addEventListener("click", async () => {
+  const answers = testAnswers.value.split(/^\s*---\s*$/m).map(s => s.trim()).filter(Boolean);
+  runTestBtn.disabled = true;
+  testMsg.textContent = "Marking…";
+  try {
+    const data = await postJson(taskPath("/test"), { definition: DEF, answers });
+    if (!data?.ok) {
+      testMsg.textContent = errorText(data);
+      return;
+    }
+    testMsg.textContent = `${data.results.length} answer(s) marked.`;
+    renderTestResults(data.results);
+  } catch {
+    testMsg.textContent = "Network issue. Please try again.";
+  } finally {
+    runTestBtn.disabled = false;
+  }
+});
+
+/* ---------------- Load ---------------- */
+async function loadTask() {
+  TASK_ID = taskSelect.value;
+  previewPanel.style.display = "none";
+  testResults.innerHTML = "";
+  testMsg.textContent = "";
+  versionsMsg.textContent = "";
+  await loadVersions();
+  if (LIVE) editDefinition(LIVE.definition, "the live task");
+}
+
+async function loadTasks() {
+  const data = await api("/api/author/tasks");
+  if (!data) return false;
+  taskSelect.innerHTML = data.tasks
+    .map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.title)}</option>`)
+    .join("");
+  taskSelect.value = data.defaultTaskId;
+  return true;
+}
+
+async function start() {
+  if (await loadTasks()) {
+    hideGate();
+    await loadTask();
+  }
+}
+
+taskSelect.addEventListener("change", () => {
+  if (!window.confirm("Switch task? Unsaved changes in the form will be lost.")) {
+    taskSelect.value = TASK_ID;
+    return;
+  }
+  loadTask();
+});
+
+/* ---------------- Sign in / out ---------------- */
+async function login() {
+  const password = passwordInput.value;
+  if (!password) {
+    gateMsg.textContent = "Please enter the tutor password.";
+    return;
+  }
+
+  loginBtn.disabled = true;
+  gateMsg.textContent = "Checking…";
+
+  try {
+    const res = await fetch("/api/tutor/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ password })
+    });
+    const data = await res.json();
+
+    if (res.status === 429) {
+      const minutes = Math.max(1, Math.ceil((Number(data?.retryAfter) || 60) / 60));
+      gateMsg.textContent = `Too many attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`;
+      return;
+    }
+
+    if (!res.ok || !data?.ok) {
+      gateMsg.textContent = data?.error === "tutor_disabled"
+        ? "The tutor area is not enabled on this server."
+        : "That password didn’t work.";
+      return;
+    }
+
+    passwordInput.value = "";
+    await start();
+  } catch {
+    gateMsg.textContent = "Network issue. Please try again.";
+  } finally {
+    loginBtn.disabled = false;
+  }
+}
+
+loginBtn.addEventListener("click", login);
+passwordInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") login();
+});
+
+logoutBtn.addEventListener("click", async () => {
+  await fetch("/api/tutor/logout", { method: "POST", credentials: "include" });
+  showGate();
+});
+
+/* ---------------- Initial load ---------------- */
+start();
@@ -0,0 +1,447 @@
+/* =========================================================
+   FEthink — AI Ethics Automarker: tutor dashboard
+   - Tutor password -> signed httpOnly tutor cookie
+   - Per task: submissions list, score distribution,
+     % of learners Secure / Developing / Missing per grid row,
+     most common improvement notes, near-duplicate submissions
+   - Moderation: override a submission's score / grid rows with
+     a reason, comment for the learner, audit trail
+   ========================================================= */
+
+const gateEl = document.getElementById("gate");
+const passwordInput = document.getElementById("passwordInput");
+const loginBtn = document.getElementById("loginBtn");
+const gateMsg = document.getElementById("gateMsg");
+
+const taskSelect = document.getElementById("taskSelect");
+const refreshBtn = document.getElementById("refreshBtn");
+const logoutBtn = document.getElementById("logoutBtn");
+const revokeSessionsBtn = document.getElementById("revokeSessionsBtn");
+
+const mLearners = document.getElementById("mLearners");
+const mSubmissions = document.getElementById("mSubmissions");
+const mMean = document.getElementById("mMean");
+const mMedian = document.getElementById("mMedian");
+
+const scoreChart = document.getElementById("scoreChart");
+const gridRows = document.getElementById("gridRows");
+const notesList = document.getElementById("notesList");
+const submissionsBody = document.getElementById("submissionsBody");
+const similarityList = document.getElementById("similarityList");
+
+const moderationPanel = document.getElementById("moderationPanel");
+const closeModerationBtn = document.getElementById("closeModerationBtn");
+const moderationMeta = document.getElementById("moderationMeta");
+const moderationAnswer = document.getElementById("moderationAnswer");
+const moderationAuto = document.getElementById("moderationAuto");
+const modScore = document.getElementById("modScore");
+const modGrid = document.getElementById("modGrid");
+const modComment = document.getElementById("modComment");
+const modReason = document.getElementById("modReason");
+const modBy = document.getElementById("modBy");
+const saveModerationBtn = document.getElementById("saveModerationBtn");
+const revertModerationBtn = document.getElementById("revertModerationBtn");
+const moderationMsg = document.getElementById("moderationMsg");
+const auditList = document.getElementById("auditList");
+
+// Submission open in the moderation panel
+let MODERATING = null;
+
+/* ---------------- Helpers ---------------- */
+function escapeHtml(s) {
+  return String(s || "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function formatDate(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+function showGate(message = "") {
+  gateEl.style.display = "flex";
+  gateMsg.textContent = message;
+  passwordInput.focus();
+}
+
+function hideGate() {
+  gateEl.style.display = "none";
+}
+
+async function api(path, options = {}) {
+  const res = await fetch(path, { credentials: "include", ...options });
+  if (res.status === 401) {
+    showGate("Please sign in.");
+    return null;
+  }
+  const data = await res.json();
+  if (res.status === 503 && data?.error === "tutor_disabled") {
+    showGate("The tutor area is not enabled on this server.");
+    return null;
+  }
+  return data?.ok ? data : null;
+}
+
+// Like api(), but hands back the error code so the form can explain it.
+async function postJson(path, body) {
+  const res = await fetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify(body)
+  });
+  if (res.status === 401) {
+    showGate("Please sign in.");
+    return { ok: false, error: "unauthorized" };
+  }
+  return res.json();
+}
+
+function currentTaskQuery() {
+  return taskSelect.value ? `?task=${encodeURIComponent(taskSelect.value)}` : "";
+}
+
+/* ---------------- Render ---------------- */
+function renderSummary(a) {
+  mLearners.textContent = String(a.learners);
+  mSubmissions.textContent = String(a.submissions);
+  mMean.textContent = a.meanScore == null ? "—" : `${a.meanScore}/${a.maxScore}`;
+  mMedian.textContent = a.medianScore == null ? "—" : `${a.medianScore}/${a.maxScore}`;
+}
+
+function renderScoreChart(distribution) {
+  const max = Math.max(1, ...distribution.map(d => d.count));
+  scoreChart.innerHTML = distribution.map(d => {
+    const pct = Math.round((d.count / max) * 100);
+    return `<div class="distCol" title="${d.count} learner(s) scored ${d.score}">` +
+      `<div class="distCount">${d.count || ""}</div>` +
+      `<div class="distBar"><span style="height:${pct}%"></span></div>` +
+      `<div class="distLabel">${d.score}</div></div>`;
+  }).join("");
+}
+
+// rows: the task's grid rows, [{ row, label }]
+function renderGridRows(grid, rows) {
+  gridRows.innerHTML = rows.map(({ row, label }) => {
+    const g = grid[row] || { securePct: 0, developingPct: 0, missingPct: 0 };
+    return `<div class="gridRow stacked">` +
+      `<div class="gridName">${escapeHtml(label)}</div>` +
+      `<div class="stackBar" aria-label="${g.securePct}% secure, ${g.developingPct}% developing, ${g.missingPct}% missing">` +
+      `<span class="secure" style="width:${g.securePct}%"></span>` +
+      `<span class="developing" style="width:${g.developingPct}%"></span>` +
+      `<span class="missing" style="width:${g.missingPct}%"></span></div>` +
+      `<div class="gridStatus">${g.securePct}% / ${g.developingPct}% / ${g.missingPct}%</div>` +
+      `</div>`;
+  }).join("");
+}
+
+function renderNotes(notes) {
+  if (!notes.length) {
+    notesList.innerHTML = `<li>No improvement notes yet.</li>`;
+    return;
+  }
+  notesList.innerHTML = notes
+    .map(n => `<li>${escapeHtml(n.note)} <strong>(${n.count} • ${n.pct}%)</strong></li>`)
+    .join("");
+}
+
+function renderSubmissions(submissions, maxScore) {
+  if (!submissions.length) {
+    submissionsBody.innerHTML = `<tr><td colspan="6" class="subtle">No submissions yet.</td></tr>`;
+    return;
+  }
+  submissionsBody.innerHTML = submissions.map(s => {
+    const learner = s.learnerName ? `${s.learnerName} (${s.learnerId})` : s.learnerId;
+    const score = s.integrity?.length ? `Flagged: ${s.integrity.join(", ")}` : s.gated ? "Too short" : `${s.score}/${maxScore}`;
+    const moderated = s.moderated
+      ? `<span class="moderatedTag">Moderated (automated: ${escapeHtml(s.autoScore == null ? "—" : `${s.autoScore}/${maxScore}`)})</span>`
+      : "";
+    return `<tr>` +
+      `<td>${escapeHtml(formatDate(s.createdAt))}</td>` +
+      `<td>${escapeHtml(learner)}</td>` +
+      `<td>${escapeHtml(score)}${moderated}</td>` +
+      `<td>${s.wordCount ?? "—"}</td>` +
+      `<td><details><summary>View</summary><pre class="modelAnswer">${escapeHtml(s.answerText)}</pre></details></td>` +
+      `<td><button class="secondary small" data-moderate="${escapeHtml(s.id)}">Moderate</button></td>` +
+      `</tr>`;
+  }).join("");
+}
+
+/* ---------------- Moderation ---------------- */
+const LEVEL_NAMES = { 2: "✓ Secure", 1: "◐ Developing", 0: "✗ Missing" };
+const ACTION_NAMES = { marked: "Marked automatically", moderated: "Moderated", reverted: "Reverted to automated result" };
+
+function scoreText(result, maxScore) {
+  if (result.integrity?.length && result.gated) return `Flagged: ${result.integrity.map(f => f.type).join(", ")}`;
+  if (result.gated) return "Too short";
+  return `${result.score}/${maxScore}`;
+}
+
+function renderAutomated(sub) {
+  const auto = sub.automated;
+  const grid = sub.gridRows
+    .map(g => `<div class="gridRow"><div class="gridName">${escapeHtml(g.label)}</div><div class="gridStatus">${escapeHtml(auto.grid?.[g.row] || "—")}</div></div>`)
+    .join("");
+  const notes = (auto.notes || []).map(n => `<li>${escapeHtml(n)}</li>`).join("");
+  moderationAuto.innerHTML =
+    `<p><strong>Score:</strong> ${escapeHtml(scoreText(auto, sub.maxScore))}</p>` +
+    (grid ? `<div class="grid">${grid}</div>` : "") +
+    (notes ? `<ul class="bullets">${notes}</ul>` : "");
+}
+
+function renderModerationForm(sub) {
+  const m = sub.moderation;
+  modScore.max = String(sub.maxScore);
+  modScore.value = m?.score ?? "";
+  modScore.placeholder = `As marked (${scoreText(sub.automated, sub.maxScore)})`;
+
+  modGrid.innerHTML = sub.gridRows.map(g => {
+    const current = m?.grid?.[g.row];
+    const options = [`<option value="">As marked (${escapeHtml(sub.automated.grid?.[g.row] || "—")})</option>`]
+      .concat([2, 1, 0].map(l => `<option value="${l}"${current === l ? " selected" : ""}>${LEVEL_NAMES[l]}</option>`))
+      .join("");
+    return `<div class="formRow"><label for="modGrid-${escapeHtml(g.row)}">${escapeHtml(g.label)}</label>` +
+      `<select id="modGrid-${escapeHtml(g.row)}" class="select" data-row="${escapeHtml(g.row)}">${options}</select></div>`;
+  }).join("");
+
+  modComment.value = m?.comment || "";
+  modReason.value = "";
+  revertModerationBtn.style.display = m ? "inline-block" : "none";
+}
+
+function renderAudit(audit, maxScore, rows) {
+  const labels = Object.fromEntries(rows.map(r => [r.row, r.label]));
+  auditList.innerHTML = audit.slice().reverse().map(e => {
+    const score = e.score == null ? "" : ` • score ${e.score}/${maxScore}`;
+    const grid = e.action === "moderated" && e.grid
+      ? ` • ${Object.entries(e.grid).map(([row, level]) => `${labels[row] || row}: ${LEVEL_NAMES[level]}`).join(", ")}`
+      : "";
+    const details = [
+      e.reason ? `Reason: ${e.reason}` : "",
+      e.comment ? `Comment: ${e.comment}` : ""
+    ].filter(Boolean).map(d => `<div class="subtle">${escapeHtml(d)}</div>`).join("");
+    return `<li><div><span class="historyLabel">${escapeHtml(ACTION_NAMES[e.action] || e.action)}</span> ` +
+      `${escapeHtml(`by ${e.by}${score}${grid}`)}${details}</div>` +
+      `<div class="subtle">${escapeHtml(formatDate(e.at))}</div></li>`;
+  }).join("");
+}
+
+async function openModeration(id) {
+  const data = await api(`/api/tutor/submissions/${encodeURIComponent(id)}`);
+  if (!data) return;
+  const sub = data.submission;
+  MODERATING = sub;
+
+  const learner = sub.learnerName ? `${sub.learnerName} (${sub.learnerId})` : sub.learnerId;
+  moderationMeta.textContent = `${learner} • ${formatDate(sub.createdAt)}` +
+    (sub.moderation ? ` • currently ${scoreText(sub.result, sub.maxScore)} after moderation` : "");
+  moderationAnswer.textContent = sub.answerText;
+  moderationMsg.textContent = "";
+  renderAutomated(sub);
+  renderModerationForm(sub);
+  renderAudit(sub.audit, sub.maxScore, sub.gridRows);
+
+  moderationPanel.style.display = "block";
+  moderationPanel.focus();
+}
+
+const MODERATION_ERRORS = {
+  missing_reason: "Give a reason for changing the result.",
+  invalid_score: "The score must be a whole number within the task’s maximum.",
+  invalid_grid: "One of the grid levels is not valid.",
+  nothing_to_change: "Change the score or a grid row, or add a comment."
+};
+
+async function saveModeration(body) {
+  if (!MODERATING) return;
+  saveModerationBtn.disabled = true;
+  revertModerationBtn.disabled = true;
+  moderationMsg.textContent = "Saving…";
+  try {
+    const data = await postJson(`/api/tutor/submissions/${encodeURIComponent(MODERATING.id)}/moderation`, { ...body, by: modBy.value.trim() });
+    if (!data?.ok) {
+      moderationMsg.textContent = MODERATION_ERRORS[data?.error] || "Could not save the moderation.";
+      return;
+    }
+    const id = MODERATING.id;
+    await Promise.all([openModeration(id), loadDashboard()]);
+    moderationMsg.textContent = body.revert ? "Reverted to the automated result." : "Saved. The learner now sees the moderated result.";
+  } catch {
+    moderationMsg.textContent = "Network issue. Please try again.";
+  } finally {
+    saveModerationBtn.disabled = false;
+    revertModerationBtn.disabled = false;
+  }
+}
+
+submissionsBody.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-moderate]");
+  if (btn) openModeration(btn.dataset.moderate);
+});
+
+saveModerationBtn.addEventListener("click", () => {
+  const grid = {};
+  modGrid.querySelectorAll("select[data-row]").forEach(sel => {
+    if (sel.value !== "") grid[sel.dataset.row] = Number(sel.value);
+  });
+  saveModeration({
+    score: modScore.value === "" ? null : Number(modScore.value),
+    grid,
+    comment: modComment.value,
+    reason: modReason.value
+  });
+});
+
+revertModerationBtn.addEventListener("click", () => {
+  if (!modReason.value.trim()) {
+    moderationMsg.textContent = MODERATION_ERRORS.missing_reason;
+    modReason.focus();
+    return;
+  }
+  saveModeration({ revert: true, reason: modReason.value });
+});
+
+closeModerationBtn.addEventListener("click", () => {
+  moderationPanel.style.display = "none";
+  MODERATING = null;
+});
+
+// Side by side: the first answer marks what only it has, the second what only it has.
+function pairColumns(diff) {
+  const side = keep => diff
+    .filter(p => p.type === "same" || p.type === keep)
+    .map(p => (p.type === "same" ? escapeHtml(p.text) : `<mark class="diffMark">${escapeHtml(p.text)}</mark>`))
+    .join("");
+  return { left: side("removed"), right: side("added") };
+}
+
+function renderSimilarity(clusters) {
+  if (!clusters.length) {
+    similarityList.innerHTML = `<p class="subtle">No near-duplicate submissions found.</p>`;
+    return;
+  }
+  similarityList.innerHTML = clusters.map((c, i) => {
+    const byId = new Map(c.attempts.map(a => [a.id, a]));
+    const who = a => (a.learnerName ? `${a.learnerName} (${a.learnerId})` : a.learnerId);
+    const pairs = c.pairs.map(p => {
+      const a = byId.get(p.a);
+      const b = byId.get(p.b);
+      const cols = pairColumns(p.diff);
+      return `<details class="pairRow">` +
+        `<summary><strong>${Math.round(p.similarity * 100)}% similar</strong> — ${escapeHtml(who(a))} and ${escapeHtml(who(b))}</summary>` +
+        `<div class="sideBySide">` +
+        `<div><div class="subtle">${escapeHtml(who(a))} • ${escapeHtml(formatDate(a.createdAt))}</div><pre class="modelAnswer">${cols.left}</pre></div>` +
+        `<div><div class="subtle">${escapeHtml(who(b))} • ${escapeHtml(formatDate(b.createdAt))}</div><pre class="modelAnswer">${cols.right}</pre></div>` +
+        `</div></details>`;
+    }).join("");
+    return `<div class="cluster"><h3>Group ${i + 1}: ${c.attempts.length} answers</h3>${pairs}</div>`;
+  }).join("");
+}
+
+/* ---------------- Load ---------------- */
+async function loadTasks() {
+  const data = await api("/api/tutor/tasks");
+  if (!data) return false;
+  taskSelect.innerHTML = data.tasks
+    .map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.title)}</option>`)
+    .join("");
+  taskSelect.value = data.defaultTaskId;
+  return true;
+}
+
+async function loadDashboard() {
+  const [analytics, submissions, similar] = await Promise.all([
+    api(`/api/tutor/analytics${currentTaskQuery()}`),
+    api(`/api/tutor/submissions${currentTaskQuery()}`),
+    api(`/api/tutor/similarity${currentTaskQuery()}`)
+  ]);
+  if (analytics) {
+    renderSummary(analytics.analytics);
+    renderScoreChart(analytics.analytics.scoreDistribution);
+    renderGridRows(analytics.analytics.grid, analytics.analytics.gridRows);
+    renderNotes(analytics.analytics.commonNotes);
+  }
+  if (submissions) renderSubmissions(submissions.submissions, submissions.maxScore);
+  if (similar) renderSimilarity(similar.clusters);
+}
+
+async function start() {
+  if (await loadTasks()) {
+    hideGate();
+    await loadDashboard();
+  }
+}
+
+/* ---------------- Sign in / out ---------------- */
+async function login() {
+  const password = passwordInput.value;
+  if (!password) {
+    gateMsg.textContent = "Please enter the tutor password.";
+    return;
+  }
+
+  loginBtn.disabled = true;
+  gateMsg.textContent = "Checking…";
+
+  try {
+    const res = await fetch("/api/tutor/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ password })
+    });
+    const data = await res.json();
+
+    if (res.status === 429) {
+      const minutes = Math.max(1, Math.ceil((Number(data?.retryAfter) || 60) / 60));
+      gateMsg.textContent = `Too many attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`;
+      return;
+    }
+
+    if (!res.ok || !data?.ok) {
+      gateMsg.textContent = data?.error === "tutor_disabled"
+        ? "The tutor area is not enabled on this server."
+        : "That password didn’t work.";
+      return;
+    }
+
+    passwordInput.value = "";
+    await start();
+  } catch {
+    gateMsg.textContent = "Network issue. Please try again.";
+  } finally {
+    loginBtn.disabled = false;
+  }
+}
+
+loginBtn.addEventListener("click", login);
+passwordInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") login();
+});
+
+logoutBtn.addEventListener("click", async () => {
+  await fetch("/api/tutor/logout", { method: "POST", credentials: "include" });
+  showGate();
+});
+
+// "Log out everywhere": every learner session ends now; learners unlock again with their code.
+revokeSessionsBtn.addEventListener("click", async () => {
+  if (!window.confirm("Log out every learner on every device? They will need to enter their access code again.")) return;
+  const data = await api("/api/tutor/sessions/revoke", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({})
+  });
+  if (data) window.alert(`${data.revoked.learners} learner session(s) ended.`);
+});
+
+taskSelect.addEventListener("change", loadDashboard);
+refreshBtn.addEventListener("click", loadDashboard);
+
+/* ---------------- Initial load ---------------- */
+start();
@@ -0,0 +1,132 @@
+import express from "express";
+import { tutorGuard } from "./tutor.js";
+import { draftTask, getTaskVersion, publishTaskVersion, rollbackTask, saveTaskVersion, taskVersions } from "../lib/authoring.js";
+import { markEthicsResponse } from "../lib/marker.js";
+import { resolveLocale } from "../lib/i18n.js";
+
+/* ---------------- Task authoring API ----------------
+   Behind public/author.html, with the tutor password (see lib/authoring.js):
+     GET  /tasks                          tasks with their live version
+     GET  /tasks/:id                      live definition, versions, publish log
+     GET  /tasks/:id/versions/:version    one saved version
+     POST /tasks/:id/versions             { definition, by, note } -> new version
+     POST /tasks/:id/test                 { definition, answers: [...], lang }
+     POST /tasks/:id/publish              { version, by }
+     POST /tasks/:id/rollback             { by }
+   Test marking uses the deterministic marker on the draft and on the live
+   task side by side, so a change can be judged before learners see it.
+   Nothing is stored.
+----------------------------------------------------------------------- */
+const MAX_TEST_ANSWERS = 20;
+
+const text = (s, max) => String(s || "").trim().slice(0, max);
+
+// What the authoring page shows of one marking.
+function summarise(result) {
+  return {
+    wordCount: result.wordCount,
+    gated: result.gated,
+    integrity: (result.integrity || []).map(f => f.type),
+    score: result.score,
+    levels: result.levels,
+    grid: result.grid,
+    notes: result.notes || []
+  };
+}
+
+export function authoringRoutes({ tasks, session, password }) {
+  const router = express.Router();
+  const requireTutor = tutorGuard({ session, password });
+  router.use(requireTutor);
+
+  function knownTask(req, res) {
+    const task = tasks.definition(req.params.id);
+    if (!task) {
+      res.status(404).json({ ok: false, error: "unknown_task" });
+      return null;
+    }
+    return task;
+  }
+
+  // The posted definition as a task; answers 400 with the reason when it is not valid.
+  function postedDraft(req, res, taskId) {
+    try {
+      return draftTask(taskId, req.body?.definition);
+    } catch (err) {
+      res.status(400).json({ ok: false, error: "invalid_task", message: err.message });
+      return null;
+    }
+  }
+
+  router.get("/tasks", (_req, res) => {
+    const list = tasks.list().map(t => ({ ...t, live: taskVersions(t.id).live }));
+    res.json({ ok: true, defaultTaskId: tasks.defaultTaskId, tasks: list });
+  });
+
+  router.get("/tasks/:id", (req, res) => {
+    const task = knownTask(req, res);
+    if (!task) return;
+    res.json({ ok: true, taskId: task.id, definition: task, ...taskVersions(task.id) });
+  });
+
+  router.get("/tasks/:id/versions/:version", (req, res) => {
+    const task = knownTask(req, res);
+    if (!task) return;
+    const version = getTaskVersion(task.id, req.params.version);
+    if (!version) return res.status(404).json({ ok: false, error: "unknown_version" });
+    res.json({ ok: true, taskId: task.id, version });
+  });
+
+  router.post("/tasks/:id/versions", (req, res) => {
+    const task = knownTask(req, res);
+    if (!task || !postedDraft(req, res, task.id)) return;
+
+    const version = saveTaskVersion(task.id, req.body.definition, {
+      by: text(req.body?.by, 80) || "tutor",
+      note: text(req.body?.note, 200)
+    });
+    res.json({ ok: true, taskId: task.id, version });
+  });
+
+  router.post("/tasks/:id/test", (req, res) => {
+    const live = knownTask(req, res);
+    if (!live) return;
+    const draft = postedDraft(req, res, live.id);
+    if (!draft) return;
+
+    const answers = (Array.isArray(req.body?.answers) ? req.body.answers : [])
+      .map(a => String(a || "").slice(0, 6000))
+      .filter(a => a.trim());
+    if (!answers.length) return res.status(400).json({ ok: false, error: "missing_answers" });
+    if (answers.length > MAX_TEST_ANSWERS) return res.status(400).json({ ok: false, error: "too_many_answers", max: MAX_TEST_ANSWERS });
+
+    const locale = resolveLocale({ requested: req.body?.lang, taskLocale: draft.locale });
+    const results = answers.map(answerText => ({
+      draft: summarise(markEthicsResponse(answerText, draft, { locale })),
+      live: summarise(markEthicsResponse(answerText, live, { locale }))
+    }));
+    res.json({ ok: true, taskId: live.id, locale, results });
+  });
+
+  router.post("/tasks/:id/publish", (req, res) => {
+    const task = knownTask(req, res);
+    if (!task) return;
+
+    const definition = publishTaskVersion(task.id, req.body?.version, { by: text(req.body?.by, 80) || "tutor" });
+    if (!definition) return res.status(404).json({ ok: false, error: "unknown_version" });
+    tasks.replace(task.id, definition);
+    res.json({ ok: true, taskId: task.id, ...taskVersions(task.id) });
+  });
+
+  router.post("/tasks/:id/rollback", (req, res) => {
+    const task = knownTask(req, res);
+    if (!task) return;
+
+    const rolledBack = rollbackTask(task.id, { by: text(req.body?.by, 80) || "tutor" });
+    if (!rolledBack) return res.status(409).json({ ok: false, error: "nothing_published" });
+    tasks.replace(task.id, rolledBack.definition);
+    res.json({ ok: true, taskId: task.id, ...taskVersions(task.id) });
+  });
+
+  return router;
+}
@@ -0,0 +1,96 @@
+import express from "express";
+import crypto from "crypto";
+import { upsertExternalLearner } from "../lib/learners.js";
+import { supportedLocale } from "../lib/i18n.js";
+import { safeEqual } from "../lib/session.js";
+
+/* ---------------- LTI 1.3 launch ----------------
+   /lti/login (OIDC login initiation), /lti/launch (id_token form post)
+   and /lti/jwks (the tool's public key for the platform). A successful
+   launch creates the same learner session /api/unlock would, plus the
+   launch's line item so /api/mark can pass the score back.
+   /lti/login also sets a short-lived state cookie that /lti/launch must
+   see, so a launch only works in the browser that started the login.
+   Both cookies are SameSite=None: the tool runs in the LMS's iframe and
+   the launch is a cross-site form post.
+   Disabled unless the platform is configured (see server.js).
+----------------------------------------------------------------------- */
+const STATE_COOKIE = "fethink_ethics_lti_state";
+const STATE_COOKIE_MS = 10 * 60 * 1000;
+const stateCookieOptions = { httpOnly: true, secure: true, sameSite: "none", path: "/lti" };
+
+export function ltiRoutes({ tool, tasks, session, toolUrl = "", log = console }) {
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+
+  router.use((_req, res, next) => {
+    if (!tool) return res.status(503).json({ ok: false, error: "lti_disabled" });
+    next();
+  });
+
+  function launchUrl(req) {
+    const base = toolUrl || `${req.protocol}://${req.get("host")}`;
+    return `${base.replace(/\/$/, "")}/lti/launch`;
+  }
+
+  // Custom parameter "task" on the resource link wins; else a resource link id that names a task; else the default.
+  function taskForLaunch(launch) {
+    const custom = String(launch.custom.task || "").trim();
+    if (custom) return tasks.get(custom);
+    if (launch.resourceLinkId && tasks.get(launch.resourceLinkId)?.id === launch.resourceLinkId) {
+      return tasks.get(launch.resourceLinkId);
+    }
+    return tasks.get();
+  }
+
+  // Platforms may initiate login with GET or POST.
+  router.all("/login", (req, res) => {
+    const params = { ...req.query, ...req.body };
+    try {
+      const { url, state } = tool.beginLogin(params, launchUrl(req));
+      res.cookie(STATE_COOKIE, state, { ...stateCookieOptions, maxAge: STATE_COOKIE_MS });
+      res.redirect(url);
+    } catch (err) {
+      log.warn(`[lti] login rejected: ${err.message}`);
+      res.status(400).json({ ok: false, error: "invalid_login" });
+    }
+  });
+
+  router.post("/launch", async (req, res) => {
+    const expected = req.cookies?.[STATE_COOKIE];
+    res.clearCookie(STATE_COOKIE, stateCookieOptions);
+    if (!expected || !safeEqual(req.body?.state, expected)) {
+      log.warn("[lti] launch rejected: state does not match this browser's login");
+      return res.status(401).json({ ok: false, error: "invalid_launch" });
+    }
+
+    let launch;
+    try {
+      launch = await tool.verifyLaunch({ id_token: req.body?.id_token, state: req.body?.state });
+    } catch (err) {
+      log.warn(`[lti] launch rejected: ${err.message}`);
+      return res.status(401).json({ ok: false, error: "invalid_launch" });
+    }
+
+    const task = taskForLaunch(launch);
+    if (!task) return res.status(404).json({ ok: false, error: "unknown_task" });
+
+    // Stable id per platform user, so attempts and drafts follow them across launches.
+    const hash = crypto.createHash("sha256").update(`${launch.issuer}|${launch.userId}`).digest("hex").slice(0, 16);
+    const learner = upsertExternalLearner({ id: `lti-${hash}`, name: launch.name, email: launch.email });
+
+    session.set(res, {
+      learnerId: learner.id,
+      lti: { taskId: task.id, userId: launch.userId, lineitem: launch.lineitem }
+    }, { crossSite: true });
+    // The LMS's language for the learner, when we have that translation
+    const lang = supportedLocale(launch.locale);
+    res.redirect(`/?task=${encodeURIComponent(task.id)}${lang ? `&lang=${lang}` : ""}`);
+  });
+
+  router.get("/jwks", (_req, res) => {
+    res.json(tool.jwks());
+  });
+
+  return router;
+}
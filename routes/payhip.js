@@ -0,0 +1,90 @@
+import express from "express";
+import crypto from "crypto";
+import { findLearnerByPurchase, issueLearnerCode, lookupPurchaseCode, revokePurchaseCodes } from "../lib/learners.js";
+import { safeEqual } from "../lib/session.js";
+
+/* ---------------- Payhip webhook ----------------
+   POST /api/payhip/webhook receives Payhip's sale events:
+     paid      -> one access code per purchase (expiry + use limit)
+     refunded  -> that purchase's code is revoked and the buyer's sessions end
+   Payhip signs each event with sha256(API key) in the "signature" field.
+   Deliveries may repeat, so a purchase that already has a code keeps it.
+   POST /api/payhip/code { purchaseId, email } is how the buyer gets the
+   code: the access gate asks for the order id and email from the Payhip
+   receipt. Tutors can also see every code at /api/tutor/codes.
+   Disabled unless PAYHIP_API_KEY is set.
+----------------------------------------------------------------------- */
+const learnerIdFor = purchaseId => `payhip-${purchaseId}`;
+
+// learnerSession: the learner session store (lib/session.js), so a refund signs the buyer out.
+// lookupLimits: middleware run before the buyer's code lookup (rate limits);
+// lockout: a createLockout (lib/ratelimit.js) counting failed lookups per IP.
+export function payhipRoutes({ apiKey, productKeys = [], expiryDays = 365, maxUses = null, learnerSession = null, lookupLimits = [], lockout = null, log = console }) {
+  const router = express.Router();
+  const expectedSignature = apiKey ? crypto.createHash("sha256").update(apiKey).digest("hex") : "";
+
+  // Only purchases of the listed products earn a code (all products if none are listed).
+  function coversProduct(event) {
+    if (!productKeys.length) return true;
+    const items = Array.isArray(event.items) ? event.items : [];
+    return items.some(i => productKeys.includes(String(i.product_key || i.product_id || "")));
+  }
+
+  router.post("/webhook", (req, res) => {
+    if (!apiKey) return res.status(503).json({ ok: false, error: "payhip_disabled" });
+
+    const event = req.body || {};
+    if (!safeEqual(String(event.signature || ""), expectedSignature)) {
+      log.warn("[payhip] webhook with a bad signature rejected");
+      return res.status(401).json({ ok: false, error: "bad_signature" });
+    }
+
+    const purchaseId = String(event.id || "").trim();
+    if (!purchaseId) return res.status(400).json({ ok: false, error: "missing_purchase_id" });
+
+    if (event.type === "paid") {
+      if (!coversProduct(event)) return res.json({ ok: true, ignored: "product" });
+
+      const existing = findLearnerByPurchase(purchaseId);
+      if (existing) return res.json({ ok: true, learnerId: existing.id, duplicate: true });
+
+      const learner = issueLearnerCode({
+        learnerId: learnerIdFor(purchaseId),
+        email: event.email || "",
+        name: [event.first_name, event.last_name].filter(Boolean).join(" "),
+        purchaseId,
+        expiresAt: expiryDays > 0 ? new Date(Date.now() + expiryDays * 86400000).toISOString() : null,
+        maxUses
+      });
+      log.info?.(`[payhip] code issued for purchase ${purchaseId}`);
+      return res.json({ ok: true, learnerId: learner.id });
+    }
+
+    if (event.type === "refunded") {
+      const revoked = revokePurchaseCodes(purchaseId);
+      const sessions = learnerSession?.revokeWhere(d => d.learnerId === learnerIdFor(purchaseId)) ?? 0;
+      log.info?.(`[payhip] purchase ${purchaseId} refunded; ${revoked} code(s) and ${sessions} session(s) revoked`);
+      return res.json({ ok: true, revoked, sessions });
+    }
+
+    // Other event types (subscriptions, ...) are acknowledged so Payhip does not retry them.
+    res.json({ ok: true, ignored: event.type || "unknown" });
+  });
+
+  const lookupGuard = lockout ? lockout.guard() : (_req, _res, next) => next();
+
+  router.post("/code", ...lookupLimits, lookupGuard, (req, res) => {
+    if (!apiKey) return res.status(503).json({ ok: false, error: "payhip_disabled" });
+
+    const { code, error } = lookupPurchaseCode(req.body?.purchaseId, req.body?.email);
+    if (error === "purchase_not_found") {
+      lockout?.fail(req.ip);
+      return res.status(404).json({ ok: false, error });
+    }
+    if (error) return res.status(410).json({ ok: false, error });
+    lockout?.succeed(req.ip);
+    res.json({ ok: true, code });
+  });
+
+  return router;
+}
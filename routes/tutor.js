@@ -0,0 +1,254 @@
+import express from "express";
+import { currentModeration, effectiveResult, findAttempt, listAttempts, moderateAttempt } from "../lib/attempts.js";
+import { findLearner, listPurchaseCodes } from "../lib/learners.js";
+import { cohortAnalytics } from "../lib/analytics.js";
+import { gridRows } from "../lib/rubric.js";
+import { safeEqual } from "../lib/session.js";
+import { diffWords } from "../lib/diff.js";
+
+/* ---------------- Tutor area ----------------
+   Password-protected API behind public/tutor.html: submissions list,
+   moderation of marked submissions, cohort analytics and near-duplicate
+   submissions per task. Disabled unless TUTOR_PASSWORD is set.
+----------------------------------------------------------------------- */
+// Middleware for any tutor-only route, here or elsewhere.
+export function tutorGuard({ session, password }) {
+  return function requireTutor(req, res, next) {
+    if (!password) return res.status(503).json({ ok: false, error: "tutor_disabled" });
+    if (!session.read(req, res)?.tutor) return res.status(401).json({ ok: false, error: "unauthorized" });
+    next();
+  };
+}
+
+// loginLimits: middleware run before the password check (rate limits);
+// lockout: a createLockout (lib/ratelimit.js) counting wrong passwords per IP.
+export function tutorRoutes({ tasks, session, learnerSession = null, password, loginLimits = [], lockout = null, similarity = null, similarityThreshold = 0.5 }) {
+  const router = express.Router();
+  const requireTutor = tutorGuard({ session, password });
+
+  function resolveTask(req, res) {
+    const task = tasks.get(req.query?.task);
+    if (!task) {
+      res.status(404).json({ ok: false, error: "unknown_task" });
+      return null;
+    }
+    return task;
+  }
+
+  function tutorAttempt(req, res) {
+    const attempt = findAttempt(String(req.params.id || ""));
+    if (!attempt) {
+      res.status(404).json({ ok: false, error: "unknown_attempt" });
+      return null;
+    }
+    return attempt;
+  }
+
+  const scoreOf = r => (r?.gated ? null : r?.score ?? null);
+
+  const loginGuard = lockout ? lockout.guard() : (_req, _res, next) => next();
+
+  router.post("/login", ...loginLimits, loginGuard, (req, res) => {
+    if (!password) return res.status(503).json({ ok: false, error: "tutor_disabled" });
+    if (!safeEqual(String(req.body?.password || ""), password)) {
+      lockout?.fail(req.ip);
+      console.warn(`[tutor] wrong password from ${req.ip}`);
+      return res.status(401).json({ ok: false, error: "incorrect_password" });
+    }
+    lockout?.succeed(req.ip);
+    session.set(res, { tutor: true });
+    res.json({ ok: true });
+  });
+
+  router.post("/logout", (req, res) => {
+    session.clear(req, res);
+    res.json({ ok: true });
+  });
+
+  // "Log out everywhere": revokes learner sessions (one learner's with { learnerId }),
+  // or with { tutors: true } every other tutor session too.
+  router.get("/sessions", requireTutor, (_req, res) => {
+    res.json({ ok: true, learners: learnerSession?.count() ?? 0, tutors: session.count() });
+  });
+
+  router.post("/sessions/revoke", requireTutor, (req, res) => {
+    const learnerId = String(req.body?.learnerId || "").trim();
+    const learners = learnerSession?.revokeWhere(d => !learnerId || d.learnerId === learnerId) ?? 0;
+
+    let tutors = 0;
+    if (req.body?.tutors) {
+      const own = session.idOf(req);
+      tutors = session.revokeWhere((_d, id) => id !== own);
+    }
+    console.warn(`[tutor] revoked ${learners} learner and ${tutors} tutor session(s)${learnerId ? ` for ${learnerId}` : ""}`);
+    res.json({ ok: true, revoked: { learners, tutors } });
+  });
+
+  router.get("/tasks", requireTutor, (_req, res) => {
+    res.json({ ok: true, defaultTaskId: tasks.defaultTaskId, tasks: tasks.list() });
+  });
+
+  router.get("/submissions", requireTutor, (req, res) => {
+    const task = resolveTask(req, res);
+    if (!task) return;
+
+    const limit = Math.max(1, Math.min(1000, parseInt(req.query.limit || "200", 10) || 200));
+    const submissions = listAttempts({ taskId: task.id })
+      .slice(-limit)
+      .reverse()
+      .map(a => {
+        const result = effectiveResult(a);
+        return {
+          id: a.id,
+          learnerId: a.learnerId,
+          learnerName: findLearner(a.learnerId)?.name || "",
+          createdAt: a.createdAt,
+          wordCount: result.wordCount ?? null,
+          gated: Boolean(result.gated),
+          integrity: result.gated ? result.integrity?.map(f => f.type) || [] : [],
+          score: scoreOf(result),
+          autoScore: scoreOf(a.result),
+          moderated: Boolean(result.moderated),
+          grid: result.grid || null,
+          notes: result.notes || [],
+          answerText: a.answerText
+        };
+      });
+
+    res.json({ ok: true, taskId: task.id, maxScore: task.rubric.maxScore ?? 10, submissions });
+  });
+
+  /* ---------------- Moderation ----------------
+     One submission with its automated result, the result the learner now
+     sees and the audit trail (the automated marking, then every tutor
+     change). Posting a moderation overrides the total and/or grid rows
+     (levels 0-2) with a reason, and/or adds a comment for the learner;
+     { revert: true, reason } goes back to the automated result.
+  -------------------------------------------------------------------- */
+  router.get("/submissions/:id", requireTutor, (req, res) => {
+    const attempt = tutorAttempt(req, res);
+    if (!attempt) return;
+    const task = tasks.get(attempt.taskId);
+
+    const auto = attempt.result || {};
+    const audit = [
+      { at: attempt.createdAt, action: "marked", by: auto.markedBy || "rules", score: scoreOf(auto), grid: auto.grid || null },
+      ...(attempt.moderations || []).map(m => ({ action: m.revert ? "reverted" : "moderated", ...m }))
+    ];
+
+    res.json({
+      ok: true,
+      submission: {
+        id: attempt.id,
+        taskId: attempt.taskId,
+        learnerId: attempt.learnerId,
+        learnerName: findLearner(attempt.learnerId)?.name || "",
+        createdAt: attempt.createdAt,
+        answerText: attempt.answerText,
+        maxScore: task?.rubric.maxScore ?? 10,
+        gridRows: task ? gridRows(task.rubric) : [],
+        automated: auto,
+        result: effectiveResult(attempt),
+        moderation: currentModeration(attempt),
+        audit
+      }
+    });
+  });
+
+  router.post("/submissions/:id/moderation", requireTutor, (req, res) => {
+    const attempt = tutorAttempt(req, res);
+    if (!attempt) return;
+    const task = tasks.get(attempt.taskId);
+    const maxScore = task?.rubric.maxScore ?? 10;
+    const rows = new Set((task?.rubric.criteria || []).map(c => c.grid).filter(Boolean));
+
+    const body = req.body || {};
+    const reason = String(body.reason || "").trim().slice(0, 500);
+    const comment = String(body.comment || "").trim().slice(0, 2000);
+    const by = String(body.by || "").trim().slice(0, 80) || "tutor";
+
+    if (body.revert) {
+      if (!reason) return res.status(400).json({ ok: false, error: "missing_reason" });
+      moderateAttempt(attempt.id, { by, revert: true, reason });
+      return res.json({ ok: true, result: effectiveResult(findAttempt(attempt.id)) });
+    }
+
+    const score = body.score === "" || body.score == null ? null : Number(body.score);
+    if (score != null && !(Number.isInteger(score) && score >= 0 && score <= maxScore)) {
+      return res.status(400).json({ ok: false, error: "invalid_score" });
+    }
+
+    const grid = {};
+    for (const [row, level] of Object.entries(body.grid || {})) {
+      if (level === "" || level == null) continue;
+      if (!rows.has(row) || ![0, 1, 2].includes(Number(level))) return res.status(400).json({ ok: false, error: "invalid_grid" });
+      grid[row] = Number(level);
+    }
+    const overrides = score != null || Object.keys(grid).length > 0;
+
+    if (!overrides && !comment) return res.status(400).json({ ok: false, error: "nothing_to_change" });
+    if (overrides && !reason) return res.status(400).json({ ok: false, error: "missing_reason" });
+
+    moderateAttempt(attempt.id, {
+      by,
+      score,
+      grid: Object.keys(grid).length ? grid : null,
+      comment,
+      reason
+    });
+    res.json({ ok: true, result: effectiveResult(findAttempt(attempt.id)) });
+  });
+
+  // Codes issued by the Payhip webhook, newest first, so they can be sent to buyers (?email= to filter).
+  router.get("/codes", requireTutor, (req, res) => {
+    const email = String(req.query.email || "").trim().toLowerCase();
+    const codes = listPurchaseCodes()
+      .filter(l => !email || l.email.toLowerCase() === email)
+      .reverse();
+    res.json({ ok: true, codes });
+  });
+
+  router.get("/analytics", requireTutor, (req, res) => {
+    const task = resolveTask(req, res);
+    if (!task) return;
+
+    // Moderated attempts count as the tutor left them.
+    const attempts = listAttempts({ taskId: task.id }).map(a => ({ ...a, result: effectiveResult(a) }));
+    const analytics = cohortAnalytics(attempts, { rubric: task.rubric });
+    res.json({ ok: true, taskId: task.id, analytics });
+  });
+
+  // Clusters of near-duplicate answers from different learners, each pair with a word diff.
+  router.get("/similarity", requireTutor, (req, res) => {
+    const task = resolveTask(req, res);
+    if (!task) return;
+    if (!similarity) return res.json({ ok: true, taskId: task.id, clusters: [] });
+
+    const threshold = Math.max(0.1, Math.min(1, parseFloat(req.query.threshold) || similarityThreshold));
+    const describe = id => {
+      const a = findAttempt(id);
+      return {
+        id,
+        learnerId: a.learnerId,
+        learnerName: findLearner(a.learnerId)?.name || "",
+        createdAt: a.createdAt,
+        score: scoreOf(effectiveResult(a)),
+        answerText: a.answerText
+      };
+    };
+
+    const clusters = similarity.clusters(task.id, { threshold }).map(c => ({
+      attempts: c.attemptIds.map(describe),
+      pairs: c.pairs.map(p => ({
+        a: p.a,
+        b: p.b,
+        similarity: Math.round(p.similarity * 100) / 100,
+        diff: diffWords(findAttempt(p.a).answerText, findAttempt(p.b).answerText)
+      }))
+    }));
+
+    res.json({ ok: true, taskId: task.id, threshold, clusters });
+  });
+
+  return router;
+}
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/* ---------------- Marker calibration CLI ----------------
+   Usage: node scripts/calibrate.js [--task smarttown] [--corpus file.jsonl] [--top 5] [--json]
+   Marks the task's gold corpus (default calibration/<task>.jsonl) and prints
+   agreement with the tutors' marks (see lib/calibration.js). Exits with 1
+   when a threshold in calibration/thresholds.json is not met.
+----------------------------------------------------------------------- */
+import path from "path";
+import { fileURLToPath } from "url";
+import { createTaskRegistry } from "../lib/tasks.js";
+import { calibrate, checkThresholds, formatCalibration, loadCorpus, loadThresholds } from "../lib/calibration.js";
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const CALIBRATION_DIR = path.join(ROOT_DIR, "calibration");
+
+function parseArgs(argv) {
+  const out = { task: "", corpus: "", top: 5, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--task") out.task = argv[++i] || "";
+    else if (arg === "--corpus") out.corpus = argv[++i] || "";
+    else if (arg === "--top") out.top = parseInt(argv[++i] || "5", 10);
+    else if (arg === "--json") out.json = true;
+  }
+  return out;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+try {
+  const tasks = createTaskRegistry({ dir: path.join(ROOT_DIR, "tasks"), defaultTaskId: args.task || process.env.DEFAULT_TASK || "smarttown" });
+  const task = tasks.get(args.task);
+  if (!task) throw new Error(`Unknown task "${args.task}"`);
+
+  const corpus = loadCorpus(args.corpus || path.join(CALIBRATION_DIR, `${task.id}.jsonl`));
+  const report = calibrate(task, corpus, { top: args.top });
+  const thresholds = loadThresholds(path.join(CALIBRATION_DIR, "thresholds.json"), task.id);
+  const failures = thresholds ? checkThresholds(report, thresholds) : [];
+
+  if (args.json) {
+    console.log(JSON.stringify({ ...report, thresholdFailures: failures }, null, 2));
+  } else {
+    console.log(formatCalibration(report));
+    if (thresholds) {
+      console.log("");
+      console.log(failures.length ? `Below threshold:\n  ${failures.join("\n  ")}` : "All thresholds met.");
+    }
+  }
+  if (failures.length) process.exit(1);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+/* ---------------- Issue a per-learner access code ----------------
+   Usage: node scripts/issue-code.js [learnerId] [--name "Name"] [--email a@b.c]
+   Prints the new code; give it to the learner instead of the shared ACCESS_CODE.
+----------------------------------------------------------------------- */
+import { issueLearnerCode } from "../lib/learners.js";
+
+function parseArgs(argv) {
+  const out = { learnerId: "", name: "", email: "" };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--name") out.name = argv[++i] || "";
+    else if (arg === "--email") out.email = argv[++i] || "";
+    else if (!out.learnerId) out.learnerId = arg;
+  }
+  return out;
+}
+
+try {
+  const learner = issueLearnerCode(parseArgs(process.argv.slice(2)));
+  console.log(`${learner.code}\t${learner.id}${learner.name ? `\t${learner.name}` : ""}`);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
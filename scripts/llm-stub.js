@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/* ---------------- Local stub of an OpenAI-compatible endpoint ----------------
+   For trying the LLM marker without a real model:
+     node scripts/llm-stub.js            (listens on LLM_STUB_PORT, default 8787)
+     MARKER_PROVIDER=llm LLM_BASE_URL=http://localhost:8787/v1 npm start
+   STUB_MODE picks the behaviour:
+     ok         valid reply; level by answer length (default)
+     malformed  reply that fails the schema
+     garbage    reply that is not JSON
+     slow       valid reply after STUB_DELAY_MS (default 30000) -> timeout
+     error      HTTP 500
+----------------------------------------------------------------------- */
+import http from "http";
+
+const PORT = parseInt(process.env.LLM_STUB_PORT || "8787", 10);
+const MODE = process.env.STUB_MODE || "ok";
+const DELAY_MS = parseInt(process.env.STUB_DELAY_MS || "30000", 10);
+
+function reply(res, status, payload) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
+
+function completion(content) {
+  return {
+    id: "stub",
+    object: "chat.completion",
+    choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }]
+  };
+}
+
+function scoreBrief(brief) {
+  const words = String(brief.answer || "").trim().split(/\s+/).filter(Boolean).length;
+  return {
+    criteria: brief.criteria.map(c => {
+      const levels = c.levels.map(l => l.level).sort((a, b) => a - b);
+      const level = words >= 150 ? levels[levels.length - 1] : levels[Math.floor(levels.length / 2)];
+      return { id: c.id, level, justification: `Stub marker: ${words} words, placed at level ${level}.` };
+    })
+  };
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== "POST" || !req.url.endsWith("/chat/completions")) return reply(res, 404, { error: "not_found" });
+
+  let raw = "";
+  req.on("data", chunk => { raw += chunk; });
+  req.on("end", () => {
+    let brief;
+    try {
+      const body = JSON.parse(raw);
+      brief = JSON.parse(body.messages.find(m => m.role === "user").content);
+    } catch {
+      return reply(res, 400, { error: "bad_request" });
+    }
+
+    if (MODE === "error") return reply(res, 500, { error: "stub_error" });
+    if (MODE === "garbage") return reply(res, 200, completion("I think this answer deserves a 7."));
+    if (MODE === "malformed") return reply(res, 200, completion(JSON.stringify({ criteria: [{ id: "nope", level: "high" }] })));
+
+    const send = () => reply(res, 200, completion(JSON.stringify(scoreBrief(brief))));
+    if (MODE === "slow") setTimeout(send, DELAY_MS);
+    else send();
+  });
+});
+
+server.listen(PORT, () => console.log(`LLM stub (${MODE}) on http://localhost:${PORT}/v1`));
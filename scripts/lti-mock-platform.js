@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/* ---------------- Local mock LTI 1.3 platform ----------------
+   Plays the LMS side of a launch so the tool can be tried without one:
+     node scripts/lti-mock-platform.js     (listens on LTI_MOCK_PORT, default 8790)
+   then start the tool with the env printed at startup and open
+   http://localhost:8790/ to launch as a test learner.
+   Endpoints:
+     GET  /                     launch links (one per task id in MOCK_TASKS)
+     GET  /auth                 OIDC auth: posts a signed id_token to the tool
+     GET  /jwks                 platform public key
+     POST /token                client_credentials; checks the tool's signed assertion
+     POST /lineitems/:id/scores AGS score publish (logged and kept in memory)
+     GET  /scores               every score received so far (JSON)
+   TOOL_URL is where the tool runs (default http://localhost:3000).
+----------------------------------------------------------------------- */
+import http from "http";
+import crypto from "crypto";
+import { keyId, publicJwk, signJwt, verifyJwt } from "../lib/jwt.js";
+
+const PORT = parseInt(process.env.LTI_MOCK_PORT || "8790", 10);
+const TOOL_URL = (process.env.TOOL_URL || "http://localhost:3000").replace(/\/$/, "");
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_CLIENT_ID || "fethink-tool";
+const DEPLOYMENT_ID = process.env.MOCK_DEPLOYMENT_ID || "1";
+const TASKS = (process.env.MOCK_TASKS || "smarttown").split(",").map(s => s.trim()).filter(Boolean);
+
+const { privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const kid = keyId(privateKey);
+const tokens = new Set();
+const scores = [];
+
+function reply(res, status, payload) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
+
+function html(res, body) {
+  res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+  res.end(`<!doctype html><html><body style="font-family:system-ui;margin:32px">${body}</body></html>`);
+}
+
+function escapeHtml(s) {
+  return String(s ?? "").replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;").replaceAll('"', "&quot;");
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = "";
+    req.on("data", c => { body += c; });
+    req.on("end", () => resolve(body));
+  });
+}
+
+// Launch links: login initiation at the tool, with the resource link (= task) in lti_message_hint.
+function home(res) {
+  const links = TASKS.map(task => {
+    const params = new URLSearchParams({
+      iss: ISSUER,
+      login_hint: "learner-1",
+      target_link_uri: `${TOOL_URL}/lti/launch`,
+      lti_message_hint: task,
+      client_id: CLIENT_ID,
+      lti_deployment_id: DEPLOYMENT_ID
+    });
+    return `<li><a href="${TOOL_URL}/lti/login?${escapeHtml(params.toString())}">Launch "${escapeHtml(task)}" as learner-1</a></li>`;
+  }).join("");
+  html(res, `<h1>Mock LTI platform</h1><ul>${links}</ul><p><a href="/scores">Scores received</a></p>`);
+}
+
+function auth(res, query) {
+  const p = Object.fromEntries(query);
+  if (p.client_id !== CLIENT_ID || p.response_type !== "id_token" || p.scope !== "openid" || !p.nonce || !p.redirect_uri) {
+    return reply(res, 400, { error: "invalid_request" });
+  }
+
+  const task = p.lti_message_hint || TASKS[0];
+  const now = Math.floor(Date.now() / 1000);
+  const idToken = signJwt({
+    iss: ISSUER,
+    aud: CLIENT_ID,
+    sub: p.login_hint,
+    iat: now,
+    exp: now + 300,
+    nonce: p.nonce,
+    name: "Test Learner",
+    email: "learner-1@example.test",
+    "https://purl.imsglobal.org/spec/lti/claim/message_type": "LtiResourceLinkRequest",
+    "https://purl.imsglobal.org/spec/lti/claim/version": "1.3.0",
+    "https://purl.imsglobal.org/spec/lti/claim/deployment_id": DEPLOYMENT_ID,
+    "https://purl.imsglobal.org/spec/lti/claim/target_link_uri": p.redirect_uri,
+    "https://purl.imsglobal.org/spec/lti/claim/resource_link": { id: `link-${task}` },
+    "https://purl.imsglobal.org/spec/lti/claim/custom": { task },
+    "https://purl.imsglobal.org/spec/lti/claim/roles": ["http://purl.imsglobal.org/vocab/lis/v2/membership#Learner"],
+    "https://purl.imsglobal.org/spec/lti-ags/claim/endpoint": {
+      scope: ["https://purl.imsglobal.org/spec/lti-ags/scope/score"],
+      lineitem: `${ISSUER}/lineitems/${encodeURIComponent(task)}`
+    }
+  }, { privateKey, kid });
+
+  html(res, `<form id="f" method="post" action="${escapeHtml(p.redirect_uri)}">
+    <input type="hidden" name="id_token" value="${escapeHtml(idToken)}">
+    <input type="hidden" name="state" value="${escapeHtml(p.state)}">
+    <noscript><button>Continue</button></noscript></form>
+    <script>document.getElementById("f").submit()</script>`);
+}
+
+async function token(req, res) {
+  const p = Object.fromEntries(new URLSearchParams(await readBody(req)));
+  if (p.grant_type !== "client_credentials") return reply(res, 400, { error: "unsupported_grant_type" });
+
+  try {
+    const jwks = await (await fetch(`${TOOL_URL}/lti/jwks`)).json();
+    const claims = verifyJwt(p.client_assertion, jwks.keys || []);
+    if (claims.iss !== CLIENT_ID || claims.sub !== CLIENT_ID || claims.aud !== `${ISSUER}/token`) throw new Error("bad claims");
+  } catch (err) {
+    console.warn(`[mock] client assertion rejected: ${err.message}`);
+    return reply(res, 401, { error: "invalid_client" });
+  }
+
+  const accessToken = crypto.randomBytes(16).toString("hex");
+  tokens.add(accessToken);
+  reply(res, 200, { access_token: accessToken, token_type: "Bearer", expires_in: 3600, scope: p.scope });
+}
+
+async function score(req, res, lineitem) {
+  const bearer = String(req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+  if (!tokens.has(bearer)) return reply(res, 401, { error: "invalid_token" });
+  if (!String(req.headers["content-type"] || "").startsWith("application/vnd.ims.lis.v1.score+json")) {
+    return reply(res, 415, { error: "unsupported_media_type" });
+  }
+
+  const body = JSON.parse(await readBody(req) || "{}");
+  scores.push({ lineitem, ...body });
+  console.log(`[mock] score for ${body.userId} on ${lineitem}: ${body.scoreGiven}/${body.scoreMaximum}`);
+  res.writeHead(204);
+  res.end();
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+  const scoreMatch = url.pathname.match(/^\/lineitems\/([^/]+)\/scores$/);
+
+  if (req.method === "GET" && url.pathname === "/") return home(res);
+  if (req.method === "GET" && url.pathname === "/auth") return auth(res, url.searchParams);
+  if (req.method === "GET" && url.pathname === "/jwks") return reply(res, 200, { keys: [publicJwk(privateKey, kid)] });
+  if (req.method === "POST" && url.pathname === "/token") return token(req, res);
+  if (req.method === "POST" && scoreMatch) return score(req, res, decodeURIComponent(scoreMatch[1]));
+  if (req.method === "GET" && url.pathname === "/scores") return reply(res, 200, { scores });
+  reply(res, 404, { error: "not_found" });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock LTI platform on ${ISSUER} (tool: ${TOOL_URL})`);
+  console.log("Start the tool with:");
+  console.log(`  LTI_ISSUER=${ISSUER} LTI_CLIENT_ID=${CLIENT_ID} LTI_DEPLOYMENT_IDS=${DEPLOYMENT_ID} \\`);
+  console.log(`  LTI_AUTH_URL=${ISSUER}/auth LTI_JWKS_URL=${ISSUER}/jwks LTI_TOKEN_URL=${ISSUER}/token npm start`);
+});
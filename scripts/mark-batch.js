@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/* ---------------- Batch marking CLI ----------------
+   Usage: node scripts/mark-batch.js answers.csv [--task smarttown] [--format csv|jsonl] [--out results.csv]
+   Input format follows the file extension (.jsonl/.ndjson = JSONL, otherwise
+   CSV with a header row). Output defaults to the input format, on stdout.
+   Rows without a task column are marked against --task (or the default task).
+----------------------------------------------------------------------- */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createTaskRegistry } from "../lib/tasks.js";
+import { markBatch, parseBatchInput, toCsv, toJsonl } from "../lib/batch.js";
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+function parseArgs(argv) {
+  const out = { file: "", task: "", format: "", out: "" };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--task") out.task = argv[++i] || "";
+    else if (arg === "--format") out.format = argv[++i] || "";
+    else if (arg === "--out") out.out = argv[++i] || "";
+    else if (!out.file) out.file = arg;
+  }
+  return out;
+}
+
+function formatOf(file) {
+  return /\.(jsonl|ndjson)$/i.test(file) ? "jsonl" : "csv";
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.file) {
+  console.error("Usage: node scripts/mark-batch.js answers.csv [--task id] [--format csv|jsonl] [--out file]");
+  process.exit(1);
+}
+
+try {
+  const tasks = createTaskRegistry({ dir: path.join(ROOT_DIR, "tasks"), defaultTaskId: args.task || process.env.DEFAULT_TASK || "smarttown" });
+  if (args.task && !tasks.get(args.task)) throw new Error(`Unknown task "${args.task}"`);
+
+  const inputFormat = formatOf(args.file);
+  const records = parseBatchInput(fs.readFileSync(args.file, "utf8"), inputFormat);
+  const rows = markBatch(records, { resolveTask: id => tasks.get(id) });
+
+  const outputFormat = args.format || (args.out ? formatOf(args.out) : inputFormat);
+  const output = outputFormat === "jsonl" ? toJsonl(rows) : toCsv(rows);
+
+  if (args.out) fs.writeFileSync(args.out, output);
+  else process.stdout.write(output);
+
+  const failed = rows.filter(r => r.error).length;
+  console.error(`Marked ${rows.length - failed} of ${rows.length} answers${failed ? ` (${failed} with errors)` : ""}.`);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
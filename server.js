@@ -2,356 +2,622 @@ import express from "express";
 import cors from "cors";
 import cookieParser from "cookie-parser";
 import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createTaskRegistry } from "./lib/tasks.js";
+import { createMarker } from "./lib/marker.js";
+import { evaluateHints, gridRows } from "./lib/rubric.js";
+import { createLlmMarker } from "./lib/providers/llm.js";
+import { redeemCode } from "./lib/learners.js";
+import { compareWithPrevious, effectiveResult, findAttempt, listAttempts, recordAttempt, summariseAttempt } from "./lib/attempts.js";
+import { peerCopySources } from "./lib/integrity.js";
+import { createSimilarityService } from "./lib/similarity.js";
+import { createCookieSession, createSecrets, createSessionStore, loadCookieSecret, safeEqual } from "./lib/session.js";
+import { tutorGuard, tutorRoutes } from "./routes/tutor.js";
+import { authoringRoutes } from "./routes/authoring.js";
+import { getTaskVersion, publishedDefinitions } from "./lib/authoring.js";
+import { markBatch, parseBatchInput, toCsv, toJsonl } from "./lib/batch.js";
+import { buildReport, renderReportHtml, renderReportPdf } from "./lib/report.js";
+import { clearDraft, getDraft, saveDraft } from "./lib/drafts.js";
+import { createLtiTool, loadToolKey } from "./lib/lti.js";
+import { ltiRoutes } from "./routes/lti.js";
+import { payhipRoutes } from "./routes/payhip.js";
+import { createLockout, createRateLimiter } from "./lib/ratelimit.js";
+import { listLocales, localiseTask, messages, resolveLocale } from "./lib/i18n.js";
+
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const PUBLIC_DIR = path.join(ROOT_DIR, "public");
+
+// Cross-origin callers allowed (comma-separated origins, or "*"). Empty: same-origin only.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map(s => s.trim()).filter(Boolean);
+
+// Render terminates TLS in a proxy; trust one hop so req.ip is the client's address.
+// A hop count, "false", or addresses/subnets as Express accepts them.
+const TRUST_PROXY = process.env.TRUST_PROXY || "1";
 
 const app = express();
-app.use(cors());
+app.set("trust proxy", TRUST_PROXY === "false" ? false : /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY);
+app.use(cors({
+  origin: CORS_ORIGINS.includes("*") ? true : CORS_ORIGINS.length ? CORS_ORIGINS : false,
+  credentials: true
+}));
 app.use(express.json({ limit: "1mb" }));
 app.use(express.static("public"));
-
-const ACCESS_CODE = process.env.ACCESS_CODE || "FETHINK-ETHICS1";
-const COOKIE_SECRET = process.env.COOKIE_SECRET || crypto.randomBytes(32).toString("hex");
+// The word diff behind the learner page's draft compare, shared with the server (see lib/diff.js)
+app.get("/lib/diff.js", (_req, res) => res.sendFile(path.join(ROOT_DIR, "lib", "diff.js")));
+
+// Shared code (legacy / admin fallback). Set ACCESS_CODE= (empty) to accept per-learner codes only.
+const ACCESS_CODE = process.env.ACCESS_CODE ?? "FETHINK-ETHICS1";
+// Cookie signing. To rotate: move the old secret to COOKIE_SECRET_PREVIOUS (comma-separated)
+// and set COOKIE_SECRET_GRACE_UNTIL (ISO date) for how long old cookies are still accepted.
+const COOKIE_SECRET = loadCookieSecret(process.env.COOKIE_SECRET || "");
+const COOKIE_SECRET_PREVIOUS = (process.env.COOKIE_SECRET_PREVIOUS || "").split(",").map(s => s.trim()).filter(Boolean);
+const COOKIE_SECRET_GRACE_UNTIL = process.env.COOKIE_SECRET_GRACE_UNTIL || null;
+const SESSION_STORE = process.env.SESSION_STORE || "file"; // "file" (DATA_DIR) or "memory"
 const SESSION_MINUTES = parseInt(process.env.SESSION_MINUTES || "120", 10);
 
 const COURSE_BACK_URL = process.env.COURSE_BACK_URL || "";
 const NEXT_LESSON_URL = process.env.NEXT_LESSON_URL || "";
+const DEFAULT_TASK_ID = process.env.DEFAULT_TASK || "smarttown";
+// Marked attempts a learner makes before the model answer is shown (0: from the first).
+// A task can set its own with "modelAnswerAfterAttempts".
+const MODEL_ANSWER_AFTER_ATTEMPTS = parseInt(process.env.MODEL_ANSWER_AFTER_ATTEMPTS || "0", 10);
+
+// Marking backend: "rules" (deterministic, default) or "llm" (any OpenAI-compatible endpoint)
+const MARKER_PROVIDER = process.env.MARKER_PROVIDER || "rules";
+const LLM_BASE_URL = process.env.LLM_BASE_URL || "";
+const LLM_API_KEY = process.env.LLM_API_KEY || "";
+const LLM_MODEL = process.env.LLM_MODEL || "gpt-4o-mini";
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || "15000", 10);
+
+// Jaccard similarity (0–1) at which an answer is flagged as matching another learner's
+const SIMILARITY_THRESHOLD = parseFloat(process.env.SIMILARITY_THRESHOLD || "0.5");
+
+// Rate limits (requests per minute; 0 disables) and the lockouts for wrong access codes (and
+// failed Payhip code lookups) and wrong tutor passwords (each counts towards UNLOCK_PER_MINUTE)
+const UNLOCK_PER_MINUTE = parseInt(process.env.UNLOCK_PER_MINUTE || "10", 10);
+const MARK_PER_MINUTE = parseInt(process.env.MARK_PER_MINUTE || "6", 10);          // per learner session
+const MARK_PER_MINUTE_PER_IP = parseInt(process.env.MARK_PER_MINUTE_PER_IP || "30", 10);
+const HINTS_PER_MINUTE = parseInt(process.env.HINTS_PER_MINUTE || "40", 10);        // per learner session, while typing
+const LOCKOUT_FREE_ATTEMPTS = parseInt(process.env.LOCKOUT_FREE_ATTEMPTS || "5", 10);
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOCKOUT_MAX_MINUTES || "60", 10);
+
+// Tutor area is disabled unless a password is configured
+const TUTOR_PASSWORD = process.env.TUTOR_PASSWORD || "";
+const TUTOR_SESSION_MINUTES = parseInt(process.env.TUTOR_SESSION_MINUTES || "480", 10);
+
+// Payhip webhook: per-purchase codes. Disabled unless the Payhip API key is set.
+const PAYHIP_API_KEY = process.env.PAYHIP_API_KEY || "";
+const PAYHIP_PRODUCT_KEYS = (process.env.PAYHIP_PRODUCT_KEYS || "").split(",").map(s => s.trim()).filter(Boolean);
+// Per-purchase code lifetime and unlock limit; 0 means no limit.
+const CODE_EXPIRY_DAYS = parseInt(process.env.CODE_EXPIRY_DAYS || "365", 10);
+const CODE_MAX_USES = parseInt(process.env.CODE_MAX_USES || "100", 10) || null;
+
+// LTI 1.3: one platform (LMS). Disabled unless issuer, client id and endpoints are set.
+const LTI_ISSUER = process.env.LTI_ISSUER || "";
+const LTI_CLIENT_ID = process.env.LTI_CLIENT_ID || "";
+const LTI_DEPLOYMENT_IDS = (process.env.LTI_DEPLOYMENT_IDS || "").split(",").map(s => s.trim()).filter(Boolean);
+const LTI_AUTH_URL = process.env.LTI_AUTH_URL || "";
+const LTI_JWKS_URL = process.env.LTI_JWKS_URL || "";
+const LTI_TOKEN_URL = process.env.LTI_TOKEN_URL || "";
+const LTI_PRIVATE_KEY = (process.env.LTI_PRIVATE_KEY || "").replace(/\\n/g, "\n");
+const LTI_TOOL_URL = process.env.LTI_TOOL_URL || ""; // public base URL, if not the request's host
+
+app.use(cookieParser());
+
+/* ---------------- Sessions ---------------- */
+const sessionStore = createSessionStore(SESSION_STORE);
+const secrets = createSecrets({
+  current: COOKIE_SECRET,
+  previous: COOKIE_SECRET_PREVIOUS,
+  graceUntil: COOKIE_SECRET_GRACE_UNTIL
+});
 
-app.use(cookieParser(COOKIE_SECRET));
+const learnerSession = createCookieSession({
+  name: "fethink_ethics_session",
+  minutes: SESSION_MINUTES,
+  store: sessionStore,
+  secrets
+});
+const tutorSession = createCookieSession({
+  name: "fethink_ethics_tutor",
+  minutes: TUTOR_SESSION_MINUTES,
+  store: sessionStore,
+  secrets
+});
 
-/* ---------------- Session cookie helpers ---------------- */
-const COOKIE_NAME = "fethink_ethics_session";
+const requireTutor = tutorGuard({ session: tutorSession, password: TUTOR_PASSWORD });
 
-function setSessionCookie(res) {
-  const now = Math.floor(Date.now() / 1000);
-  const exp = now + SESSION_MINUTES * 60;
+function requireSession(req, res, next) {
+  const session = learnerSession.read(req, res);
+  if (!session || typeof session.learnerId !== "string" || !session.learnerId) {
+    return res.status(401).json({ ok: false, error: "unauthorized" });
+  }
+  req.learnerId = session.learnerId;
+  req.lti = session.lti || null;
+  next();
+}
 
-  const payload = { exp };
+// ?preview=<version> (or "preview" in the body): the authoring page's preview of a draft.
+const previewVersion = req => String(req.query?.preview ?? req.body?.preview ?? "").trim();
 
-  res.cookie(COOKIE_NAME, JSON.stringify(payload), {
-    httpOnly: true,
-    secure: true,     // Render uses HTTPS
-    sameSite: "lax",
-    maxAge: SESSION_MINUTES * 60 * 1000,
-    signed: true
-  });
+// The preview runs the learner page as a tutor: marking and hints work on the
+// draft without a learner session, and nothing is stored.
+function requireSessionOrPreview(req, res, next) {
+  if (!previewVersion(req)) return requireSession(req, res, next);
+  if (!tutorSession.read(req, res)?.tutor) return res.status(401).json({ ok: false, error: "unauthorized" });
+  req.learnerId = "tutor-preview";
+  req.preview = true;
+  next();
 }
 
-function isSessionValid(req) {
-  const raw = req.signedCookies?.[COOKIE_NAME];
-  if (!raw) return false;
+/* ---------------- Rate limits ---------------- */
+const MINUTE = 60 * 1000;
 
-  let payload;
-  try {
-    payload = JSON.parse(raw);
-  } catch {
-    return false;
-  }
+const unlockLimit = createRateLimiter({ name: "unlock", windowMs: MINUTE, max: UNLOCK_PER_MINUTE });
+const codeLockout = createLockout({
+  name: "unlock",
+  freeAttempts: LOCKOUT_FREE_ATTEMPTS,
+  baseMs: MINUTE,
+  maxMs: LOCKOUT_MAX_MINUTES * MINUTE
+});
+// The tutor password guards more than the access code does, so it gets its own count.
+const tutorLockout = createLockout({
+  name: "tutor login",
+  freeAttempts: LOCKOUT_FREE_ATTEMPTS,
+  baseMs: MINUTE,
+  maxMs: LOCKOUT_MAX_MINUTES * MINUTE
+});
 
-  const now = Math.floor(Date.now() / 1000);
-  return typeof payload?.exp === "number" && now < payload.exp;
-}
+// Marking is the expensive call: limited per learner session and per IP.
+const markLimits = [
+  createRateLimiter({ name: "mark/session", windowMs: MINUTE, max: MARK_PER_MINUTE, keyFn: req => req.learnerId }),
+  createRateLimiter({ name: "mark/ip", windowMs: MINUTE, max: MARK_PER_MINUTE_PER_IP })
+];
 
-function requireSession(req, res, next) {
-  if (!isSessionValid(req)) {
-    return res.status(401).json({ ok: false, error: "unauthorized" });
-  }
-  next();
-}
+// Hints are cheap but called as the learner types (debounced on the page).
+const hintsLimit = createRateLimiter({ name: "hints", windowMs: MINUTE, max: HINTS_PER_MINUTE, keyFn: req => req.learnerId });
 
 /* ---------------- Helpers ---------------- */
 function clampStr(s, max = 6000) {
   return String(s || "").slice(0, max);
 }
 
-function wordCount(text) {
-  const t = String(text || "").trim();
-  if (!t) return 0;
-  return t.split(/\s+/).filter(Boolean).length;
+// Express 4 does not catch a rejected promise: the request would hang. Answer with a JSON 500 instead.
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve()
+    .then(() => handler(req, res, next))
+    .catch(err => {
+      console.error(`[${req.method} ${req.path}] ${err.stack || err.message}`);
+      if (res.headersSent) return res.end();
+      res.status(500).json({ ok: false, error: "server_error" });
+    });
 }
 
-function hasAny(text, needles) {
-  const t = String(text || "").toLowerCase();
-  return needles.some(n => t.includes(n));
-}
+/* ---------------- Task content ----------------
+   Question, template, model answer, framework text and the marking rubric
+   are loaded per task from the definition files in ./tasks (see lib/tasks.js).
+----------------------------------------------------------------------- */
+const tasks = createTaskRegistry({
+  dir: path.join(ROOT_DIR, "tasks"),
+  defaultTaskId: DEFAULT_TASK_ID
+});
 
-/* ---------------- Task content ---------------- */
-const QUESTION_TEXT =
-`Evaluate the SmartTown Council AI system.
+// Versions published from the authoring page (lib/authoring.js) replace the files' definitions.
+for (const { taskId, version, definition } of publishedDefinitions()) {
+  try {
+    tasks.replace(taskId, definition);
+  } catch (err) {
+    console.warn(`[authoring] published version ${version} of task "${taskId}" not applied: ${err.message}`);
+  }
+}
 
-In your response, explain:
-1) Two ethical or legal failures in how the AI system was designed or used
-2) Why these failures mattered for individuals or the public
-3) Two actions the council should have taken to use AI more responsibly
+/* ---------------- Marker ---------------- */
+function createProvider() {
+  if (MARKER_PROVIDER !== "llm") return null;
+  if (!LLM_BASE_URL) {
+    console.warn("MARKER_PROVIDER=llm but LLM_BASE_URL is not set; using the deterministic marker.");
+    return null;
+  }
+  return createLlmMarker({ baseUrl: LLM_BASE_URL, apiKey: LLM_API_KEY, model: LLM_MODEL, timeoutMs: LLM_TIMEOUT_MS });
+}
 
-Aim for 100–250 words.`;
+const marker = createMarker({ provider: createProvider() });
 
-const TEMPLATE_TEXT =
-`1) Key ethical or legal failures
-- Failure 1:
-- Failure 2:
+/* ---------------- LTI ---------------- */
+function createLti() {
+  if (!LTI_ISSUER || !LTI_CLIENT_ID) return null;
+  if (!LTI_AUTH_URL || !LTI_JWKS_URL) {
+    console.warn("LTI_ISSUER is set but LTI_AUTH_URL / LTI_JWKS_URL are missing; LTI launch disabled.");
+    return null;
+  }
+  return createLtiTool({
+    platform: {
+      issuer: LTI_ISSUER,
+      clientId: LTI_CLIENT_ID,
+      deploymentIds: LTI_DEPLOYMENT_IDS,
+      authUrl: LTI_AUTH_URL,
+      jwksUrl: LTI_JWKS_URL,
+      tokenUrl: LTI_TOKEN_URL
+    },
+    privateKey: loadToolKey(LTI_PRIVATE_KEY)
+  });
+}
 
-2) Why these failures mattered
-- Impact on individuals:
-- Impact on trust or fairness:
+const lti = createLti();
 
-3) What should have been done differently
-- Action 1:
-- Action 2:`;
+/* ---------------- Similarity ----------------
+   MinHash index of every stored answer per task (lib/similarity.js): the
+   closest matches feed the peer-copy integrity check (earlier, unflagged
+   attempts only: see peerCopySources), and an answer that closely
+   matches another learner's is flagged for tutors.
+----------------------------------------------------------------------- */
+const similarity = createSimilarityService({ tasks, listAttempts });
 
-const MODEL_ANSWER =
-`1. Key ethical or legal failures
+// Candidates for the peer-copy check use a lower bar: it measures containment, not Jaccard.
+const PEER_CANDIDATE_THRESHOLD = 0.3;
 
-One major failure was the use of facial recognition without clear public consent or transparency. Residents were not properly informed about how their data would be collected or used. A second failure was the lack of sufficient testing for bias and accuracy before deployment, which increased the risk of misidentification.
+// Sends the score to the LMS gradebook when the session came from an LTI launch of this task.
+// Returns "sent", "failed" or null (nothing to send).
+async function passBackGrade(req, task, result) {
+  if (!lti || !LTI_TOKEN_URL || !req.lti?.lineitem || req.lti.taskId !== task.id || result.gated) return null;
+  try {
+    await lti.postScore({
+      lineitem: req.lti.lineitem,
+      userId: req.lti.userId,
+      scoreGiven: result.score,
+      scoreMaximum: task.rubric.maxScore ?? 10
+    });
+    return "sent";
+  } catch (err) {
+    console.warn(`[lti] grade passback failed for ${req.learnerId}: ${err.message}`);
+    return "failed";
+  }
+}
 
-2. Why these failures mattered
+/* ---------------- Model answer cap ----------------
+   The model answer is held back until the learner has made the task's
+   number of marked attempts, so it is not the first thing they compare
+   against. Counts the learner's attempts as stored (including the one
+   being marked); too-short and flagged attempts do not count.
+----------------------------------------------------------------------- */
+function modelAnswerAfter(task) {
+  return Number.isInteger(task.modelAnswerAfterAttempts) ? task.modelAnswerAfterAttempts : MODEL_ANSWER_AFTER_ATTEMPTS;
+}
 
-These failures mattered because facial recognition can directly affect people’s rights and wellbeing. Individuals could be wrongly identified, questioned, or monitored, causing stress and harm. The lack of transparency also damaged public trust, as people felt watched rather than protected. When AI systems are introduced without openness or safeguards, they risk reinforcing unfairness and discrimination, particularly for certain groups.
+// Marked attempts still needed before the model answer is shown (0: it is shown).
+function attemptsUntilModelAnswer(learnerId, task) {
+  const required = modelAnswerAfter(task);
+  if (required <= 0) return 0;
+  const marked = listAttempts({ learnerId, taskId: task.id }).filter(a => !effectiveResult(a).gated).length;
+  return Math.max(0, required - marked);
+}
 
-3. What should have been done differently
+// The result as the learner may see it: without the model answer while it is held back.
+function withModelAnswerCap(result, remaining) {
+  if (result.gated || remaining === 0) return result;
+  return { ...result, modelAnswer: null, modelAnswerLocked: { remaining } };
+}
 
-First, the council should have completed a Data Protection Impact Assessment (DPIA) and clearly explained the system to the public, including how data would be stored and protected. Second, the system should have been independently tested for bias and accuracy before use, with clear limits on where and when it could operate. These steps would have supported fairer, more responsible use of AI.`;
+/* ---------------- Routes ---------------- */
+// Language for this request: ?lang=, then the task's own setting, then Accept-Language (see lib/i18n.js).
+function requestLocale(req, task = null) {
+  return resolveLocale({
+    requested: req.query?.lang ?? req.body?.lang,
+    taskLocale: task?.locale,
+    acceptLanguage: req.get("accept-language")
+  });
+}
 
-/* ---------------- Framework text for the Learn More tabs ----------------
-   Short, learner-friendly, and consistent with your plan:
-   Only displayed if the learner clicks Learn more.
------------------------------------------------------------------------ */
-const FRAMEWORK = {
-  gdpr: {
-    expectation: "UK GDPR Article 5 – Lawfulness, fairness and transparency (data protection principles).",
-    case: "SmartTown’s use of biometric data without clear public transparency or lawful basis shows what can go wrong when personal data is processed without clear safeguards."
-  },
-  unesco: {
-    expectation: "UNESCO Recommendation on the Ethics of Artificial Intelligence (adopted 2021) – human rights, dignity, transparency and fairness across the AI lifecycle.",
-    case: "The case illustrates how facial recognition can undermine rights and dignity when it is not transparent, not accountable, or produces biased outcomes."
-  },
-  ofsted: {
-    expectation: "Ofsted – expectations for responsible use of technology/AI: ethical, safe, transparent practice and management of risks (e.g., bias, fairness, data protection).",
-    case: "SmartTown lacked transparency and safeguards, highlighting why organisations must evaluate risks and ensure AI is used responsibly and fairly."
-  },
-  jisc: {
-    expectation: "Jisc – principles for responsible AI use in education: fair, safe, accountable and transparent deployment.",
-    case: "The case shows why risk assessment, fairness checks, and clear governance matter before deploying AI that affects people."
+// The task in the request's language; sets req.locale.
+// With ?preview=<version>, that saved draft of the task instead (tutors only).
+function resolveTask(req, res) {
+  const id = req.query?.task ?? req.body?.taskId;
+  const task = tasks.get(id);
+  if (!task) {
+    res.status(404).json({ ok: false, error: "unknown_task" });
+    return null;
   }
-};
-
-/* ---------------- Rubric detection themes ---------------- */
-const FAILURE_THEMES = [
-  { key: "consent/transparency", hits: ["consent", "transparent", "transparency", "informed", "notice", "public informed"] },
-  { key: "gdpr/lawful basis", hits: ["gdpr", "lawful", "lawful basis", "data protection", "dpa", "privacy"] },
-  { key: "bias/fairness", hits: ["bias", "biased", "fair", "fairness", "discrimin", "equal"] },
-  { key: "accuracy/misidentification", hits: ["accur", "misidentif", "false positive", "false negative", "wrongly"] },
-  { key: "security/storage", hits: ["secure", "security", "stored", "storage", "breach", "access control", "encryption"] },
-  { key: "dpia/governance", hits: ["dpia", "impact assessment", "governance", "oversight", "audit"] }
-];
+  const preview = previewVersion(req);
+  if (preview) {
+    if (!tutorSession.read(req, res)?.tutor) {
+      res.status(401).json({ ok: false, error: "unauthorized" });
+      return null;
+    }
+    const draft = getTaskVersion(task.id, preview);
+    if (!draft) {
+      res.status(404).json({ ok: false, error: "unknown_version" });
+      return null;
+    }
+    req.locale = requestLocale(req, draft.definition);
+    return localiseTask(draft.definition, req.locale);
+  }
+  req.locale = requestLocale(req, task);
+  return tasks.get(task.id, req.locale);
+}
 
-const REC_THEMES = [
-  ["dpia", "impact assessment"],
-  ["consent", "transparen", "public notice"],
-  ["bias", "fairness testing", "independent testing"],
-  ["accuracy testing", "pilot", "validate"],
-  ["data minim", "retention", "delete"],
-  ["security", "access control", "encryption"],
-  ["limits", "where", "when", "policy", "governance"]
-];
+app.get("/api/tasks", (req, res) => {
+  res.json({ ok: true, defaultTaskId: tasks.defaultTaskId, tasks: tasks.list(requestLocale(req)) });
+});
 
-/* ---------------- Status helpers ---------------- */
-function statusFromLevel(level) {
-  // level: 2=secure, 1=developing, 0=missing
-  if (level >= 2) return "✓ Secure";
-  if (level === 1) return "◐ Developing";
-  return "✗ Missing";
-}
+// Message catalogue for the learner page (English fills any gaps) and the languages on offer.
+app.get("/api/i18n", (req, res) => {
+  const task = req.query.task ? tasks.get(req.query.task) : null;
+  const locale = requestLocale(req, task);
+  res.json({ ok: true, locale, locales: listLocales(), messages: messages(locale) });
+});
 
-function tagStatus(level) {
-  // returns ok/mid/bad for UI
-  if (level >= 2) return "ok";
-  if (level === 1) return "mid";
-  return "bad";
-}
+app.get("/api/config", (req, res) => {
+  const task = resolveTask(req, res);
+  if (!task) return;
 
-/* ---------------- Deterministic marker ----------------
-   - <50 words: ONLY "Please add..." message; NO strengths/tags/grid/framework/model
-   - >=50 words: score + strengths + tags + grid + improvement notes + Learn more panel content + model answer
------------------------------------------------------------------------ */
-function markEthicsResponse(answerText) {
-  const wc = wordCount(answerText);
-
-  // HARD GATE: under 50 words — no rubric, no model answer, no extras
-  if (wc < 50) {
-    return {
-      gated: true,
-      wordCount: wc,
-      message:
-        "Please add to your answer.\n" +
-        "This response is too short to demonstrate evaluation.\n" +
-        "Aim for 100–250 words and address all parts of the question.",
-      score: null,
-      feedback: null,
-      strengths: null,
-      tags: null,
-      grid: null,
-      framework: null,
-      modelAnswer: null
-    };
-  }
+  res.json({
+    ok: true,
+    taskId: task.id,
+    locale: req.locale,
+    title: task.title,
+    courseBackUrl: task.courseBackUrl || COURSE_BACK_URL,
+    nextLessonUrl: task.nextLessonUrl || NEXT_LESSON_URL,
+    questionText: task.questionText,
+    templateText: task.templateText,
+    targetWords: task.targetWords,
+    minWordsGate: task.minWordsGate,
+    maxScore: task.rubric.maxScore ?? 10,
+    gridRows: gridRows(task.rubric),
+    codeLookup: Boolean(PAYHIP_API_KEY)
+  });
+});
 
-  const t = String(answerText || "").toLowerCase();
+// Wrong codes count towards a per-IP lockout that doubles each time (see lib/ratelimit.js).
+app.post("/api/unlock", unlockLimit, codeLockout.guard(), (req, res) => {
+  const code = String(req.body?.code || "").trim();
+  if (!code) return res.status(400).json({ ok: false, error: "missing_code" });
 
-  // ===== 1) Failures (3 marks)
-  let themesFound = 0;
-  for (const theme of FAILURE_THEMES) {
-    if (hasAny(t, theme.hits)) themesFound += 1;
+  // Per-learner code: the session carries that learner's id
+  const { learner, error } = redeemCode(code);
+  if (learner) {
+    codeLockout.succeed(req.ip);
+    learnerSession.set(res, { learnerId: learner.id });
+    return res.json({ ok: true, learnerId: learner.id, learner: { id: learner.id, name: learner.name } });
   }
+  // Known code that is expired, revoked (refund) or used up: no fallback to the shared code
+  if (error !== "incorrect_code") return res.status(401).json({ ok: false, error });
 
-  let failuresLevel = 0; // for grid/tags
-  let score = 0;
-  const notes = [];
+  // Shared code (legacy): anonymous learner, history lasts as long as the session.
+  // Constant-time compare
+  if (!ACCESS_CODE || !safeEqual(code, ACCESS_CODE)) {
+    codeLockout.fail(req.ip);
+    return res.status(401).json({ ok: false, error: "incorrect_code" });
+  }
+  codeLockout.succeed(req.ip);
 
-  if (themesFound >= 2) { score += 3; failuresLevel = 2; }
-  else if (themesFound === 1) { score += 1; failuresLevel = 1; notes.push("Failures: Identify two clear ethical/legal failures (not just one)."); }
-  else { failuresLevel = 0; notes.push("Failures: Identify two clear ethical/legal failures."); }
+  const learnerId = `anon-${crypto.randomUUID()}`;
+  learnerSession.set(res, { learnerId });
+  res.json({ ok: true, learnerId, learner: null });
+});
 
-  // ===== 2) Impact (3 marks)
-  const mentionsIndividuals = hasAny(t, ["individual", "people", "resident", "person", "community"]);
-  const mentionsHarm = hasAny(t, ["harm", "stress", "wrongly", "misidentif", "discrimin", "unfair", "rights"]);
-  const mentionsTrust = hasAny(t, ["trust", "confidence", "public trust", "reputation", "legitimacy"]);
-  const mentionsFairness = hasAny(t, ["fairness", "discrimin", "unfair", "equal"]);
+// Lets the page skip the access-code gate when a session already exists (e.g. after an LTI launch).
+app.get("/api/session", requireSession, (req, res) => {
+  res.json({ ok: true, learnerId: req.learnerId, lti: Boolean(req.lti) });
+});
 
-  let impactLevel = 0;
+app.post("/api/mark", requireSessionOrPreview, markLimits, asyncRoute(async (req, res) => {
+  const task = resolveTask(req, res);
+  if (!task) return;
 
-  if ((mentionsIndividuals && mentionsHarm) && (mentionsTrust || mentionsFairness)) {
-    score += 3; impactLevel = 2;
-  } else if ((mentionsIndividuals && mentionsHarm) || mentionsTrust || mentionsFairness) {
-    score += 2; impactLevel = 1;
-  } else {
-    score += 1; impactLevel = 0;
-    notes.push("Impact: Explain why the failures mattered (harm to people and/or trust/fairness).");
+  const answerText = clampStr(req.body?.answerText, 6000);
+  if (req.preview) {
+    const result = await marker.mark(answerText, task, { locale: req.locale });
+    return res.json({ ok: true, taskId: task.id, attemptId: null, result, comparison: null, gradePassback: null, preview: true });
   }
+  const matches = similarity.matches(task.id, answerText, { learnerId: req.learnerId, threshold: PEER_CANDIDATE_THRESHOLD });
+  const peerAnswers = peerCopySources(answerText, task, {
+    peers: matches.map(m => findAttempt(m.id)).filter(Boolean),
+    own: listAttempts({ learnerId: req.learnerId, taskId: task.id })
+  });
 
-  // ===== 3) Recommendations (2 marks)
-  let recHits = 0;
-  for (const hits of REC_THEMES) {
-    if (hasAny(t, hits)) recHits += 1;
+  const result = await marker.mark(answerText, task, { peerAnswers, locale: req.locale });
+  const closest = matches[0]?.similarity ?? 0;
+  if (closest >= SIMILARITY_THRESHOLD) {
+    result.similarity = { flagged: true, score: Math.round(closest * 100) / 100 };
   }
-  const actionMarkers = (answerText.match(/\baction\b|\bshould\b|\bmust\b|\bneed to\b|\brecommend\b/gi) || []).length;
-
-  let recsLevel = 0;
-
-  if (recHits >= 2 && actionMarkers >= 2) { score += 2; recsLevel = 2; }
-  else if (recHits >= 1) { score += 1; recsLevel = 1; notes.push("Recommendations: Give two practical actions the council should take (not vague)."); }
-  else { recsLevel = 0; notes.push("Recommendations: Provide two practical actions the council should take."); }
-
-  // ===== 4) Ethical/legal language (1 mark)
-  const usesTerms = hasAny(t, ["gdpr", "dpia", "data protection", "privacy", "consent", "bias", "fairness", "transparency"]);
-  let legalLevel = 0;
-  if (usesTerms) { score += 1; legalLevel = 2; }
-  else { legalLevel = 0; notes.push("Language: Use at least one key term (e.g., GDPR, consent, bias, transparency, DPIA)."); }
-
-  // ===== 5) Structure (1 mark)
-  const hasStructure =
-    hasAny(t, ["failure 1", "failure 2"]) ||
-    hasAny(t, ["1)", "2)", "3)"]) ||
-    hasAny(t, ["key ethical", "why these failures", "what should have"]);
-  let structureLevel = 0;
-  if (hasStructure) { score += 1; structureLevel = 2; }
-  else { structureLevel = 1; notes.push("Structure: Use the template headings so your evaluation is easy to follow."); }
-
-  // Word-range guidance (not scored)
-  if (wc < 100) notes.push("Length: Aim for 100–250 words (yours is a bit short).");
-  if (wc > 250) notes.push("Length: Aim for 100–250 words (yours is a bit long).");
-
-  // Clamp score
-  score = Math.max(0, Math.min(10, score));
-
-  // ===== Strengths (2–3 max)
-  const strengths = [];
-  if (failuresLevel >= 2) strengths.push("You identified at least two relevant ethical/legal failures.");
-  if (impactLevel >= 1) strengths.push("You explained why the issues matter for people and/or public trust.");
-  if (recsLevel >= 1) strengths.push("You suggested practical actions to improve responsible use of AI.");
-  if (usesTerms) strengths.push("You used appropriate ethical/legal terms (e.g., consent, bias, GDPR).");
-  if (hasStructure) strengths.push("Your response followed a clear structure, which makes your evaluation easy to follow.");
-
-  // choose up to 3
-  const strengthsTop = strengths.slice(0, 3);
-
-  // ===== Tags (5 fixed tags)
-  const tags = [
-    { name: "Ethical awareness", status: tagStatus(Math.min(2, Math.max(failuresLevel, impactLevel))) },
-    { name: "Legal awareness", status: tagStatus(legalLevel >= 2 ? 2 : (hasAny(t, ["consent", "privacy", "data protection"]) ? 1 : 0)) },
-    { name: "Impact evaluation", status: tagStatus(impactLevel >= 2 ? 2 : (impactLevel === 1 ? 1 : 0)) },
-    { name: "Practical judgement", status: tagStatus(recsLevel >= 2 ? 2 : (recsLevel === 1 ? 1 : 0)) },
-    { name: "Structure & clarity", status: tagStatus(structureLevel >= 2 ? 2 : (structureLevel === 1 ? 1 : 0)) }
-  ];
-
-  // ===== Grid (5 rows, simple)
-  const grid = {
-    ethical: statusFromLevel(failuresLevel),
-    impact: statusFromLevel(impactLevel >= 2 ? 2 : (impactLevel === 1 ? 1 : 0)),
-    legal: statusFromLevel(legalLevel >= 2 ? 2 : (usesTerms ? 1 : 0)),
-    recs: statusFromLevel(recsLevel),
-    structure: statusFromLevel(structureLevel)
-  };
-
-  // ===== Improvement feedback (existing style)
-  const feedback =
-    notes.length === 0
-      ? "Strong response — you identified key issues, explained impact, and gave practical improvements."
-      : "To improve:\n- " + notes.join("\n- ");
-
-  // Framework content is available (collapsed) after ≥50 words.
-  // We always return it once the learner has earned full feedback.
-  return {
-    gated: false,
-    wordCount: wc,
-    score,
-    strengths: strengthsTop,
-    tags,
-    grid,
-    framework: FRAMEWORK,
-    feedback,
-    modelAnswer: MODEL_ANSWER
-  };
-}
 
-/* ---------------- Routes ---------------- */
-app.get("/api/config", (_req, res) => {
+  const attempt = recordAttempt({ learnerId: req.learnerId, taskId: task.id, answerText, result, locale: req.locale });
+  similarity.record(attempt);
+  const gradePassback = await passBackGrade(req, task, result);
   res.json({
     ok: true,
-    courseBackUrl: COURSE_BACK_URL,
-    nextLessonUrl: NEXT_LESSON_URL,
-    questionText: QUESTION_TEXT,
-    templateText: TEMPLATE_TEXT,
-    targetWords: "100–250",
-    minWordsGate: 50
+    taskId: task.id,
+    attemptId: attempt.id,
+    result: withModelAnswerCap(result, attemptsUntilModelAnswer(req.learnerId, task)),
+    comparison: compareWithPrevious(attempt, task.rubric),
+    gradePassback
   });
+}));
+
+/* Writing checklist shown beside the answer box while the learner types.
+   Only met / not met per hint: no score, levels, evidence or model answer,
+   and nothing is stored. */
+app.post("/api/hints", requireSessionOrPreview, hintsLimit, (req, res) => {
+  const task = resolveTask(req, res);
+  if (!task) return;
+
+  const answerText = clampStr(req.body?.answerText, 6000);
+  res.json({ ok: true, taskId: task.id, hints: evaluateHints(task.rubric, answerText, { templateText: task.templateText }) });
 });
 
-app.post("/api/unlock", (req, res) => {
-  const code = String(req.body?.code || "").trim();
-  if (!code) return res.status(400).json({ ok: false, error: "missing_code" });
+/* Batch marking for tutors: CSV (text/csv) or JSONL (application/x-ndjson)
+   as the raw body, or JSON { answers: [...] }. ?task= sets the task for rows
+   without one; ?format=csv|jsonl|json picks the output. Nothing is stored. */
+app.post(
+  "/api/mark/batch",
+  requireTutor,
+  express.text({ type: ["text/csv", "text/plain", "application/x-ndjson", "application/jsonl"], limit: "10mb" }),
+  (req, res) => {
+    const defaultTask = tasks.get(req.query.task);
+    if (!defaultTask) return res.status(404).json({ ok: false, error: "unknown_task" });
+
+    let records;
+    try {
+      if (typeof req.body === "string") {
+        records = parseBatchInput(req.body, req.is("text/csv", "text/plain") ? "csv" : "jsonl");
+      } else if (Array.isArray(req.body?.answers)) {
+        records = req.body.answers;
+      } else {
+        return res.status(400).json({ ok: false, error: "missing_answers" });
+      }
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: "bad_input", message: err.message });
+    }
+
+    const rows = markBatch(records, { resolveTask: id => (id ? tasks.get(id) : defaultTask) });
+    const format = req.query.format || (typeof req.body === "string" && !req.is("text/csv", "text/plain") ? "jsonl" : "csv");
+
+    if (format === "json") return res.json({ ok: true, rows });
+    if (format === "jsonl") return res.type("application/x-ndjson").send(toJsonl(rows));
+    res.type("text/csv").attachment("marked-answers.csv").send(toCsv(rows));
+  }
+);
 
-  // Constant-time compare
-  const a = Buffer.from(code);
-  const b = Buffer.from(ACCESS_CODE);
-  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
-    return res.status(401).json({ ok: false, error: "incorrect_code" });
+app.get("/api/attempts", requireSession, (req, res) => {
+  const task = resolveTask(req, res);
+  if (!task) return;
+
+  const attempts = listAttempts({ learnerId: req.learnerId, taskId: task.id }).map(a => summariseAttempt(a, req.locale));
+  res.json({ ok: true, taskId: task.id, attempts });
+});
+
+function ownAttempt(req, res, id) {
+  const attempt = findAttempt(String(id || ""));
+  if (!attempt || attempt.learnerId !== req.learnerId) {
+    res.status(404).json({ ok: false, error: "unknown_attempt" });
+    return null;
   }
+  return attempt;
+}
 
-  setSessionCookie(res);
-  res.json({ ok: true });
+app.get("/api/attempts/:id", requireSession, (req, res) => {
+  const attempt = ownAttempt(req, res, req.params.id);
+  if (!attempt) return;
+  const locale = requestLocale(req, tasks.get(attempt.taskId));
+  res.json({ ok: true, attempt: { ...summariseAttempt(attempt, locale), answerText: attempt.answerText } });
 });
 
-app.post("/api/mark", requireSession, (req, res) => {
-  const answerText = clampStr(req.body?.answerText, 6000);
-  const result = markEthicsResponse(answerText);
-  res.json({ ok: true, result });
+/* ---------------- Drafts ----------------
+   Autosave of the answer editor per learner and task (the browser also
+   keeps its own copy in localStorage).
+----------------------------------------------------------------------- */
+app.get("/api/drafts", requireSession, (req, res) => {
+  const task = resolveTask(req, res);
+  if (!task) return;
+
+  const draft = getDraft(req.learnerId, task.id);
+  res.json({ ok: true, taskId: task.id, current: draft?.current || null, versions: draft?.versions || [] });
+});
+
+app.put("/api/drafts", requireSession, (req, res) => {
+  const task = resolveTask(req, res);
+  if (!task) return;
+
+  const draft = saveDraft(req.learnerId, task.id, clampStr(req.body?.text, 6000));
+  res.json({ ok: true, taskId: task.id, savedAt: draft.current.savedAt, versions: draft.versions.length });
 });
 
-app.post("/api/logout", (_req, res) => {
-  res.clearCookie(COOKIE_NAME);
+app.delete("/api/drafts", requireSession, (req, res) => {
+  const task = resolveTask(req, res);
+  if (!task) return;
+
+  clearDraft(req.learnerId, task.id);
   res.json({ ok: true });
 });
 
+/* ---------------- Feedback report ----------------
+   GET  /api/report?attempt=<id>&format=html|pdf&model=1
+   POST /api/report { attemptId } or { taskId, answerText }, plus format / includeModelAnswer
+   Learners can only report on their own attempts, and only get the model
+   answer once the model answer cap allows it.
+----------------------------------------------------------------------- */
+async function sendReport(res, report, format) {
+  const stamp = report.createdAt.slice(0, 10);
+  if (format === "pdf") {
+    const pdf = await renderReportPdf(report);
+    return res.type("application/pdf").attachment(`feedback-${stamp}.pdf`).send(pdf);
+  }
+  res.type("html").send(renderReportHtml(report));
+}
+
+function reportForAttempt(req, attempt, includeModelAnswer) {
+  const found = tasks.get(attempt.taskId);
+  if (!found) return null;
+  const locale = requestLocale(req, found);
+  const task = tasks.get(found.id, locale);
+  const result = withModelAnswerCap(effectiveResult(attempt, locale), attemptsUntilModelAnswer(req.learnerId, task));
+  return buildReport({ task, answerText: attempt.answerText, result, createdAt: attempt.createdAt, includeModelAnswer, locale });
+}
+
+app.get("/api/report", requireSession, asyncRoute(async (req, res) => {
+  const attempt = ownAttempt(req, res, req.query.attempt);
+  if (!attempt) return;
+
+  const report = reportForAttempt(req, attempt, req.query.model === "1");
+  if (!report) return res.status(404).json({ ok: false, error: "unknown_task" });
+  await sendReport(res, report, req.query.format);
+}));
+
+app.post("/api/report", requireSession, markLimits, asyncRoute(async (req, res) => {
+  const includeModelAnswer = Boolean(req.body?.includeModelAnswer);
+  let report;
+
+  if (req.body?.attemptId) {
+    const attempt = ownAttempt(req, res, req.body.attemptId);
+    if (!attempt) return;
+    report = reportForAttempt(req, attempt, includeModelAnswer);
+    if (!report) return res.status(404).json({ ok: false, error: "unknown_task" });
+  } else {
+    const task = resolveTask(req, res);
+    if (!task) return;
+    const answerText = clampStr(req.body?.answerText, 6000);
+    if (!answerText.trim()) return res.status(400).json({ ok: false, error: "missing_answer" });
+    const result = withModelAnswerCap(await marker.mark(answerText, task, { locale: req.locale }), attemptsUntilModelAnswer(req.learnerId, task));
+    report = buildReport({ task, answerText, result, includeModelAnswer, locale: req.locale });
+  }
+
+  await sendReport(res, report, req.body?.format);
+}));
+
+app.post("/api/logout", (req, res) => {
+  learnerSession.clear(req, res);
+  res.json({ ok: true });
+});
+
+app.get("/tutor", (_req, res) => res.sendFile(path.join(PUBLIC_DIR, "tutor.html")));
+app.get("/author", (_req, res) => res.sendFile(path.join(PUBLIC_DIR, "author.html")));
+app.use("/api/author", authoringRoutes({ tasks, session: tutorSession, password: TUTOR_PASSWORD }));
+
+app.use("/api/tutor", tutorRoutes({
+  tasks,
+  session: tutorSession,
+  learnerSession,
+  password: TUTOR_PASSWORD,
+  loginLimits: [unlockLimit],
+  lockout: tutorLockout,
+  similarity,
+  similarityThreshold: SIMILARITY_THRESHOLD
+}));
+
+app.use("/api/payhip", payhipRoutes({
+  apiKey: PAYHIP_API_KEY,
+  productKeys: PAYHIP_PRODUCT_KEYS,
+  expiryDays: CODE_EXPIRY_DAYS,
+  maxUses: CODE_MAX_USES,
+  learnerSession,
+  // Looking up a code is as good as guessing one, so it counts towards the same lockout.
+  lookupLimits: [unlockLimit],
+  lockout: codeLockout
+}));
+app.use("/lti", ltiRoutes({ tool: lti, tasks, session: learnerSession, toolUrl: LTI_TOOL_URL }));
+
 app.get("/health", (_req, res) => res.status(200).send("ok"));
 
 const port = process.env.PORT || 3000;
-app.listen(port, () => console.log(`Ethics automarker running on http://localhost:${port}`));
+app.listen(port, () => console.log(`Ethics automarker running on http://localhost:${port} (marker: ${marker.provider}${lti ? ", LTI enabled" : ""})`));
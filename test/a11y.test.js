@@ -0,0 +1,267 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { fileURLToPath } from "url";
+import { JSDOM } from "jsdom";
+import { createTaskRegistry } from "../lib/tasks.js";
+import { markEthicsResponse } from "../lib/marker.js";
+import { evaluateHints, gridRows } from "../lib/rubric.js";
+import { diffWords } from "../lib/diff.js";
+import { listLocales, messages } from "../lib/i18n.js";
+
+/* ---------------- Learner page accessibility ----------------
+   Loads public/index.html and app.js in jsdom against an in-memory API
+   (the real task and marker, no server), then checks the page with axe
+   and exercises the keyboard and screen-reader behaviour.
+   Colour contrast is left to manual checks: jsdom does no layout.
+----------------------------------------------------------------------- */
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const require = createRequire(import.meta.url);
+
+const html = fs.readFileSync(path.join(ROOT_DIR, "public", "index.html"), "utf8");
+const appJs = fs.readFileSync(path.join(ROOT_DIR, "public", "app.js"), "utf8");
+const axeJs = fs.readFileSync(require.resolve("axe-core/axe.min.js"), "utf8");
+
+const tasks = createTaskRegistry({ dir: path.join(ROOT_DIR, "tasks"), defaultTaskId: "smarttown" });
+const task = tasks.get();
+
+const ANSWER = `1) Key ethical or legal failures
+- Failure 1: The council let the system make decisions about residents' benefits using data that was biased against people from poorer postcodes, so the outcomes were discriminatory.
+- Failure 2: Residents were never told that an algorithm was involved, which breaks transparency and the GDPR right to be informed about automated decision-making.
+
+2) Why these failures mattered
+- Impact on individuals: Families were wrongly refused support and suffered financial hardship and stress, with no clear way to challenge the result.
+- Impact on trust or fairness: Public trust in the council fell because people felt decisions were unfair and hidden from them.
+
+3) What should have been done differently
+- Action 1: The council should have carried out a DPIA and an equality impact assessment before launch, testing the model for bias.
+- Action 2: They should keep a human reviewer for every refusal and publish a plain-language notice explaining how the system works and how to appeal.`;
+
+function fakeApi({ loggedIn }) {
+  const attempts = [];
+
+  const routes = {
+    "GET /api/i18n": () => ({ ok: true, locale: "en", locales: listLocales(), messages: messages("en") }),
+    "GET /api/config": () => ({
+      ok: true,
+      taskId: task.id,
+      locale: "en",
+      title: task.title,
+      questionText: task.questionText,
+      templateText: task.templateText,
+      targetWords: task.targetWords,
+      minWordsGate: task.minWordsGate,
+      maxScore: task.rubric.maxScore ?? 10,
+      gridRows: gridRows(task.rubric)
+    }),
+    "GET /api/session": () => (loggedIn ? { ok: true, learnerId: "test" } : [401, { ok: false, error: "unauthorized" }]),
+    "GET /api/attempts": () => ({ ok: true, attempts }),
+    "GET /api/drafts": () => ({ ok: true, current: null, versions: [] }),
+    "PUT /api/drafts": () => ({ ok: true, savedAt: new Date().toISOString(), versions: 1 }),
+    "POST /api/hints": body => ({ ok: true, hints: evaluateHints(task.rubric, body.answerText, { templateText: task.templateText }) }),
+    "POST /api/mark": body => {
+      const result = markEthicsResponse(body.answerText, task);
+      const previous = attempts.findLast(a => !a.gated);
+      attempts.push({ id: `a${attempts.length + 1}`, createdAt: new Date().toISOString(), score: result.score, gated: result.gated, wordCount: result.wordCount, answerText: body.answerText });
+      // Shape of lib/attempts.js compareWithPrevious, with fixed rows and notes
+      const comparison = previous && !result.gated ? {
+        previous: { id: previous.id, number: attempts.indexOf(previous) + 1, createdAt: previous.createdAt },
+        score: { from: previous.score, to: result.score, delta: result.score - previous.score },
+        grid: [{ row: "legal", from: 0, to: 2 }],
+        notes: { resolved: ["Use at least one key term."], remaining: [], added: [] },
+        diff: diffWords(previous.answerText, body.answerText)
+      } : null;
+      return { ok: true, attemptId: attempts.at(-1).id, result, comparison, gradePassback: null };
+    }
+  };
+
+  return async (url, options = {}) => {
+    const { pathname } = new URL(url, "http://localhost/");
+    const handler = routes[`${options.method || "GET"} ${pathname}`];
+    const out = handler ? handler(options.body ? JSON.parse(options.body) : {}) : [404, { ok: false }];
+    const [status, data] = Array.isArray(out) ? out : [200, out];
+    return { ok: status < 400, status, json: async () => data };
+  };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(check, what) {
+  for (let i = 0; i < 100; i++) {
+    if (check()) return;
+    await wait(20);
+  }
+  throw new Error(`Timed out waiting for ${what}`);
+}
+
+async function loadPage({ loggedIn = true } = {}) {
+  const dom = new JSDOM(html, { url: "http://localhost/", runScripts: "outside-only", pretendToBeVisual: true });
+  const { window } = dom;
+  window.fetch = fakeApi({ loggedIn });
+  window.confirm = () => true;
+  window.eval(appJs);
+
+  const gate = window.document.getElementById("gate");
+  await waitFor(() => gate.style.display === (loggedIn ? "none" : "flex"), "the initial load");
+  return window;
+}
+
+async function axeViolations(window) {
+  window.eval(axeJs);
+  const results = await window.axe.run(window.document, { rules: { "color-contrast": { enabled: false } } });
+  // Array.from: a plain array of this realm, not the window's
+  return Array.from(results.violations, v => `${v.id}: ${v.nodes.map(n => n.target.join(" ")).join(", ")}`);
+}
+
+async function submitAnswer(window) {
+  const doc = window.document;
+  doc.getElementById("answerText").value = ANSWER;
+  doc.getElementById("submitBtn").click();
+  await waitFor(() => doc.getElementById("scoreBig").textContent !== "—", "the marked result");
+}
+
+const key = (window, el, k, extra = {}) =>
+  el.dispatchEvent(new window.KeyboardEvent("keydown", { key: k, bubbles: true, cancelable: true, ...extra }));
+
+test("results state has no axe violations", async () => {
+  const window = await loadPage();
+  await submitAnswer(window);
+  window.document.getElementById("learnMoreBtn").click();
+
+  assert.deepEqual(await axeViolations(window), []);
+  window.close();
+});
+
+test("gate has no axe violations, keeps focus inside and makes the page inert", async () => {
+  const window = await loadPage({ loggedIn: false });
+  const doc = window.document;
+
+  assert.deepEqual(await axeViolations(window), []);
+  assert.equal(doc.activeElement, doc.getElementById("codeInput"));
+  assert.ok(doc.querySelector(".layout").inert);
+
+  const focusables = Array.from(doc.getElementById("gate").querySelectorAll("button, input, select"))
+    .filter(el => !el.closest("[style*='display:none']"));
+  const first = focusables[0];
+  const last = focusables.at(-1);
+
+  last.focus();
+  key(window, last, "Tab");
+  assert.equal(doc.activeElement, first);
+
+  first.focus();
+  key(window, first, "Tab", { shiftKey: true });
+  assert.equal(doc.activeElement, last);
+  window.close();
+});
+
+test("framework tabs work with arrow keys, Home and End", async () => {
+  const window = await loadPage();
+  const doc = window.document;
+  await submitAnswer(window);
+  doc.getElementById("learnMoreBtn").click();
+
+  const tabs = Array.from(doc.querySelectorAll("[role=tab]"));
+  const selected = () => tabs.find(tab => tab.getAttribute("aria-selected") === "true");
+  for (const tab of tabs) {
+    assert.ok(doc.getElementById(tab.getAttribute("aria-controls")), `${tab.id} controls a panel`);
+  }
+
+  tabs[0].focus();
+  key(window, tabs[0], "ArrowRight");
+  assert.equal(selected(), tabs[1]);
+  assert.equal(doc.activeElement, tabs[1]);
+  assert.equal(doc.getElementById(tabs[1].getAttribute("aria-controls")).hidden, false);
+  assert.equal(doc.getElementById(tabs[0].getAttribute("aria-controls")).hidden, true);
+
+  key(window, tabs[1], "End");
+  assert.equal(selected(), tabs.at(-1));
+  key(window, tabs.at(-1), "ArrowRight");
+  assert.equal(selected(), tabs[0]);
+  key(window, tabs[0], "ArrowLeft");
+  assert.equal(selected(), tabs.at(-1));
+  key(window, tabs.at(-1), "Home");
+  assert.equal(selected(), tabs[0]);
+
+  // Only the selected tab is in the Tab order
+  assert.deepEqual(tabs.map(tab => tab.tabIndex), tabs.map((_t, i) => (i === 0 ? 0 : -1)));
+  window.close();
+});
+
+test("tag and grid statuses have text equivalents, not just symbols", async () => {
+  const window = await loadPage();
+  const doc = window.document;
+  await submitAnswer(window);
+
+  const tags = Array.from(doc.querySelectorAll("#tagsRow .tag"));
+  assert.ok(tags.length > 0);
+  for (const tag of tags) {
+    assert.equal(tag.querySelector(".tagStatus").getAttribute("aria-hidden"), "true");
+    assert.match(tag.querySelector(".srOnly").textContent, /Secure|Developing|Missing/);
+  }
+
+  for (const status of doc.querySelectorAll(".gridStatus")) {
+    assert.equal(status.querySelector("[aria-hidden=true]")?.textContent.trim().length, 1);
+    assert.match(status.textContent, /Secure|Developing|Missing/);
+  }
+  window.close();
+});
+
+test("checklist ticks off as the learner writes, with text for each state", async () => {
+  const window = await loadPage();
+  const doc = window.document;
+  const items = () => Array.from(doc.querySelectorAll("#hintsList .hintItem"));
+  await waitFor(() => items().length > 0, "the empty checklist");
+  assert.ok(items().every(li => !li.classList.contains("met")));
+
+  const answer = doc.getElementById("answerText");
+  answer.value = ANSWER;
+  answer.dispatchEvent(new window.Event("input", { bubbles: true }));
+  await waitFor(() => items().every(li => li.classList.contains("met")), "every item to be ticked");
+
+  for (const li of items()) {
+    assert.equal(li.querySelector(".hintMark").getAttribute("aria-hidden"), "true");
+    assert.equal(li.querySelector(".srOnly").textContent, ": done");
+  }
+  // Ticks only: nothing about marks or levels reaches the page
+  for (const hint of evaluateHints(task.rubric, ANSWER)) assert.deepEqual(Object.keys(hint), ["id", "label", "met"]);
+  window.close();
+});
+
+test("a resubmission shows what changed, with no axe violations", async () => {
+  const window = await loadPage();
+  const doc = window.document;
+  const progress = doc.getElementById("progressWrap");
+
+  doc.getElementById("answerText").value = ANSWER.replace(/ and the GDPR right[^.]*/, "");
+  doc.getElementById("submitBtn").click();
+  await waitFor(() => doc.getElementById("scoreBig").textContent !== "—", "the first result");
+  assert.equal(progress.style.display, "none");
+
+  await submitAnswer(window);
+  await waitFor(() => progress.style.display === "block", "the comparison");
+  assert.match(doc.getElementById("progressHeading").textContent, /Since attempt 1/);
+  assert.match(doc.getElementById("progressGrid").textContent, /Legal awareness:.*Missing.*Secure/);
+  assert.ok(doc.querySelector("#progressDiff ins"));
+
+  assert.deepEqual(await axeViolations(window), []);
+  window.close();
+});
+
+test("marking progress and the result are announced", async () => {
+  const window = await loadPage();
+  const doc = window.document;
+  const status = doc.getElementById("srStatus");
+  assert.equal(status.getAttribute("role"), "status");
+
+  doc.getElementById("answerText").value = ANSWER;
+  doc.getElementById("submitBtn").click();
+  await waitFor(() => /Marked: \d+ out of 10/.test(status.textContent), "the result announcement");
+
+  doc.getElementById("answerText").value = "Too short.";
+  doc.getElementById("submitBtn").click();
+  await waitFor(() => status.textContent.startsWith("Not marked."), "the too-short announcement");
+  window.close();
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createTaskRegistry } from "../lib/tasks.js";
+import {
+  calibrate,
+  checkThresholds,
+  confusionMatrix,
+  formatCalibration,
+  loadCorpus,
+  loadThresholds,
+  quadraticWeightedKappa
+} from "../lib/calibration.js";
+
+/* ---------------- Marker calibration ----------------
+   Every task with a gold corpus in ./calibration must keep its agreement
+   with the tutors at or above calibration/thresholds.json, so a rubric
+   change that makes marking worse fails the suite. The full report is
+   printed when it does.
+----------------------------------------------------------------------- */
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const CALIBRATION_DIR = path.join(ROOT_DIR, "calibration");
+
+const tasks = createTaskRegistry({ dir: path.join(ROOT_DIR, "tasks"), defaultTaskId: "smarttown" });
+const corpora = fs.readdirSync(CALIBRATION_DIR).filter(f => f.endsWith(".jsonl")).sort();
+
+test("quadratic weighted kappa and confusion matrix", () => {
+  const categories = [0, 1, 2];
+  assert.equal(quadraticWeightedKappa([[0, 0], [1, 1], [2, 2]], categories), 1);
+  assert.equal(quadraticWeightedKappa([[0, 2], [2, 0]], categories), -1);
+  assert.equal(quadraticWeightedKappa([[2, 2], [2, 2]], categories), 1);
+  assert.equal(quadraticWeightedKappa([], categories), null);
+  assert.deepEqual(confusionMatrix([[0, 1], [2, 2], [2, 2]], categories), [[0, 1, 0], [0, 0, 0], [0, 0, 2]]);
+});
+
+for (const file of corpora) {
+  const taskId = path.basename(file, ".jsonl");
+
+  test(`marker agrees with tutors on the "${taskId}" gold corpus`, () => {
+    const task = tasks.get(taskId);
+    assert.ok(task, `calibration/${file} has no matching task`);
+
+    const thresholds = loadThresholds(path.join(CALIBRATION_DIR, "thresholds.json"), taskId);
+    assert.ok(thresholds, `calibration/thresholds.json has no entry for "${taskId}"`);
+
+    const report = calibrate(task, loadCorpus(path.join(CALIBRATION_DIR, file)));
+    assert.deepEqual(checkThresholds(report, thresholds), [], formatCalibration(report));
+  });
+}
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createTaskRegistry } from "../lib/tasks.js";
+import { evaluateRubric } from "../lib/rubric.js";
+import { checkIntegrity, peerCopySources } from "../lib/integrity.js";
+
+/* ---------------- Integrity checks ----------------
+   The smarttown task's own template and model answer, with answers built
+   to trip (or not trip) each check.
+----------------------------------------------------------------------- */
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const tasks = createTaskRegistry({ dir: path.join(ROOT_DIR, "tasks"), defaultTaskId: "smarttown" });
+const task = tasks.get("smarttown");
+
+const ORIGINAL = `The council switched on facial recognition cameras in the town centre without asking residents or explaining what the cameras did, so nobody could give informed consent or object. The software had not been checked for bias, and it misidentified people from some ethnic groups far more often, which meant innocent residents were stopped and questioned in public. That caused real distress and it damaged trust in the council. Before using it the council should have carried out a DPIA, consulted the public, and paid for independent testing of accuracy and bias with a small pilot first.`;
+
+const OTHER = `Storing every face scan on a shared server with weak passwords was a serious security failure, and keeping the images indefinitely breached the principle of data minimisation under GDPR. Residents had no idea how long their data would be held or who could see it, and a leak could expose where people go every day. That uncertainty makes people less willing to trust the council with any data at all. The council should encrypt footage, restrict access to named staff and delete images after thirty days unless they are needed for a live investigation.`;
+
+// A light rewrite of ORIGINAL: a few words changed, the rest copied.
+const COPY = ORIGINAL.replace("switched on", "turned on").replace("real distress", "a lot of distress").replace("a small pilot", "a short pilot");
+
+function flags(answerText, peerAnswers = []) {
+  const evaluation = evaluateRubric(task.rubric, answerText);
+  return checkIntegrity(answerText, task, { evaluation, peerAnswers }).map(f => f.type);
+}
+
+const attempt = (answerText, createdAt, extra = {}) => ({ answerText, createdAt, ...extra });
+
+test("an answer in the learner's own words is not flagged", () => {
+  assert.deepEqual(flags(ORIGINAL), []);
+  assert.deepEqual(flags(ORIGINAL, [OTHER]), []);
+});
+
+test("a list of rubric terms is flagged as stuffing", () => {
+  const list = "consent transparency GDPR lawful basis bias fairness discrimination accuracy misidentification DPIA governance oversight audit security encryption retention deletion pilot validation ";
+  assert.ok(flags(list.repeat(3)).includes("stuffing"));
+});
+
+test("a copied model answer is flagged", () => {
+  assert.ok(flags(task.modelAnswer).includes("model_answer"));
+});
+
+test("the template with a few words added is flagged", () => {
+  assert.ok(flags(`${task.templateText}\nThe council was wrong.`).includes("template"));
+});
+
+test("an answer that is mostly another learner's is flagged as a peer copy", () => {
+  assert.ok(flags(COPY, [ORIGINAL]).includes("peer_copy"));
+  assert.deepEqual(flags(COPY, [OTHER]), []);
+});
+
+test("the first writer is never flagged for a later copy of their answer", () => {
+  const written = attempt(ORIGINAL, "2026-01-01T10:00:00.000Z");
+  const copied = attempt(COPY, "2026-01-02T10:00:00.000Z", { result: { integrity: [{ type: "peer_copy" }] } });
+
+  // The copier, marked after the writer: the original counts.
+  assert.deepEqual(peerCopySources(COPY, task, { peers: [written] }), [ORIGINAL]);
+
+  // The writer resubmitting after the copy appeared: the copy is later than their own first attempt.
+  const resubmitted = peerCopySources(ORIGINAL, task, { peers: [{ ...copied, result: null }], own: [written] });
+  assert.deepEqual(resubmitted, []);
+  assert.deepEqual(flags(ORIGINAL, resubmitted), []);
+
+  // An answer already flagged as a copy is never a source.
+  assert.deepEqual(peerCopySources(ORIGINAL, task, { peers: [copied] }), []);
+});
+
+test("a template with every placeholder filled in is marked, however short", () => {
+  const filled = task.templateText
+    .replace("Failure 1:", "Failure 1: No consent.")
+    .replace("Failure 2:", "Failure 2: Bias in the system.")
+    .replace("Impact on individuals:", "Impact on individuals: It was bad for residents.")
+    .replace("Impact on trust or fairness:", "Impact on trust or fairness: People did not like it.")
+    .replace("Action 1:", "Action 1: Be better at telling people.")
+    .replace("Action 2:", "Action 2: Check the system more carefully before using it next time.");
+  assert.deepEqual(flags(filled), []);
+  assert.ok(flags(filled.replace("Action 2: Check the system more carefully before using it next time.", "Action 2:")).includes("template"));
+});
@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { publicJwk, signJwt, verifyJwt } from "../lib/jwt.js";
+import { AGS_CLAIM, AGS_SCORE_SCOPE, LTI_CLAIM, createLtiTool } from "../lib/lti.js";
+
+/* ---------------- LTI 1.3 launch ----------------
+   A stand-in platform: its own RSA key, a JWKS served through a mocked
+   fetch, and id_tokens signed the way an LMS would sign them.
+----------------------------------------------------------------------- */
+const platformKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+const otherKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+const KID = "platform-1";
+const JWKS = { keys: [publicJwk(platformKey, KID)] };
+
+const platform = {
+  issuer: "https://lms.example",
+  clientId: "tool-client",
+  deploymentIds: ["dep-1"],
+  authUrl: "https://lms.example/auth",
+  jwksUrl: "https://lms.example/jwks",
+  tokenUrl: "https://lms.example/token"
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function claims(nonce, extra = {}) {
+  return {
+    iss: platform.issuer,
+    aud: platform.clientId,
+    sub: "user-42",
+    iat: now(),
+    exp: now() + 300,
+    nonce,
+    name: "Sam Learner",
+    [`${LTI_CLAIM}deployment_id`]: "dep-1",
+    [`${LTI_CLAIM}message_type`]: "LtiResourceLinkRequest",
+    [`${LTI_CLAIM}version`]: "1.3.0",
+    [`${LTI_CLAIM}resource_link`]: { id: "link-1" },
+    [`${LTI_CLAIM}custom`]: { task: "smarttown" },
+    [AGS_CLAIM]: { lineitem: "https://lms.example/lineitems/1", scope: [AGS_SCORE_SCOPE] },
+    ...extra
+  };
+}
+
+function setup(t) {
+  t.mock.method(globalThis, "fetch", async () => new Response(JSON.stringify(JWKS)));
+  const tool = createLtiTool({ platform, privateKey: otherKey, log: { info() {}, warn() {} } });
+  const login = () => {
+    const { url, state } = tool.beginLogin({ iss: platform.issuer, login_hint: "hint", client_id: platform.clientId }, "https://tool.example/lti/launch");
+    return { state, nonce: new URL(url).searchParams.get("nonce") };
+  };
+  return { tool, login };
+}
+
+const sign = (payload, key = platformKey, kid = KID) => signJwt(payload, { privateKey: key, kid });
+
+test("RS256 tokens verify against the JWK set; anything else is refused", () => {
+  const token = sign({ sub: "x", exp: now() + 60 });
+  assert.equal(verifyJwt(token, JWKS.keys).sub, "x");
+
+  assert.throws(() => verifyJwt(sign({ sub: "x", exp: now() + 60 }, otherKey), JWKS.keys), /bad signature/);
+  assert.throws(() => verifyJwt(sign({ sub: "x", exp: now() + 60 }, platformKey, "nope"), JWKS.keys), /no key for kid/);
+  assert.throws(() => verifyJwt(sign({ sub: "x", exp: now() - 120 }), JWKS.keys), /expired/);
+  assert.throws(() => verifyJwt(sign({ sub: "x" }), JWKS.keys), /expired/, "exp is required");
+  assert.throws(() => verifyJwt(sign({ sub: "x", exp: now() + 600, iat: now() + 300 }), JWKS.keys), /future/);
+  assert.throws(() => verifyJwt("not.a.jwt", JWKS.keys), /malformed/);
+
+  // Same payload re-labelled "none" (signature dropped) or HS256 (signed with the public key as the secret).
+  const [, payload] = token.split(".");
+  const header = alg => Buffer.from(JSON.stringify({ alg, kid: KID })).toString("base64url");
+  assert.throws(() => verifyJwt(`${header("none")}.${payload}.`, JWKS.keys), /unsupported alg "none"/);
+  const hmac = crypto.createHmac("sha256", JSON.stringify(JWKS.keys[0])).update(`${header("HS256")}.${payload}`).digest("base64url");
+  assert.throws(() => verifyJwt(`${header("HS256")}.${payload}.${hmac}`, JWKS.keys), /unsupported alg "HS256"/);
+});
+
+test("login refuses an unknown issuer, client or a missing login_hint", t => {
+  const { tool } = setup(t);
+  assert.throws(() => tool.beginLogin({ iss: "https://evil.example", login_hint: "h" }), /unknown issuer/);
+  assert.throws(() => tool.beginLogin({ iss: platform.issuer, login_hint: "h", client_id: "other" }), /unknown client_id/);
+  assert.throws(() => tool.beginLogin({ iss: platform.issuer }), /missing login_hint/);
+});
+
+test("a launch with the login's state and nonce becomes a learner launch", async t => {
+  const { tool, login } = setup(t);
+  const { state, nonce } = login();
+
+  const launch = await tool.verifyLaunch({ id_token: sign(claims(nonce)), state });
+  assert.equal(launch.userId, "user-42");
+  assert.equal(launch.name, "Sam Learner");
+  assert.equal(launch.resourceLinkId, "link-1");
+  assert.deepEqual(launch.custom, { task: "smarttown" });
+  assert.equal(launch.lineitem, "https://lms.example/lineitems/1");
+});
+
+test("state is single-use and must match; the nonce must be the login's and unused", async t => {
+  const { tool, login } = setup(t);
+
+  const first = login();
+  const token = sign(claims(first.nonce));
+  await tool.verifyLaunch({ id_token: token, state: first.state });
+  await assert.rejects(tool.verifyLaunch({ id_token: token, state: first.state }), /unknown or expired state/);
+  await assert.rejects(tool.verifyLaunch({ id_token: token, state: "made-up" }), /unknown or expired state/);
+
+  const second = login();
+  await assert.rejects(tool.verifyLaunch({ id_token: token, state: second.state }), /nonce mismatch/, "a replayed token");
+
+  const third = login();
+  await assert.rejects(tool.verifyLaunch({ id_token: sign(claims("guessed")), state: third.state }), /nonce mismatch/);
+});
+
+test("a launch is refused on a bad signature, issuer, audience, deployment or message", async t => {
+  const { tool, login } = setup(t);
+  const attempt = (extra, key) => {
+    const { state, nonce } = login();
+    return tool.verifyLaunch({ id_token: sign(claims(nonce, extra), key), state });
+  };
+
+  await assert.rejects(attempt({}, otherKey), /bad signature/);
+  await assert.rejects(attempt({ iss: "https://evil.example" }), /issuer mismatch/);
+  await assert.rejects(attempt({ aud: "someone-else" }), /audience mismatch/);
+  await assert.rejects(attempt({ aud: [platform.clientId, "someone-else"] }), /azp mismatch/);
+  await assert.rejects(attempt({ [`${LTI_CLAIM}deployment_id`]: "dep-9" }), /unknown deployment/);
+  await assert.rejects(attempt({ [`${LTI_CLAIM}message_type`]: "LtiDeepLinkingRequest" }), /unsupported message type/);
+  await assert.rejects(attempt({ [`${LTI_CLAIM}version`]: "1.1" }), /unsupported LTI version/);
+  await assert.rejects(attempt({ sub: "" }), /missing sub/);
+});
+
+test("no line item is used without the score scope", async t => {
+  const { tool, login } = setup(t);
+  const { state, nonce } = login();
+  const launch = await tool.verifyLaunch({
+    id_token: sign(claims(nonce, { [AGS_CLAIM]: { lineitem: "https://lms.example/lineitems/1", scope: [] } })),
+    state
+  });
+  assert.equal(launch.lineitem, "");
+});
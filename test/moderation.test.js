@@ -0,0 +1,130 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/* ---------------- Tutor moderation ----------------
+   The tutor routes run in a real Express app on a free port, signed in
+   with the tutor password. DATA_DIR points at a temporary directory before
+   the attempts store is loaded, so nothing touches ./data.
+----------------------------------------------------------------------- */
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PASSWORD = "tutor-test-password";
+
+const ANSWER = `The council used facial recognition without consent or transparency, and the system was biased, wrongly stopping residents from some groups. This harmed individuals and damaged public trust. The council should have completed a DPIA and should have run independent bias testing in a pilot before using it.`;
+
+let dataDir;
+let server;
+let base;
+let cookie;
+let attempts;
+let task;
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "moderation-test-"));
+  process.env.DATA_DIR = dataDir;
+
+  const { default: express } = await import("express");
+  const { default: cookieParser } = await import("cookie-parser");
+  const { tutorRoutes } = await import("../routes/tutor.js");
+  const { createTaskRegistry } = await import("../lib/tasks.js");
+  const { createCookieSession, createMemorySessionStore, createSecrets } = await import("../lib/session.js");
+  attempts = await import("../lib/attempts.js");
+
+  const tasks = createTaskRegistry({ dir: path.join(ROOT_DIR, "tasks"), defaultTaskId: "smarttown" });
+  task = tasks.get("smarttown");
+  const session = createCookieSession({ name: "tutor", minutes: 60, store: createMemorySessionStore(), secrets: createSecrets({ current: "s" }) });
+
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use("/api/tutor", tutorRoutes({ tasks, session, password: PASSWORD }));
+  await new Promise(resolve => { server = app.listen(0, "127.0.0.1", resolve); });
+  base = `http://127.0.0.1:${server.address().port}/api/tutor`;
+
+  const login = await fetch(`${base}/login`, {
+    method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ password: PASSWORD })
+  });
+  cookie = login.headers.get("set-cookie").split(";")[0];
+});
+
+after(() => {
+  server?.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function call(method, route, body) {
+  const res = await fetch(`${base}${route}`, {
+    method,
+    headers: { "Content-Type": "application/json", Cookie: cookie },
+    ...(body ? { body: JSON.stringify(body) } : {})
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function newAttempt() {
+  const { markEthicsResponse } = await import("../lib/marker.js");
+  return attempts.recordAttempt({ learnerId: "l-1", taskId: task.id, answerText: ANSWER, result: markEthicsResponse(ANSWER, task) });
+}
+
+const moderate = (id, body) => call("POST", `/submissions/${id}/moderation`, body);
+
+test("moderation needs a tutor session", async () => {
+  const { id } = await newAttempt();
+  const res = await fetch(`${base}/submissions/${id}/moderation`, {
+    method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ score: 5, reason: "x" })
+  });
+  assert.equal(res.status, 401);
+  assert.equal((await call("POST", "/submissions/nope/moderation", { comment: "x" })).status, 404);
+});
+
+test("invalid moderations are refused and nothing is recorded", async () => {
+  const { id } = await newAttempt();
+  const maxScore = task.rubric.maxScore ?? 10;
+  const row = task.rubric.criteria.find(c => c.grid).grid;
+
+  const refused = [
+    [{ score: maxScore + 1, reason: "r" }, "invalid_score"],
+    [{ score: 2.5, reason: "r" }, "invalid_score"],
+    [{ score: -1, reason: "r" }, "invalid_score"],
+    [{ grid: { nosuchrow: 1 }, reason: "r" }, "invalid_grid"],
+    [{ grid: { [row]: 3 }, reason: "r" }, "invalid_grid"],
+    [{ score: 4 }, "missing_reason"],
+    [{ revert: true }, "missing_reason"],
+    [{ reason: "nothing else" }, "nothing_to_change"]
+  ];
+  for (const [body, error] of refused) {
+    const res = await moderate(id, body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.equal(res.body.error, error, JSON.stringify(body));
+  }
+  assert.equal(attempts.findAttempt(id).moderations, undefined);
+});
+
+test("each change is added to the audit trail and the learner sees the latest", async () => {
+  const attempt = await newAttempt();
+  const auto = attempt.result;
+  const row = task.rubric.criteria.find(c => c.grid).grid;
+
+  const changed = await moderate(attempt.id, { score: 3, grid: { [row]: 0 }, reason: "Second failure is not explained", comment: "Explain the bias.", by: "Ann" });
+  assert.equal(changed.status, 200);
+  assert.equal(changed.body.result.score, 3);
+  assert.equal(changed.body.result.moderated.comment, "Explain the bias.");
+
+  const commented = await moderate(attempt.id, { comment: "See the reading list.", by: "Ann" });
+  assert.equal(commented.body.result.score, auto.score, "a comment alone keeps the automated score");
+
+  await moderate(attempt.id, { revert: true, reason: "Second marker agreed with the marker", by: "Bo" });
+  const stored = attempts.findAttempt(attempt.id);
+  assert.deepEqual(attempts.effectiveResult(stored), auto, "reverting restores the automated result");
+  assert.deepEqual(stored.result, auto, "the automated result itself is never changed");
+
+  const view = await call("GET", `/submissions/${attempt.id}`);
+  const audit = view.body.submission.audit;
+  assert.deepEqual(audit.map(a => a.action), ["marked", "moderated", "moderated", "reverted"]);
+  assert.equal(audit[0].score, auto.score);
+  assert.deepEqual(audit[1], { action: "moderated", by: "Ann", score: 3, grid: { [row]: 0 }, comment: "Explain the bias.", reason: "Second failure is not explained", at: audit[1].at });
+  assert.equal(audit[3].by, "Bo");
+});
@@ -0,0 +1,131 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/* ---------------- Payhip webhook and code lookup ----------------
+   The routes run in a real Express app on a free port. DATA_DIR points at
+   a temporary directory before the stores are loaded, so issued codes
+   never touch ./data.
+----------------------------------------------------------------------- */
+const API_KEY = "payhip-test-key";
+const SIGNATURE = crypto.createHash("sha256").update(API_KEY).digest("hex");
+
+let dataDir;
+let server;
+let base;
+let learners;
+let session;
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "payhip-test-"));
+  process.env.DATA_DIR = dataDir;
+
+  const { default: express } = await import("express");
+  const { payhipRoutes } = await import("../routes/payhip.js");
+  const { createCookieSession, createMemorySessionStore, createSecrets } = await import("../lib/session.js");
+  learners = await import("../lib/learners.js");
+
+  session = createCookieSession({ name: "learner", minutes: 60, store: createMemorySessionStore(), secrets: createSecrets({ current: "s" }) });
+  const app = express();
+  app.use(express.json());
+  app.use("/api/payhip", payhipRoutes({ apiKey: API_KEY, productKeys: ["course"], learnerSession: session, log: { info() {}, warn() {} } }));
+
+  await new Promise(resolve => { server = app.listen(0, "127.0.0.1", resolve); });
+  base = `http://127.0.0.1:${server.address().port}/api/payhip`;
+});
+
+after(() => {
+  server?.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function post(route, body) {
+  const res = await fetch(`${base}${route}`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+const paid = (id, extra = {}) => ({
+  type: "paid", id, email: "Buyer@Example.com", first_name: "Bo", signature: SIGNATURE, items: [{ product_key: "course" }], ...extra
+});
+
+test("events without the API key's signature are refused", async () => {
+  const res = await post("/webhook", paid("p-bad", { signature: "0".repeat(64) }));
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error, "bad_signature");
+  assert.equal((await post("/webhook", paid("p-none", { signature: undefined }))).status, 401);
+  assert.equal(learners.findLearnerByPurchase("p-bad"), null);
+});
+
+test("a paid event issues one code per purchase, for the listed products only", async () => {
+  const first = await post("/webhook", paid("p-1"));
+  assert.equal(first.status, 200);
+  assert.equal(first.body.learnerId, "payhip-p-1");
+  const code = learners.findLearnerByPurchase("p-1").code;
+
+  const again = await post("/webhook", paid("p-1"));
+  assert.equal(again.body.duplicate, true);
+  assert.equal(learners.findLearnerByPurchase("p-1").code, code, "a repeated delivery keeps the code");
+
+  const other = await post("/webhook", paid("p-2", { items: [{ product_key: "ebook" }] }));
+  assert.equal(other.body.ignored, "product");
+  assert.equal(learners.findLearnerByPurchase("p-2"), null);
+});
+
+test("buyers look up their code with the order id and purchase email", async () => {
+  await post("/webhook", paid("p-3"));
+  const { code } = learners.findLearnerByPurchase("p-3");
+
+  const found = await post("/code", { purchaseId: " p-3 ", email: "buyer@example.com" });
+  assert.deepEqual(found, { status: 200, body: { ok: true, code } });
+
+  const wrongEmail = await post("/code", { purchaseId: "p-3", email: "someone@example.com" });
+  const unknown = await post("/code", { purchaseId: "p-404", email: "buyer@example.com" });
+  assert.equal(wrongEmail.status, 404);
+  assert.deepEqual(wrongEmail.body, unknown.body, "a wrong email and an unknown order look the same");
+});
+
+test("a refund revokes the code, ends the buyer's sessions and stops the lookup", async () => {
+  await post("/webhook", paid("p-4"));
+  const { code } = learners.findLearnerByPurchase("p-4");
+  assert.ok(learners.redeemCode(code).learner);
+
+  const res = { cookie() {} };
+  session.set(res, { learnerId: "payhip-p-4" });
+  session.set(res, { learnerId: "payhip-p-3" });
+
+  const refund = await post("/webhook", { type: "refunded", id: "p-4", signature: SIGNATURE });
+  assert.deepEqual(refund.body, { ok: true, revoked: 1, sessions: 1 });
+  assert.equal(session.count(), 1, "other buyers stay signed in");
+  assert.equal(learners.redeemCode(code).error, "code_revoked");
+
+  const lookup = await post("/code", { purchaseId: "p-4", email: "buyer@example.com" });
+  assert.equal(lookup.status, 410);
+  assert.equal(lookup.body.error, "code_revoked");
+});
+
+test("failed lookups count towards the lockout", async () => {
+  const { default: express } = await import("express");
+  const { payhipRoutes } = await import("../routes/payhip.js");
+  const { createLockout } = await import("../lib/ratelimit.js");
+
+  const quiet = { info() {}, warn() {} };
+  const app = express();
+  app.use(express.json());
+  app.use("/api/payhip", payhipRoutes({ apiKey: API_KEY, lockout: createLockout({ name: "test", freeAttempts: 2, log: quiet }), log: quiet }));
+  const guarded = await new Promise(resolve => { const s = app.listen(0, "127.0.0.1", () => resolve(s)); });
+  const lookup = async body => (await fetch(`http://127.0.0.1:${guarded.address().port}/api/payhip/code`, {
+    method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body)
+  })).status;
+
+  try {
+    await post("/webhook", paid("p-5"));
+    assert.equal(await lookup({ purchaseId: "p-5", email: "guess@example.com" }), 404);
+    assert.equal(await lookup({ purchaseId: "p-6", email: "buyer@example.com" }), 404);
+    assert.equal(await lookup({ purchaseId: "p-5", email: "buyer@example.com" }), 429, "locked out even with the right details");
+  } finally {
+    guarded.close();
+  }
+});
@@ -0,0 +1,79 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createLockout, createRateLimiter } from "../lib/ratelimit.js";
+
+/* ---------------- Rate limits and lockout ----------------
+   Drives the middleware with stand-in req/res objects; Date is mocked so
+   windows and lockouts can expire without waiting.
+----------------------------------------------------------------------- */
+const quiet = { warn() {} };
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+// Runs one request through a middleware; true when it called next().
+function run(middleware, req = { ip: "1.2.3.4" }) {
+  const res = fakeRes();
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test("rate limiter allows max requests per window, per key, then answers 429", t => {
+  mock.timers.enable({ apis: ["Date"], now: 0 });
+  t.after(() => mock.timers.reset());
+
+  const limit = createRateLimiter({ name: "test", windowMs: 60_000, max: 3, log: quiet });
+  for (let i = 0; i < 3; i++) assert.equal(run(limit).passed, true);
+
+  const blocked = run(limit);
+  assert.equal(blocked.passed, false);
+  assert.equal(blocked.res.statusCode, 429);
+  assert.deepEqual(blocked.res.body, { ok: false, error: "rate_limited", retryAfter: 60 });
+  assert.equal(blocked.res.headers["Retry-After"], "60");
+
+  assert.equal(run(limit, { ip: "5.6.7.8" }).passed, true, "other keys have their own count");
+
+  mock.timers.tick(60_000);
+  assert.equal(run(limit).passed, true, "a new window starts the count again");
+});
+
+test("rate limiter with max 0 is switched off", () => {
+  const limit = createRateLimiter({ name: "off", windowMs: 1000, max: 0, log: quiet });
+  for (let i = 0; i < 10; i++) assert.equal(run(limit).passed, true);
+});
+
+test("lockout doubles after the free attempts, up to the cap, and clears on success", t => {
+  mock.timers.enable({ apis: ["Date"], now: 0 });
+  t.after(() => mock.timers.reset());
+
+  const lockout = createLockout({ name: "test", freeAttempts: 3, baseMs: 1000, maxMs: 5000, log: quiet });
+  const guard = lockout.guard();
+
+  assert.deepEqual([1, 2].map(() => lockout.fail("1.2.3.4")), [0, 0]);
+  assert.equal(run(guard).passed, true, "free attempts do not lock");
+
+  assert.equal(lockout.fail("1.2.3.4"), 1000);
+  const locked = run(guard);
+  assert.equal(locked.passed, false);
+  assert.equal(locked.res.statusCode, 429);
+  assert.deepEqual(locked.res.body, { ok: false, error: "locked_out", retryAfter: 1 });
+  assert.equal(run(guard, { ip: "5.6.7.8" }).passed, true, "other keys are not locked");
+
+  mock.timers.tick(1000);
+  assert.equal(run(guard).passed, true, "the lockout expires");
+
+  assert.deepEqual([1, 2, 3].map(() => lockout.fail("1.2.3.4")), [2000, 4000, 5000]);
+
+  lockout.succeed("1.2.3.4");
+  assert.equal(run(guard).passed, true);
+  assert.equal(lockout.fail("1.2.3.4"), 0, "a success resets the count");
+});
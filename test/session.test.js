@@ -0,0 +1,104 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createCookieSession, createMemorySessionStore, createSecrets } from "../lib/session.js";
+
+/* ---------------- Server-side sessions ----------------
+   Sessions in a memory store, cookies captured from a stand-in response,
+   Date mocked so expiry and the rotation grace period can pass.
+----------------------------------------------------------------------- */
+const MINUTE = 60 * 1000;
+
+// Captures the cookie the session writes so it can be sent back.
+function fakeRes() {
+  return {
+    cookies: {},
+    cleared: [],
+    cookie(name, value, options) { this.cookies[name] = { value, options }; },
+    clearCookie(name) { this.cleared.push(name); }
+  };
+}
+
+const reqWith = (name, value) => ({ cookies: { [name]: value } });
+
+function setup({ minutes = 30, secrets = createSecrets({ current: "secret-a" }) } = {}) {
+  const store = createMemorySessionStore();
+  const session = createCookieSession({ name: "learner", minutes, store, secrets });
+  const res = fakeRes();
+  session.set(res, { learnerId: "l-1" });
+  return { store, session, cookie: res.cookies.learner.value };
+}
+
+test("a session reads back until it expires, and each use slides the expiry", t => {
+  mock.timers.enable({ apis: ["Date"], now: 0 });
+  t.after(() => mock.timers.reset());
+
+  const { session, store, cookie } = setup({ minutes: 30 });
+  const req = reqWith("learner", cookie);
+  assert.deepEqual(session.read(req), { learnerId: "l-1" });
+
+  mock.timers.tick(20 * MINUTE);
+  const res = fakeRes();
+  assert.deepEqual(session.read(req, res), { learnerId: "l-1" });
+  assert.equal(res.cookies.learner.value, cookie, "the cookie is refreshed with the same id");
+
+  mock.timers.tick(20 * MINUTE);
+  assert.deepEqual(session.read(req), { learnerId: "l-1" }, "40 minutes in, but used 20 minutes ago");
+
+  mock.timers.tick(30 * MINUTE);
+  assert.equal(session.read(req), null);
+  assert.equal(store.entries().length, 0, "the expired record is dropped");
+});
+
+test("a tampered cookie or another session's name is not accepted", () => {
+  const { session, cookie } = setup();
+  const [id, mac] = cookie.split(".");
+  assert.equal(session.read(reqWith("learner", `${id}x.${mac}`)), null);
+  assert.equal(session.read(reqWith("learner", `${id}.${mac.slice(1)}`)), null);
+  assert.equal(session.read(reqWith("learner", id)), null);
+
+  const tutor = createCookieSession({ name: "tutor", minutes: 30, store: createMemorySessionStore(), secrets: createSecrets({ current: "secret-a" }) });
+  assert.equal(tutor.read(reqWith("tutor", cookie)), null);
+});
+
+test("logout and revokeWhere end sessions server-side", () => {
+  const { session, store, cookie } = setup();
+  const res = fakeRes();
+  session.set(res, { learnerId: "l-2" });
+  const other = res.cookies.learner.value;
+
+  const logout = fakeRes();
+  session.clear(reqWith("learner", cookie), logout);
+  assert.deepEqual(logout.cleared, ["learner"]);
+  assert.equal(session.read(reqWith("learner", cookie)), null, "the old cookie no longer works");
+
+  assert.equal(session.revokeWhere(data => data.learnerId === "l-2"), 1);
+  assert.equal(session.read(reqWith("learner", other)), null);
+  assert.equal(store.entries().length, 0);
+});
+
+test("after a secret rotation old cookies work until the grace period ends, and are re-signed", t => {
+  mock.timers.enable({ apis: ["Date"], now: 0 });
+  t.after(() => mock.timers.reset());
+
+  const { store, cookie } = setup({ secrets: createSecrets({ current: "secret-a" }) });
+  const rotated = createCookieSession({
+    name: "learner",
+    minutes: 30,
+    store,
+    secrets: createSecrets({ current: "secret-b", previous: ["secret-a"], graceUntil: new Date(10 * MINUTE).toISOString() })
+  });
+
+  const res = fakeRes();
+  assert.deepEqual(rotated.read(reqWith("learner", cookie), res), { learnerId: "l-1" });
+  const resigned = res.cookies.learner.value;
+  assert.notEqual(resigned, cookie, "re-signed with the current secret");
+  assert.equal(resigned.split(".")[0], cookie.split(".")[0], "same session id");
+
+  mock.timers.tick(10 * MINUTE);
+  assert.equal(rotated.read(reqWith("learner", cookie)), null, "the old secret is refused after the grace period");
+  assert.deepEqual(rotated.read(reqWith("learner", resigned)), { learnerId: "l-1" });
+});
+
+test("a cookie secret is required", () => {
+  assert.throws(() => createSecrets({ current: "" }), /secret is required/);
+});
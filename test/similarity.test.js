@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSimilarityIndex, jaccard, shingles, wordsOf } from "../lib/similarity.js";
+
+/* ---------------- Similarity index ----------------
+   Near-duplicates of two source answers, an unrelated answer and a
+   shared template, clustered and matched through the MinHash index.
+----------------------------------------------------------------------- */
+const TEMPLATE = `1) Key ethical or legal failures
+- Failure 1:
+- Failure 2:
+2) Why these failures mattered
+- Impact on individuals:`;
+
+const A = `The council switched on facial recognition cameras in the town centre without asking residents or explaining what the cameras did, so nobody could give informed consent. The software had not been checked for bias and misidentified people from some groups far more often, so innocent residents were stopped in public.`;
+const B = `Storing every face scan on a shared server with weak passwords was a serious security failure, and keeping the images for years breached data minimisation. Residents had no idea who could see their data, and a leak could expose where people go every day, which makes them less willing to trust the council.`;
+const C = `Nobody at the council asked whether a camera network was needed at all. Cheaper measures such as better street lighting were never considered, and the contract was signed before any councillor had read the supplier's own accuracy figures or spoken to the police about how matches would be used.`;
+
+// Light rewrites: a couple of words changed, the rest copied.
+const A2 = A.replace("switched on", "turned on").replace("far more often", "much more often");
+const A3 = A.replace("town centre", "high street");
+const B2 = B.replace("for years", "indefinitely");
+
+function index(entries) {
+  const idx = createSimilarityIndex({ templateText: TEMPLATE });
+  for (const [id, learnerId, text] of entries) idx.add({ id, learnerId, text });
+  return idx;
+}
+
+test("jaccard of word 3-gram sets", () => {
+  const a = shingles(wordsOf("one two three four"));
+  const b = shingles(wordsOf("two three four five"));
+  assert.deepEqual([...a], ["one two three", "two three four"]);
+  assert.equal(jaccard(a, b), 1 / 3);
+  assert.equal(jaccard(a, new Set()), 0);
+});
+
+test("near-duplicates by different learners cluster together; unrelated answers do not", () => {
+  const idx = index([
+    ["a1", "ann", A], ["a2", "bo", A2], ["a3", "cy", A3],
+    ["b1", "di", B], ["b2", "ed", B2],
+    ["c1", "fay", C]
+  ]);
+  const clusters = idx.clusters({ threshold: 0.5 });
+  const groups = clusters.map(c => [...c.attemptIds].sort()).sort((x, y) => x[0].localeCompare(y[0]));
+  assert.deepEqual(groups, [["a1", "a2", "a3"], ["b1", "b2"]]);
+  for (const c of clusters) {
+    assert.ok(c.pairs.every(p => p.similarity >= 0.5));
+    assert.ok(c.pairs.every((p, i) => !i || c.pairs[i - 1].similarity >= p.similarity), "most similar pair first");
+  }
+});
+
+test("a learner's own resubmissions are not near-duplicates", () => {
+  const idx = index([["a1", "ann", A], ["a2", "ann", A2]]);
+  assert.deepEqual(idx.clusters(), []);
+  assert.deepEqual(idx.matches(A3, { learnerId: "ann" }), []);
+});
+
+test("matches lists other learners' answers above the threshold, most similar first", () => {
+  const idx = index([["a1", "ann", A], ["a2", "bo", A2], ["b1", "di", B]]);
+  const found = idx.matches(A3, { learnerId: "cy", threshold: 0.5 });
+  assert.deepEqual(found.map(m => m.id), ["a1", "a2"]);
+  assert.ok(found[0].similarity > found[1].similarity);
+  assert.deepEqual(idx.matches(C, { learnerId: "cy" }), []);
+});
+
+test("the shared template and very short answers are not compared", () => {
+  const idx = index([["t1", "ann", `${TEMPLATE} Bias.`], ["t2", "bo", `${TEMPLATE} Consent.`]]);
+  assert.equal(idx.size, 0);
+  assert.deepEqual(idx.clusters(), []);
+});